@@ -0,0 +1,245 @@
+// Cosmos Connect - API Proxy
+// Shared by the Vercel functions in api/ and the local dev server.
+// Keeps the NASA API key on the server and adds response caching headers.
+
+const NASA_BASE_URL = 'https://api.nasa.gov';
+const EXOPLANET_TAP_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync';
+const SSD_BASE_URL = 'https://ssd-api.jpl.nasa.gov';
+
+// Only these NASA endpoints are forwarded (max-age in seconds)
+const NASA_ROUTES = [
+  { prefix: 'planetary/apod', maxAge: 3600 },      // 1 hour
+  { prefix: 'insight_weather', maxAge: 1800 },     // 30 minutes
+  { prefix: 'neo/rest/v1', maxAge: 10800 },        // 3 hours
+  { prefix: 'DONKI', maxAge: 900 },                // 15 minutes
+  { prefix: 'mars-photos', maxAge: 14400 },        // 4 hours
+  { prefix: 'EPIC/api', maxAge: 3600 },            // 1 hour
+  { prefix: 'techport/api', maxAge: 86400 },       // 24 hours
+  { prefix: 'techtransfer', maxAge: 86400 }        // 24 hours
+];
+
+// JPL SSD/CNEOS endpoints send no CORS headers, so they go through the proxy too
+const SSD_ROUTES = [
+  { prefix: 'sentry.api', maxAge: 21600 },         // 6 hours
+  { prefix: 'cad.api', maxAge: 21600 }             // 6 hours
+];
+
+const EXOPLANET_MAX_AGE = 86400; // 24 hours
+
+// Upstream headers worth passing back to the browser
+const FORWARDED_HEADERS = [
+  'content-type',
+  'retry-after'
+];
+
+// A cached copy would replay a stale quota, so these only go out on uncached errors
+const RATE_LIMIT_HEADERS = [
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining'
+];
+
+/**
+ * Get the NASA API key from the server environment
+ * @returns {string} NASA API key
+ */
+function getApiKey() {
+  return process.env.NASA_API_KEY || 'DEMO_KEY';
+}
+
+/**
+ * Find the allowed route for an API path
+ * @param {Array<object>} routes - Allowed routes
+ * @param {string} apiPath - Path below the upstream host without a leading slash
+ * @returns {object|null} Matching route
+ */
+function findRoute(routes, apiPath) {
+  return routes.find(route =>
+    apiPath === route.prefix || apiPath.startsWith(`${route.prefix}/`)
+  ) || null;
+}
+
+/**
+ * Find the allowed route for a NASA API path
+ * @param {string} apiPath - Path below api.nasa.gov without a leading slash
+ * @returns {object|null} Matching route
+ */
+function findNasaRoute(apiPath) {
+  return findRoute(NASA_ROUTES, apiPath);
+}
+
+/**
+ * Resolve an API path to an allowed upstream URL
+ * Percent-encoded dot segments are normalised away by the URL parser,
+ * so the route is matched on the resolved path rather than the raw one.
+ * @param {string} baseURL - Upstream host
+ * @param {Array<object>} routes - Allowed routes
+ * @param {string} apiPath - Path below the upstream host
+ * @returns {{url: URL, route: object}|null} Upstream URL and route, or null if not allowed
+ */
+function resolveUpstream(baseURL, routes, apiPath) {
+  const cleanPath = apiPath.replace(/^\/+/, '');
+
+  let segments;
+  try {
+    segments = cleanPath.split('/').map(segment => decodeURIComponent(segment));
+  } catch {
+    return null;
+  }
+
+  if (segments.some(segment => segment === '.' || segment === '..' || /[\\/]/.test(segment))) {
+    return null;
+  }
+
+  const url = new URL(`${baseURL}/${cleanPath}`);
+  if (url.origin !== baseURL) {
+    return null;
+  }
+
+  const route = findRoute(routes, url.pathname.replace(/^\/+/, ''));
+  return route ? { url, route } : null;
+}
+
+/**
+ * Build a Cache-Control header for shared caches and browsers
+ * @param {number} maxAge - Freshness lifetime in seconds
+ * @returns {string} Cache-Control value
+ */
+function buildCacheControl(maxAge) {
+  return `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${maxAge}`;
+}
+
+function sendJSON(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Fetch the upstream URL and stream the response back
+ * @param {object} res - Node.js server response
+ * @param {string} targetURL - Upstream URL
+ * @param {number} maxAge - Cache lifetime for successful responses
+ */
+async function forward(res, targetURL, maxAge) {
+  let upstream;
+
+  try {
+    upstream = await fetch(targetURL);
+  } catch (error) {
+    sendJSON(res, 502, { error: { message: `Upstream request failed: ${error.message}` } });
+    return;
+  }
+
+  const body = Buffer.from(await upstream.arrayBuffer());
+
+  res.statusCode = upstream.status;
+  const headers = upstream.ok ? FORWARDED_HEADERS : FORWARDED_HEADERS.concat(RATE_LIMIT_HEADERS);
+  headers.forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value !== null) {
+      res.setHeader(name, value);
+    }
+  });
+
+  // Never let a cache hold on to an error
+  res.setHeader('Cache-Control', upstream.ok ? buildCacheControl(maxAge) : 'no-store');
+  res.end(body);
+}
+
+/**
+ * Parse the query string of an incoming request
+ * @param {object} req - Node.js incoming request
+ * @returns {URLSearchParams} Query parameters
+ */
+function getQueryParams(req) {
+  return new URL(req.url, 'http://localhost').searchParams;
+}
+
+/**
+ * Forward a request to api.nasa.gov with the server's API key
+ * @param {object} req - Node.js incoming request
+ * @param {object} res - Node.js server response
+ * @param {string} apiPath - Path below api.nasa.gov
+ */
+async function handleNasaRequest(req, res, apiPath) {
+  if (req.method !== 'GET') {
+    sendJSON(res, 405, { error: { message: 'Method not allowed' } });
+    return;
+  }
+
+  const upstream = resolveUpstream(NASA_BASE_URL, NASA_ROUTES, apiPath);
+
+  if (!upstream) {
+    sendJSON(res, 404, { error: { message: `Endpoint not available through the proxy: /${apiPath.replace(/^\/+/, '')}` } });
+    return;
+  }
+
+  const params = getQueryParams(req);
+  params.delete('path');
+  params.set('api_key', getApiKey());
+  upstream.url.search = params.toString();
+
+  await forward(res, upstream.url.toString(), upstream.route.maxAge);
+}
+
+/**
+ * Forward an ADQL query to the Exoplanet Archive TAP service
+ * @param {object} req - Node.js incoming request
+ * @param {object} res - Node.js server response
+ */
+async function handleExoplanetRequest(req, res) {
+  if (req.method !== 'GET') {
+    sendJSON(res, 405, { error: { message: 'Method not allowed' } });
+    return;
+  }
+
+  const params = getQueryParams(req);
+  if (!params.get('query')) {
+    sendJSON(res, 400, { error: { message: 'Missing query parameter' } });
+    return;
+  }
+
+  const upstreamParams = new URLSearchParams({
+    query: params.get('query'),
+    format: params.get('format') || 'json'
+  });
+
+  await forward(res, `${EXOPLANET_TAP_URL}?${upstreamParams.toString()}`, EXOPLANET_MAX_AGE);
+}
+
+/**
+ * Forward a request to the JPL SSD/CNEOS APIs (no key needed)
+ * @param {object} req - Node.js incoming request
+ * @param {object} res - Node.js server response
+ * @param {string} apiPath - Path below ssd-api.jpl.nasa.gov, e.g. sentry.api
+ */
+async function handleSsdRequest(req, res, apiPath) {
+  if (req.method !== 'GET') {
+    sendJSON(res, 405, { error: { message: 'Method not allowed' } });
+    return;
+  }
+
+  const upstream = resolveUpstream(SSD_BASE_URL, SSD_ROUTES, apiPath);
+
+  if (!upstream) {
+    sendJSON(res, 404, { error: { message: `Endpoint not available through the proxy: /${apiPath.replace(/^\/+/, '')}` } });
+    return;
+  }
+
+  const params = getQueryParams(req);
+  params.delete('path');
+  upstream.url.search = params.toString();
+
+  await forward(res, upstream.url.toString(), upstream.route.maxAge);
+}
+
+module.exports = {
+  NASA_ROUTES,
+  SSD_ROUTES,
+  findNasaRoute,
+  buildCacheControl,
+  handleNasaRequest,
+  handleExoplanetRequest,
+  handleSsdRequest
+};
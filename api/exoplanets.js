@@ -0,0 +1,6 @@
+// Vercel function: /api/exoplanets
+const { handleExoplanetRequest } = require('./_lib/proxy');
+
+module.exports = async (req, res) => {
+  await handleExoplanetRequest(req, res);
+};
@@ -0,0 +1,10 @@
+// Vercel function: /api/nasa/* (rewritten to /api/nasa?path=*)
+const { handleNasaRequest } = require('./_lib/proxy');
+
+module.exports = async (req, res) => {
+  const path = req.query && req.query.path
+    ? [].concat(req.query.path).join('/')
+    : new URL(req.url, 'http://localhost').pathname.replace(/^\/api\/nasa\/?/, '');
+
+  await handleNasaRequest(req, res, path);
+};
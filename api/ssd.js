@@ -0,0 +1,10 @@
+// Vercel function: /api/ssd/* (rewritten to /api/ssd?path=*)
+const { handleSsdRequest } = require('./_lib/proxy');
+
+module.exports = async (req, res) => {
+  const path = req.query && req.query.path
+    ? [].concat(req.query.path).join('/')
+    : new URL(req.url, 'http://localhost').pathname.replace(/^\/api\/ssd\/?/, '');
+
+  await handleSsdRequest(req, res, path);
+};
@@ -12,6 +12,8 @@ export default [
         console: 'readonly',
         localStorage: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
+        DOMParser: 'readonly',
         Chart: 'readonly',
         bootstrap: 'readonly'
       }
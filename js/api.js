@@ -8,21 +8,59 @@ const getApiConfig = () => {
     const nasaConfig = ENV_CONFIG.getNasaConfig();
     const cacheConfig = ENV_CONFIG.getCacheConfig();
     const rateLimitConfig = ENV_CONFIG.getRateLimitConfig();
+    const retryConfig = ENV_CONFIG.getRetryConfig();
+    const exoplanetConfig = ENV_CONFIG.getExoplanetConfig();
     
     return {
       BASE_URL: nasaConfig.baseUrl,
+      EONET_URL: nasaConfig.eonetUrl,
+      EPIC_ARCHIVE_URL: nasaConfig.epicArchiveUrl,
+      IMAGE_LIBRARY_URL: nasaConfig.imageLibraryUrl,
+      SSD_URL: nasaConfig.ssdUrl,
+      TLE_URL: nasaConfig.tleUrl,
+      GIBS_URL: nasaConfig.gibsUrl,
       DEFAULT_API_KEY: nasaConfig.apiKey,
+      PROXY: {
+        enabled: ENV_CONFIG.isFeatureEnabled('apiProxy'),
+        nasaUrl: nasaConfig.proxyUrl,
+        exoplanetUrl: nasaConfig.exoplanetProxyUrl,
+        ssdUrl: nasaConfig.ssdProxyUrl
+      },
+      EXOPLANETS: {
+        ARCHIVE_URL: exoplanetConfig.archiveUrl,
+        CORS_PROXIES: exoplanetConfig.corsProxies
+      },
+      REQUEST_TIMEOUT: nasaConfig.requestTimeout,
+      TRANSPORT: {
+        mode: ENV_CONFIG.isFeatureEnabled('fixtureReplay') ? 'replay'
+          : ENV_CONFIG.isFeatureEnabled('fixtureRecording') ? 'record'
+          : 'live',
+        fixturesUrl: ENV_CONFIG.get('development.fixturesUrl')
+      },
       RATE_LIMIT: {
         DEMO_KEY: { requests: rateLimitConfig.demoRequests, window: rateLimitConfig.window },
         API_KEY: { requests: rateLimitConfig.apiRequests, window: rateLimitConfig.window }
       },
+      RETRY: {
+        maxAttempts: retryConfig.maxAttempts,
+        baseDelay: retryConfig.baseDelay,
+        maxDelay: retryConfig.maxDelay,
+        jitter: retryConfig.jitter
+      },
       CACHE_DURATION: {
         APOD: cacheConfig.apod,
         MARS_WEATHER: cacheConfig.marsWeather,
         ASTEROIDS: cacheConfig.asteroids,
         SPACE_WEATHER: cacheConfig.spaceWeather,
         MARS_ROVERS: cacheConfig.marsRovers,
-        EXOPLANETS: cacheConfig.exoplanets
+        EXOPLANETS: cacheConfig.exoplanets,
+        EONET: cacheConfig.eonet,
+        EPIC: cacheConfig.epic,
+        IMAGE_LIBRARY: cacheConfig.imageLibrary,
+        SSD: cacheConfig.ssd,
+        TLE: cacheConfig.tle,
+        GIBS: cacheConfig.gibs,
+        TECHNOLOGY: cacheConfig.technology
       }
     };
   }
@@ -30,18 +68,56 @@ const getApiConfig = () => {
   // Fallback configuration if ENV_CONFIG is not available
   return {
     BASE_URL: 'https://api.nasa.gov',
+    EONET_URL: 'https://eonet.gsfc.nasa.gov/api/v3',
+    EPIC_ARCHIVE_URL: 'https://epic.gsfc.nasa.gov/archive',
+    IMAGE_LIBRARY_URL: 'https://images-api.nasa.gov',
+    SSD_URL: 'https://ssd-api.jpl.nasa.gov',
+    TLE_URL: 'https://tle.ivanstanojevic.me/api/tle',
+    GIBS_URL: 'https://gibs.earthdata.nasa.gov/wmts/epsg4326/best',
     DEFAULT_API_KEY: 'DEMO_KEY',
+    PROXY: {
+      enabled: true,     // NASA key is added server-side (see api/)
+      nasaUrl: '/api/nasa',
+      exoplanetUrl: '/api/exoplanets',
+      ssdUrl: '/api/ssd'
+    },
+    EXOPLANETS: {
+      ARCHIVE_URL: 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync',
+      CORS_PROXIES: [
+        'https://api.allorigins.win/get?url=',
+        'https://corsproxy.io/?',
+        'https://api.codetabs.com/v1/proxy?quest='
+      ]
+    },
+    REQUEST_TIMEOUT: 15000, // 15 seconds
+    TRANSPORT: {
+      mode: 'live',
+      fixturesUrl: '/fixtures/recordings.json'
+    },
     RATE_LIMIT: {
       DEMO_KEY: { requests: 30, window: 3600000 }, // 30 requests per hour
       API_KEY: { requests: 1000, window: 3600000 }  // 1000 requests per hour
     },
+    RETRY: {
+      maxAttempts: 3,    // Initial attempt plus two retries
+      baseDelay: 1000,   // 1 second, doubled on every retry
+      maxDelay: 30000,   // 30 seconds
+      jitter: 0.3        // Randomize delays by up to 30%
+    },
     CACHE_DURATION: {
-      APOD: 60,          // 1 hour
-      MARS_WEATHER: 30,  // 30 minutes
-      ASTEROIDS: 180,    // 3 hours
-      SPACE_WEATHER: 15, // 15 minutes
-      MARS_ROVERS: 240,  // 4 hours
-      EXOPLANETS: 1440   // 24 hours
+      APOD: 60,            // 1 hour
+      MARS_WEATHER: 30,    // 30 minutes
+      ASTEROIDS: 180,      // 3 hours
+      SPACE_WEATHER: 15,   // 15 minutes
+      MARS_ROVERS: 240,    // 4 hours
+      EXOPLANETS: 1440,    // 24 hours
+      EONET: 30,           // 30 minutes
+      EPIC: 60,            // 1 hour
+      IMAGE_LIBRARY: 360,  // 6 hours
+      SSD: 360,            // 6 hours
+      TLE: 120,            // 2 hours
+      GIBS: 1440,          // 24 hours (map tiles)
+      TECHNOLOGY: 1440     // 24 hours
     }
   };
 };
@@ -51,33 +127,93 @@ const API_CONFIG = getApiConfig();
 
 // Rate Limiter Class
 class RateLimiter {
-  constructor(config) {
+  constructor(config, apiKey = '') {
     this.maxRequests = config.requests;
     this.windowMs = config.window;
-    this.requests = StorageUtils.get('rate_limiter_requests', []);
+    // Quota is tracked per key (or 'proxy') so switching keys or origins starts fresh
+    const id = RateLimiter.hashKey(apiKey);
+    this.storageKey = `rate_limiter_requests_${id}`;
+    this.serverStorageKey = `rate_limiter_server_${id}`;
+    this.requests = StorageUtils.get(this.storageKey, []);
     this.cleanOldRequests();
   }
 
+  static hashKey(apiKey) {
+    let hash = 0;
+    for (let i = 0; i < apiKey.length; i++) {
+      hash = ((hash << 5) - hash + apiKey.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash).toString(36);
+  }
+
   cleanOldRequests() {
     const now = Date.now();
     this.requests = this.requests.filter(timestamp => 
       now - timestamp < this.windowMs
     );
-    StorageUtils.set('rate_limiter_requests', this.requests);
+    StorageUtils.set(this.storageKey, this.requests);
   }
 
   canMakeRequest() {
-    this.cleanOldRequests();
-    return this.requests.length < this.maxRequests;
+    return this.getRemainingRequests() > 0;
   }
 
   recordRequest() {
     this.requests.push(Date.now());
-    StorageUtils.set('rate_limiter_requests', this.requests);
+    StorageUtils.set(this.storageKey, this.requests);
+
+    // Count down until the next response tells us the real number
+    const serverInfo = this.getServerInfo();
+    if (serverInfo) {
+      serverInfo.remaining = Math.max(0, serverInfo.remaining - 1);
+      StorageUtils.set(this.serverStorageKey, serverInfo);
+    }
+  }
+
+  updateFromHeaders(headers) {
+    if (!headers) return;
+
+    const limit = parseInt(headers.get('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(headers.get('X-RateLimit-Remaining'), 10);
+
+    if (isNaN(remaining)) return;
+
+    StorageUtils.set(this.serverStorageKey, {
+      limit: isNaN(limit) ? this.maxRequests : limit,
+      remaining,
+      timestamp: Date.now()
+    });
+  }
+
+  getServerInfo() {
+    const serverInfo = StorageUtils.get(this.serverStorageKey);
+
+    // NASA's counter rolls over hourly, so an old reading means nothing
+    if (!serverInfo || Date.now() - serverInfo.timestamp >= this.windowMs) {
+      return null;
+    }
+
+    return serverInfo;
+  }
+
+  getLimit() {
+    const serverInfo = this.getServerInfo();
+    return serverInfo ? serverInfo.limit : this.maxRequests;
+  }
+
+  getSource() {
+    return this.getServerInfo() ? 'server' : 'estimate';
   }
 
   getTimeUntilReset() {
-    if (this.requests.length === 0) return 0;
+    if (this.requests.length === 0) {
+      // Quota spent elsewhere (another browser or device) has no local timestamps
+      const serverInfo = this.getServerInfo();
+      if (serverInfo && serverInfo.remaining === 0) {
+        return Math.max(0, this.windowMs - (Date.now() - serverInfo.timestamp));
+      }
+      return 0;
+    }
     
     const oldestRequest = Math.min(...this.requests);
     const timeUntilReset = this.windowMs - (Date.now() - oldestRequest);
@@ -85,62 +221,684 @@ class RateLimiter {
   }
 
   getRemainingRequests() {
+    const serverInfo = this.getServerInfo();
+    if (serverInfo) {
+      return serverInfo.remaining;
+    }
+
+    // Fall back to counting our own requests in this browser
     this.cleanOldRequests();
     return Math.max(0, this.maxRequests - this.requests.length);
   }
 }
 
+// Request Coalescer Class
+// Shares a single in-flight promise between identical requests
+class RequestCoalescer {
+  constructor(maxStatsKeys = 200) {
+    this.inFlight = new Map();
+    this.stats = {};
+    this.maxStatsKeys = maxStatsKeys;
+    this.transformIds = new WeakMap();
+    this.nextTransformId = 1;
+  }
+
+  // Requests only share a promise when they hit the same URL and shape the body the same way
+  buildKey(url, params = {}, { responseType = 'json', transform = null } = {}) {
+    const sortedParams = Object.keys(params)
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+    const target = sortedParams ? `${url}?${sortedParams}` : url;
+    return transform
+      ? `${responseType} ${target} #${this.getTransformId(transform)}`
+      : `${responseType} ${target}`;
+  }
+
+  // By identity: closures with the same code can capture different values
+  getTransformId(transform) {
+    if (!this.transformIds.has(transform)) {
+      this.transformIds.set(transform, this.nextTransformId++);
+    }
+    return this.transformIds.get(transform);
+  }
+
+  run(key, requestFn, signal = null) {
+    if (!this.stats[key]) {
+      this.stats[key] = { requests: 0, collapsed: 0 };
+      this.pruneStats();
+    }
+    this.stats[key].requests++;
+
+    let entry = this.inFlight.get(key);
+    if (entry) {
+      this.stats[key].collapsed++;
+    } else {
+      // The shared request gets its own controller so one caller giving up
+      // doesn't cancel it for everyone else still waiting on it
+      const controller = new AbortController();
+      entry = { key, controller, subscribers: 0, pinned: false };
+      entry.promise = requestFn(controller.signal).finally(() => {
+        this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, entry);
+    }
+
+    return this.subscribe(entry, signal);
+  }
+
+  subscribe(entry, signal) {
+    // Callers that can't cancel keep the shared request alive
+    if (!signal) {
+      entry.pinned = true;
+      return entry.promise;
+    }
+
+    entry.subscribers++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.subscribers--;
+        if (entry.subscribers === 0 && !entry.pinned) {
+          entry.controller.abort();
+        }
+        reject(APIError.cancelled(entry.key));
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(
+        data => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(data);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  // Keeps the most recent keys so a long session doesn't grow the stats forever
+  pruneStats() {
+    const keys = Object.keys(this.stats);
+    keys.slice(0, Math.max(0, keys.length - this.maxStatsKeys)).forEach(key => delete this.stats[key]);
+  }
+
+  getStats() {
+    const totals = Object.values(this.stats).reduce((sum, entry) => ({
+      requests: sum.requests + entry.requests,
+      collapsed: sum.collapsed + entry.collapsed
+    }), { requests: 0, collapsed: 0 });
+
+    return {
+      ...totals,
+      inFlight: this.inFlight.size,
+      byKey: { ...this.stats }
+    };
+  }
+
+  resetStats() {
+    this.stats = {};
+  }
+}
+
+// Request event types emitted for every API call
+const REQUEST_EVENTS = {
+  START: 'request:start',
+  CACHE_HIT: 'request:cache-hit',
+  SUCCESS: 'request:success',
+  ERROR: 'request:error',
+  RATE_LIMITED: 'request:rate-limited',
+  RETRY: 'request:retry'
+};
+
+// Request Event Bus Class
+// Publishes structured request events and keeps a short history for late subscribers
+class RequestEventBus {
+  constructor(historySize = 200) {
+    this.listeners = new Map();
+    this.history = [];
+    this.historySize = historySize;
+    this.nextId = 1;
+  }
+
+  // Subscribe to one event type, or '*' for all; returns an unsubscribe function
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.listeners.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  emit(type, detail = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: Date.now(),
+      endpoint: null,
+      duration: null,
+      size: null,
+      ...detail
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    [type, '*'].forEach(key => {
+      (this.listeners.get(key) || []).forEach(handler => {
+        // A broken listener must never break the request itself
+        try {
+          handler(event);
+        } catch (error) {
+          console.error('Request event listener failed:', error);
+        }
+      });
+    });
+
+    return event;
+  }
+
+  // Correlates the events of one logical request
+  createRequestId() {
+    return `req_${this.nextId}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  clearHistory() {
+    this.history = [];
+  }
+}
+
+// Request Controller Class
+// Combines a caller's abort signal with a per-request timeout
+class RequestController {
+  constructor(parentSignal = null, timeout = 0) {
+    this.controller = new AbortController();
+    this.timedOut = false;
+    this.timeoutId = null;
+    this.parentSignal = parentSignal;
+    this.onParentAbort = () => this.controller.abort();
+
+    if (parentSignal) {
+      if (parentSignal.aborted) {
+        this.controller.abort();
+      } else {
+        parentSignal.addEventListener('abort', this.onParentAbort, { once: true });
+      }
+    }
+
+    if (timeout > 0) {
+      this.timeoutId = setTimeout(() => {
+        this.timedOut = true;
+        this.controller.abort();
+      }, timeout);
+    }
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  dispose() {
+    clearTimeout(this.timeoutId);
+    if (this.parentSignal) {
+      this.parentSignal.removeEventListener('abort', this.onParentAbort);
+    }
+  }
+}
+
+// HTTP Transport Class
+// Sends requests straight to the network
+class HTTPTransport {
+  constructor() {
+    this.mode = 'live';
+    this.usesNetwork = true;
+  }
+
+  async send(url, options = {}) {
+    return fetch(url, { signal: options.signal });
+  }
+
+  // Fixtures are keyed by URL without the API key so they can be shared
+  // (same-origin proxy URLs drop the origin so any dev host can replay them)
+  static fixtureKey(url) {
+    const parsed = new URL(url, window.location.href);
+    parsed.searchParams.delete('api_key');
+    parsed.searchParams.sort();
+    return parsed.origin === window.location.origin
+      ? `${parsed.pathname}${parsed.search}`
+      : parsed.toString();
+  }
+}
+
+// Recording Transport Class
+// Sends requests to the network and keeps every response as a fixture
+class RecordingTransport extends HTTPTransport {
+  constructor() {
+    super();
+    this.mode = 'record';
+    this.storageKey = 'transport_recordings';
+    this.recordings = StorageUtils.get(this.storageKey, {});
+    this.storageFull = false;
+  }
+
+  async send(url, options = {}) {
+    const response = await super.send(url, options);
+
+    if (options.record !== false) {
+      const body = await response.clone().text();
+      this.store(options.fixtureKey || HTTPTransport.fixtureKey(url), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.pickHeaders(response.headers),
+        body
+      });
+    }
+
+    return response;
+  }
+
+  // For responses that had to be unwrapped first (e.g. from a CORS proxy)
+  recordData(fixtureKey, data, contentType = 'application/json') {
+    this.store(fixtureKey, {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'Content-Type': contentType },
+      body: typeof data === 'string' ? data : JSON.stringify(data)
+    });
+  }
+
+  // Recordings live in memory and are mirrored to localStorage so they survive page changes
+  store(fixtureKey, fixture) {
+    this.recordings[fixtureKey] = { ...fixture, recordedAt: new Date().toISOString() };
+
+    if (!StorageUtils.set(this.storageKey, this.recordings) && !this.storageFull) {
+      this.storageFull = true;
+      console.warn(`Recorded fixtures no longer fit in localStorage. The ${Object.keys(this.recordings).length} recorded so far are kept ` +
+        'in memory only: run APIManager.exportRecordedFixtures() before leaving this page.');
+    }
+  }
+
+  pickHeaders(headers) {
+    const kept = {};
+    ['Content-Type', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'].forEach(name => {
+      const value = headers.get(name);
+      if (value !== null) {
+        kept[name] = value;
+      }
+    });
+    return kept;
+  }
+
+  getRecordings() {
+    return { ...this.recordings };
+  }
+
+  exportRecordings(filename = 'recordings.json') {
+    const fixtureFile = {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      fixtures: this.recordings
+    };
+
+    const blob = new Blob([JSON.stringify(fixtureFile, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+
+    return Object.keys(this.recordings).length;
+  }
+
+  clearRecordings() {
+    this.recordings = {};
+    this.storageFull = false;
+    StorageUtils.remove(this.storageKey);
+  }
+}
+
+// Replay Transport Class
+// Answers requests from a recorded fixture file without touching the network
+class ReplayTransport extends HTTPTransport {
+  constructor(fixturesUrl) {
+    super();
+    this.mode = 'replay';
+    this.usesNetwork = false;
+    this.fixturesUrl = fixturesUrl;
+    this.fixturesPromise = null;
+  }
+
+  loadFixtures() {
+    if (!this.fixturesPromise) {
+      // The fixture file is a static asset served next to the app
+      this.fixturesPromise = fetch(this.fixturesUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(fixtureFile => fixtureFile.fixtures || {})
+        .catch(error => {
+          console.error(`Failed to load fixtures from ${this.fixturesUrl}:`, error.message);
+          this.fixturesPromise = null;
+          return {};
+        });
+    }
+    return this.fixturesPromise;
+  }
+
+  async send(url, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      const abortError = new Error('The request was aborted.');
+      abortError.name = 'AbortError';
+      throw abortError;
+    }
+
+    const fixtureKey = options.fixtureKey || HTTPTransport.fixtureKey(url);
+    const fixtures = await this.loadFixtures();
+    const fixture = fixtures[fixtureKey];
+
+    if (!fixture) {
+      throw new APIError(404, `No recorded fixture for ${fixtureKey}`, fixtureKey, { retryable: false });
+    }
+
+    return new Response(fixture.body, {
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: fixture.headers
+    });
+  }
+}
+
+const createTransport = (config) => {
+  switch (config.mode) {
+    case 'record': return new RecordingTransport();
+    case 'replay': return new ReplayTransport(config.fixturesUrl);
+    default: return new HTTPTransport();
+  }
+};
+
+// All services share one transport so a whole session records or replays together
+const apiTransport = createTransport(API_CONFIG.TRANSPORT);
+
+// Shared across all service instances so that separate pages and components
+// asking for the same data at the same time only hit the network once
+const requestCoalescer = new RequestCoalescer();
+
+// Every service reports to the same bus so one inspector sees all traffic
+const requestEvents = new RequestEventBus();
+
+// Retry Policy Class
+// Decides whether a failed request is retried and how long to wait first
+class RetryPolicy {
+  constructor(config) {
+    this.maxAttempts = Math.max(1, config.maxAttempts);
+    this.baseDelay = config.baseDelay;
+    this.maxDelay = config.maxDelay;
+    this.jitter = config.jitter;
+  }
+
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts) return false;
+    if (!(error instanceof APIError) || !error.retryable) return false;
+    if (!navigator.onLine) return false;
+
+    // Only network failures, rate limiting and server errors are transient;
+    // 4xx validation errors will fail the same way every time
+    return error.status === 0 || error.status === 429 || error.status >= 500;
+  }
+
+  getDelay(error, attempt) {
+    // Honor the server's Retry-After when it fits within our patience
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= this.maxDelay ? error.retryAfter : null;
+    }
+
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    const spread = exponential * this.jitter;
+    return Math.round(exponential - spread + Math.random() * spread * 2);
+  }
+
+  getRetryDelay(error, attempt) {
+    if (!this.shouldRetry(error, attempt)) return null;
+    return this.getDelay(error, attempt);
+  }
+
+  wait(delay, signal = null) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(APIError.cancelled());
+      };
+
+      // Long-lived page signals outlast many waits, so don't leave a listener behind
+      const timeoutId = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delay);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  static parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const retryDate = Date.parse(headerValue);
+    if (!isNaN(retryDate)) {
+      return Math.max(0, retryDate - Date.now());
+    }
+
+    return null;
+  }
+}
+
 // Custom API Error Class
 class APIError extends Error {
-  constructor(status, message, endpoint) {
+  constructor(status, message, endpoint, details = {}) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.endpoint = endpoint;
+    this.retryAfter = details.retryAfter ?? null;
+    this.retryable = details.retryable !== false;
+    this.attempts = details.attempts || 1;
+    this.aborted = details.aborted === true;
+  }
+
+  static cancelled(endpoint = null) {
+    return new APIError(0, 'Request was cancelled.', endpoint, { aborted: true, retryable: false });
+  }
+
+  static timedOut(endpoint, timeout) {
+    return new APIError(0, `Request timed out after ${Math.round(timeout / 1000)} seconds.`, endpoint);
   }
 }
 
 // Base API Service Class
 class BaseAPIService {
-  constructor(apiKey = API_CONFIG.DEFAULT_API_KEY) {
+  constructor(apiKey = API_CONFIG.DEFAULT_API_KEY, retryOptions = {}) {
     this.apiKey = apiKey;
-    this.baseURL = API_CONFIG.BASE_URL;
+    // Through the proxy the key stays on the server, so a key of the user's own goes direct
+    this.useProxy = API_CONFIG.PROXY.enabled && apiKey === 'DEMO_KEY';
+    this.baseURL = this.useProxy ? API_CONFIG.PROXY.nasaUrl : API_CONFIG.BASE_URL;
+    // Services on other NASA hosts turn this off; only api.nasa.gov needs the key
+    this.requiresApiKey = true;
     
     // Set up rate limiting based on API key type
     const rateConfig = apiKey === API_CONFIG.DEFAULT_API_KEY 
       ? API_CONFIG.RATE_LIMIT.DEMO_KEY 
       : API_CONFIG.RATE_LIMIT.API_KEY;
     
-    this.rateLimiter = new RateLimiter(rateConfig);
+    this.rateLimiter = new RateLimiter(rateConfig, this.useProxy ? 'proxy' : apiKey);
+    this.retryPolicy = new RetryPolicy({ ...API_CONFIG.RETRY, ...retryOptions });
+    this.timeout = API_CONFIG.REQUEST_TIMEOUT;
+    this.transport = apiTransport;
   }
 
-  async makeRequest(endpoint, params = {}, cacheKey = null, cacheDuration = 60) {
+  /**
+   * Request options accepted by every service method
+   * @typedef {object} RequestOptions
+   * @property {AbortSignal} [signal] - Cancels the request when aborted
+   * @property {number} [timeout] - Milliseconds before a single attempt is abandoned
+   * @property {function} [transform] - Reshapes the response before it is cached
+   * @property {string} [responseType] - 'json' (default) or 'text' for non-JSON bodies
+   * @property {boolean} [coalesce] - false to never share the request with identical ones
+   */
+  async makeRequest(endpoint, params = {}, cacheKey = null, cacheDuration = 60, options = {}) {
     // Check cache first
     if (cacheKey) {
       const cachedData = CacheUtils.getCachedData(cacheKey, cacheDuration);
       if (cachedData) {
+        requestEvents.emit(REQUEST_EVENTS.CACHE_HIT, {
+          service: this.constructor.name,
+          endpoint,
+          params,
+          cacheKey,
+          duration: 0,
+          size: JSON.stringify(cachedData).length
+        });
         return cachedData;
       }
     }
 
-    // Check rate limiting
-    if (!this.rateLimiter.canMakeRequest()) {
+    if (options.signal && options.signal.aborted) {
+      throw APIError.cancelled(endpoint);
+    }
+
+    const timeout = options.timeout ?? this.timeout;
+    const request = (signal) => this.performRequest(endpoint, params, cacheKey, cacheDuration, {
+      signal,
+      timeout,
+      transform: options.transform,
+      responseType: options.responseType
+    });
+
+    if (options.coalesce === false) {
+      return request(options.signal);
+    }
+
+    // Share the in-flight request if an identical one is already pending
+    const requestKey = requestCoalescer.buildKey(this.resolveTarget(endpoint), params, options);
+    return requestCoalescer.run(requestKey, request, options.signal);
+  }
+
+  async performRequest(endpoint, params = {}, cacheKey = null, cacheDuration = 60, options = {}) {
+    const eventDetail = { requestId: requestEvents.createRequestId(), service: this.constructor.name, endpoint, params };
+    const startTime = Date.now();
+    const report = (type, detail) => requestEvents.emit(type, { ...eventDetail, duration: Date.now() - startTime, ...detail });
+    const reportFailure = (error, attempts) => report(error.status === 429 ? REQUEST_EVENTS.RATE_LIMITED : REQUEST_EVENTS.ERROR, {
+      status: error.status,
+      message: error.message,
+      aborted: Boolean(error.aborted),
+      attempts
+    });
+
+    requestEvents.emit(REQUEST_EVENTS.START, eventDetail);
+
+    for (let attempt = 1; ; attempt++) {
+      const response = {};
+      try {
+        const body = await this.fetchData(endpoint, params, { ...options, response });
+        const data = options.transform ? options.transform(body) : body;
+
+        // Cache the successful response
+        if (cacheKey) {
+          CacheUtils.setCachedData(cacheKey, data, cacheDuration);
+        }
+
+        report(REQUEST_EVENTS.SUCCESS, { size: response.size, status: response.status, attempts: attempt });
+        return data;
+      } catch (error) {
+        error.attempts = attempt;
+
+        const delay = this.retryPolicy.getRetryDelay(error, attempt);
+        if (delay === null) {
+          reportFailure(error, attempt);
+          throw error;
+        }
+
+        report(REQUEST_EVENTS.RETRY, { status: error.status, message: error.message, attempt: attempt + 1, delay });
+        console.warn(`Request to ${endpoint} failed (${error.status}), retrying in ${delay}ms (attempt ${attempt + 1} of ${this.retryPolicy.maxAttempts})`);
+        try {
+          await this.retryPolicy.wait(delay, options.signal);
+        } catch (waitError) {
+          reportFailure(waitError, attempt);
+          throw waitError;
+        }
+      }
+    }
+  }
+
+  async fetchData(endpoint, params = {}, options = {}) {
+    // Only keyed requests count against the api.nasa.gov quota
+    const countsTowardQuota = this.requiresApiKey && this.transport.usesNetwork;
+
+    // Check rate limiting (a local estimate, so waiting a few seconds won't help)
+    if (countsTowardQuota && !this.rateLimiter.canMakeRequest()) {
       const resetTime = Math.ceil(this.rateLimiter.getTimeUntilReset() / 1000 / 60);
-      throw new APIError(429, `Rate limit exceeded. Try again in ${resetTime} minutes.`, endpoint);
+      throw new APIError(429, `Rate limit exceeded. Try again in ${resetTime} minutes.`, endpoint, { retryable: false });
     }
 
     // Build URL with parameters
-    const url = URLUtils.buildURL(`${this.baseURL}${endpoint}`, {
-      api_key: this.apiKey,
+    const url = URLUtils.buildURL(this.resolveTarget(endpoint), {
+      api_key: this.requiresApiKey && !this.useProxy ? this.apiKey : null,
       ...params
     });
 
+    const requestController = new RequestController(options.signal, options.timeout);
+
     try {
       // Record the request for rate limiting
-      this.rateLimiter.recordRequest();
+      if (countsTowardQuota) {
+        this.rateLimiter.recordRequest();
+      }
 
       // Make the API call
-      const response = await fetch(url);
+      const response = await this.transport.send(url, { signal: requestController.signal });
+      
+      // Keep the limiter in line with the quota NASA reports
+      if (this.requiresApiKey) {
+        this.rateLimiter.updateFromHeaders(response.headers);
+      }
+      
+      // Let the caller report the status and size
+      if (options.response) {
+        options.response.status = response.status;
+      }
       
       if (!response.ok) {
         let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
@@ -154,74 +912,102 @@ class BaseAPIService {
           // Use default error message if response is not JSON
         }
         
-        throw new APIError(response.status, errorMessage, endpoint);
+        throw new APIError(response.status, errorMessage, endpoint, {
+          retryAfter: RetryPolicy.parseRetryAfter(response.headers.get('Retry-After'))
+        });
       }
 
-      const data = await response.json();
-      
-      // Cache the successful response
-      if (cacheKey) {
-        CacheUtils.setCachedData(cacheKey, data, cacheDuration);
+      const body = await response.text();
+      if (options.response) {
+        options.response.size = body.length;
+      }
+      if (options.responseType === 'text') {
+        return body;
       }
 
-      return data;
+      // A malformed body will come back the same way, so don't spend quota retrying it
+      try {
+        return JSON.parse(body);
+      } catch {
+        throw new APIError(response.status, 'The server returned a response that could not be read.', endpoint, { retryable: false });
+      }
     } catch (error) {
       if (error instanceof APIError) {
         throw error;
       }
       
+      if (error.name === 'AbortError') {
+        throw requestController.timedOut
+          ? APIError.timedOut(endpoint, options.timeout)
+          : APIError.cancelled(endpoint);
+      }
+      
       // Handle network errors
       if (!navigator.onLine) {
         throw new APIError(0, 'No internet connection available.', endpoint);
       }
       
       throw new APIError(0, error.message || 'Network request failed.', endpoint);
+    } finally {
+      requestController.dispose();
     }
   }
 
+  // Absolute URLs are links returned by an earlier response
+  resolveTarget(endpoint) {
+    return /^https?:\/\//.test(endpoint) ? endpoint : `${this.baseURL}${endpoint}`;
+  }
+
   getRateLimitInfo() {
     return {
       remaining: this.rateLimiter.getRemainingRequests(),
-      resetTime: this.rateLimiter.getTimeUntilReset()
+      limit: this.rateLimiter.getLimit(),
+      resetTime: this.rateLimiter.getTimeUntilReset(),
+      source: this.rateLimiter.getSource()
     };
   }
+
+  getCoalescingStats() {
+    return requestCoalescer.getStats();
+  }
 }
 
 // APOD Service
 class APODService extends BaseAPIService {
-  async getTodayAPOD() {
-    return this.makeRequest('/planetary/apod', {}, 'apod_today', API_CONFIG.CACHE_DURATION.APOD);
+  async getTodayAPOD(options = {}) {
+    return this.makeRequest('/planetary/apod', {}, 'apod_today', API_CONFIG.CACHE_DURATION.APOD, options);
   }
 
-  async getAPODByDate(date) {
+  async getAPODByDate(date, options = {}) {
     const cacheKey = `apod_${date}`;
-    return this.makeRequest('/planetary/apod', { date }, cacheKey, API_CONFIG.CACHE_DURATION.APOD);
+    return this.makeRequest('/planetary/apod', { date }, cacheKey, API_CONFIG.CACHE_DURATION.APOD, options);
   }
 
-  async getAPODRange(startDate, endDate) {
+  async getAPODRange(startDate, endDate, options = {}) {
     const cacheKey = `apod_range_${startDate}_${endDate}`;
     return this.makeRequest('/planetary/apod', { 
       start_date: startDate, 
       end_date: endDate 
-    }, cacheKey, API_CONFIG.CACHE_DURATION.APOD);
+    }, cacheKey, API_CONFIG.CACHE_DURATION.APOD, options);
   }
 
-  async getRandomAPOD(count = 1) {
-    return this.makeRequest('/planetary/apod', { count }, null, 0); // Don't cache random images
+  async getRandomAPOD(count = 1, options = {}) {
+    // Don't cache or share random images
+    return this.makeRequest('/planetary/apod', { count }, null, 0, { ...options, coalesce: false });
   }
 }
 
 // Mars Weather Service (InSight)
 class MarsWeatherService extends BaseAPIService {
-  async getCurrentWeather() {
+  async getCurrentWeather(options = {}) {
     return this.makeRequest('/insight_weather/', { 
       feedtype: 'json', 
       ver: '1.0' 
-    }, 'mars_weather_current', API_CONFIG.CACHE_DURATION.MARS_WEATHER);
+    }, 'mars_weather_current', API_CONFIG.CACHE_DURATION.MARS_WEATHER, options);
   }
 
-  async getLatestSol() {
-    const data = await this.getCurrentWeather();
+  async getLatestSol(options = {}) {
+    const data = await this.getCurrentWeather(options);
     if (data && data.sol_keys && data.sol_keys.length > 0) {
       const latestSol = data.sol_keys[data.sol_keys.length - 1];
       return {
@@ -235,7 +1021,7 @@ class MarsWeatherService extends BaseAPIService {
 
 // Asteroid Service (NeoWs)
 class AsteroidService extends BaseAPIService {
-  async getNearEarthObjects(startDate = null, endDate = null) {
+  async getNearEarthObjects(startDate = null, endDate = null, options = {}) {
     const today = DateUtils.getTodayString();
     const params = {
       start_date: startDate || today,
@@ -243,29 +1029,56 @@ class AsteroidService extends BaseAPIService {
     };
     
     const cacheKey = `asteroids_${params.start_date}_${params.end_date}`;
-    return this.makeRequest('/neo/rest/v1/feed', params, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS);
+    return this.makeRequest('/neo/rest/v1/feed', params, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS, options);
   }
 
-  async getAsteroidDetails(asteroidId) {
+  async getAsteroidDetails(asteroidId, options = {}) {
     const cacheKey = `asteroid_${asteroidId}`;
-    return this.makeRequest(`/neo/rest/v1/neo/${asteroidId}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS);
+    return this.makeRequest(`/neo/rest/v1/neo/${asteroidId}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS, options);
   }
 
-  async browseAsteroids(page = 0, size = 20) {
+  async browseAsteroids(page = 0, size = 20, options = {}) {
     const cacheKey = `asteroids_browse_${page}_${size}`;
-    return this.makeRequest('/neo/rest/v1/neo/browse', { page, size }, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS);
+    return this.makeRequest('/neo/rest/v1/neo/browse', { page, size }, cacheKey, API_CONFIG.CACHE_DURATION.ASTEROIDS, options);
   }
 
-  async getAsteroidsForWeek() {
+  async getAsteroidsForWeek(options = {}) {
     const today = DateUtils.getTodayString();
     const weekAgo = DateUtils.getDateDaysAgo(7);
-    return this.getNearEarthObjects(weekAgo, today);
+    return this.getNearEarthObjects(weekAgo, today, options);
   }
 }
 
+// Interplanetary shock locations and catalogs understood by DONKI
+const DONKI_IPS_LOCATIONS = ['ALL', 'Earth', 'MESSENGER', 'STEREO A', 'STEREO B'];
+const DONKI_IPS_CATALOGS = ['ALL', 'SWRC_CATALOG', 'WINSLOW_MESSENGER_ICME_CATALOG'];
+
+// Data sets getAllSpaceWeatherEvents always loads (SEP rates radiation storms, WSA-Enlil forecasts CME arrivals);
+// each other one costs a keyed request, so it is opt-in
+const DONKI_CORE_EVENT_TYPES = [
+  'coronalMassEjections',
+  'geomagneticStorms',
+  'solarFlares',
+  'notifications',
+  'solarEnergeticParticles',
+  'wsaEnlilSimulations'
+];
+
+// Event kinds found in DONKI activity IDs, with the data set and field that hold them
+const DONKI_ACTIVITY_TYPES = {
+  FLR: { key: 'solarFlares', idField: 'flrID' },
+  CME: { key: 'coronalMassEjections', idField: 'activityID' },
+  GST: { key: 'geomagneticStorms', idField: 'gstID' },
+  IPS: { key: 'interplanetaryShocks', idField: 'activityID' },
+  SEP: { key: 'solarEnergeticParticles', idField: 'sepID' },
+  HSS: { key: 'highSpeedStreams', idField: 'hssID' },
+  MPC: { key: 'magnetopauseCrossings', idField: 'mpcID' },
+  RBE: { key: 'radiationBeltEnhancements', idField: 'rbeID' }
+};
+
 // Space Weather Service (DONKI)
 class SpaceWeatherService extends BaseAPIService {
-  async getCoronalMassEjections(startDate = null, endDate = null) {
+  async getCoronalMassEjections(startDate = null, endDate = null, options = {}) {
     const today = DateUtils.getTodayString();
     const params = {
       startDate: startDate || DateUtils.getDateDaysAgo(30),
@@ -273,10 +1086,10 @@ class SpaceWeatherService extends BaseAPIService {
     };
     
     const cacheKey = `cme_${params.startDate}_${params.endDate}`;
-    return this.makeRequest('/DONKI/CME', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER);
+    return this.makeRequest('/DONKI/CME', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, options);
   }
 
-  async getGeomagneticStorms(startDate = null, endDate = null) {
+  async getGeomagneticStorms(startDate = null, endDate = null, options = {}) {
     const today = DateUtils.getTodayString();
     const params = {
       startDate: startDate || DateUtils.getDateDaysAgo(30),
@@ -284,10 +1097,10 @@ class SpaceWeatherService extends BaseAPIService {
     };
     
     const cacheKey = `gst_${params.startDate}_${params.endDate}`;
-    return this.makeRequest('/DONKI/GST', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER);
+    return this.makeRequest('/DONKI/GST', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, options);
   }
 
-  async getSolarFlares(startDate = null, endDate = null) {
+  async getSolarFlares(startDate = null, endDate = null, options = {}) {
     const today = DateUtils.getTodayString();
     const params = {
       startDate: startDate || DateUtils.getDateDaysAgo(30),
@@ -295,10 +1108,10 @@ class SpaceWeatherService extends BaseAPIService {
     };
     
     const cacheKey = `flr_${params.startDate}_${params.endDate}`;
-    return this.makeRequest('/DONKI/FLR', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER);
+    return this.makeRequest('/DONKI/FLR', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, options);
   }
 
-  async getSpaceWeatherNotifications(startDate = null, endDate = null) {
+  async getSpaceWeatherNotifications(startDate = null, endDate = null, options = {}) {
     const today = DateUtils.getTodayString();
     const params = {
       startDate: startDate || DateUtils.getDateDaysAgo(7),
@@ -307,223 +1120,1903 @@ class SpaceWeatherService extends BaseAPIService {
     };
     
     const cacheKey = `notifications_${params.startDate}_${params.endDate}`;
-    return this.makeRequest('/DONKI/notifications', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER);
+    return this.makeRequest('/DONKI/notifications', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, options);
   }
 
-  async getAllSpaceWeatherEvents(startDate = null, endDate = null) {
-    try {
-      const [cme, gst, flares, notifications] = await Promise.allSettled([
-        this.getCoronalMassEjections(startDate, endDate),
-        this.getGeomagneticStorms(startDate, endDate),
-        this.getSolarFlares(startDate, endDate),
-        this.getSpaceWeatherNotifications(startDate, endDate)
-      ]);
+  async getSolarEnergeticParticles(startDate = null, endDate = null, options = {}) {
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(30),
+      endDate: endDate || today
+    };
 
-      return {
-        coronalMassEjections: cme.status === 'fulfilled' ? cme.value : [],
-        geomagneticStorms: gst.status === 'fulfilled' ? gst.value : [],
-        solarFlares: flares.status === 'fulfilled' ? flares.value : [],
-        notifications: notifications.status === 'fulfilled' ? notifications.value : []
-      };
+    const cacheKey = `sep_${params.startDate}_${params.endDate}`;
+    return this.makeRequest('/DONKI/SEP', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  // location and catalog narrow the shocks to one spacecraft or catalog (see DONKI_IPS_LOCATIONS)
+  async getInterplanetaryShocks(startDate = null, endDate = null, location = 'ALL', catalog = 'ALL', options = {}) {
+    if (!DONKI_IPS_LOCATIONS.includes(location)) {
+      throw new APIError(400, `Unknown shock location: ${location}`, '/DONKI/IPS', { retryable: false });
+    }
+    if (!DONKI_IPS_CATALOGS.includes(catalog)) {
+      throw new APIError(400, `Unknown shock catalog: ${catalog}`, '/DONKI/IPS', { retryable: false });
+    }
+
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(30),
+      endDate: endDate || today,
+      location,
+      catalog
+    };
+
+    const cacheKey = `ips_${params.startDate}_${params.endDate}_${location}_${catalog}`;
+    return this.makeRequest('/DONKI/IPS', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  async getHighSpeedStreams(startDate = null, endDate = null, options = {}) {
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(30),
+      endDate: endDate || today
+    };
+
+    const cacheKey = `hss_${params.startDate}_${params.endDate}`;
+    return this.makeRequest('/DONKI/HSS', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  async getMagnetopauseCrossings(startDate = null, endDate = null, options = {}) {
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(30),
+      endDate: endDate || today
+    };
+
+    const cacheKey = `mpc_${params.startDate}_${params.endDate}`;
+    return this.makeRequest('/DONKI/MPC', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  async getRadiationBeltEnhancements(startDate = null, endDate = null, options = {}) {
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(30),
+      endDate: endDate || today
+    };
+
+    const cacheKey = `rbe_${params.startDate}_${params.endDate}`;
+    return this.makeRequest('/DONKI/RBE', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  // DONKI defaults these to the last 7 days, like notifications
+  async getWSAEnlilSimulations(startDate = null, endDate = null, options = {}) {
+    const today = DateUtils.getTodayString();
+    const params = {
+      startDate: startDate || DateUtils.getDateDaysAgo(7),
+      endDate: endDate || today
+    };
+
+    const cacheKey = `wsa_enlil_${params.startDate}_${params.endDate}`;
+    return this.makeRequest('/DONKI/WSAEnlilSimulations', params, cacheKey, API_CONFIG.CACHE_DURATION.SPACE_WEATHER, {
+      ...options,
+      responseType: 'text',
+      transform: SpaceWeatherService.parseEventList
+    });
+  }
+
+  // Activity IDs look like 2024-05-10T17:36:00-GST-001: start time, event kind and a counter
+  static parseActivityId(activityId) {
+    const match = /^(\d{4}-\d{2}-\d{2})T[\d:]+-([A-Z]+)-\d+$/.exec(activityId || '');
+    if (!match || !DONKI_ACTIVITY_TYPES[match[2]]) return null;
+    return { date: match[1], ...DONKI_ACTIVITY_TYPES[match[2]] };
+  }
+
+  // Finds a single event (e.g. one named in linkedEvents) by loading the day it started on
+  async getEventById(activityId, options = {}) {
+    const activity = SpaceWeatherService.parseActivityId(activityId);
+    if (!activity) {
+      throw new APIError(400, `Unknown DONKI activity ID: ${activityId}`, '/DONKI', { retryable: false });
+    }
+
+    const { date, key, idField } = activity;
+    const loaders = {
+      solarFlares: () => this.getSolarFlares(date, date, options),
+      coronalMassEjections: () => this.getCoronalMassEjections(date, date, options),
+      geomagneticStorms: () => this.getGeomagneticStorms(date, date, options),
+      interplanetaryShocks: () => this.getInterplanetaryShocks(date, date, 'ALL', 'ALL', options),
+      solarEnergeticParticles: () => this.getSolarEnergeticParticles(date, date, options),
+      highSpeedStreams: () => this.getHighSpeedStreams(date, date, options),
+      magnetopauseCrossings: () => this.getMagnetopauseCrossings(date, date, options),
+      radiationBeltEnhancements: () => this.getRadiationBeltEnhancements(date, date, options)
+    };
+
+    const events = await loaders[key]();
+    const event = (events || []).find(item => item[idField] === activityId);
+    if (!event) {
+      throw new APIError(404, `No DONKI event with ID ${activityId}.`, '/DONKI', { retryable: false });
+    }
+    return { key, event };
+  }
+
+  // Some DONKI endpoints answer an empty range with an empty body instead of []
+  static parseEventList(text) {
+    return text.trim() ? JSON.parse(text) : [];
+  }
+
+  // Storms carry a series of 3-hourly Kp readings
+  static getMaxKpIndex(storm) {
+    const values = (storm.allKpIndex || []).map(reading => reading.kpIndex);
+    return values.length ? Math.max(...values) : null;
+  }
+
+  // CMEs are re-analysed as data comes in; the analysis flagged most accurate wins
+  static getCMEAnalysis(cme) {
+    const analyses = cme.cmeAnalyses || [];
+    return analyses.find(analysis => analysis.isMostAccurate) || analyses[analyses.length - 1] || null;
+  }
+
+  static getCMESpeed(cme) {
+    const analysis = SpaceWeatherService.getCMEAnalysis(cme);
+    return analysis ? analysis.speed : null;
+  }
+
+  // Peak X-ray flux in W/m² for a class such as M5.2, so classes compare across letters
+  static getFlareFlux(classType) {
+    const match = /^([ABCMX])(\d+(?:\.\d+)?)?$/i.exec(String(classType || '').trim());
+    if (!match) return null;
+    const base = { A: 1e-8, B: 1e-7, C: 1e-6, M: 1e-5, X: 1e-4 }[match[1].toUpperCase()];
+    return base * parseFloat(match[2] || '1');
+  }
+
+  /**
+   * Recent DONKI events, one list per data set
+   * @param {object} [options] - Request options, plus include: the extra data sets to load
+   * @returns {Promise<object>} Event lists keyed by data set, and failed: the data sets that could not be loaded
+   */
+  async getAllSpaceWeatherEvents(startDate = null, endDate = null, options = {}) {
+    const { include = [], ...requestOptions } = options;
+    const loaders = {
+      coronalMassEjections: () => this.getCoronalMassEjections(startDate, endDate, requestOptions),
+      geomagneticStorms: () => this.getGeomagneticStorms(startDate, endDate, requestOptions),
+      solarFlares: () => this.getSolarFlares(startDate, endDate, requestOptions),
+      notifications: () => this.getSpaceWeatherNotifications(startDate, endDate, requestOptions),
+      solarEnergeticParticles: () => this.getSolarEnergeticParticles(startDate, endDate, requestOptions),
+      interplanetaryShocks: () => this.getInterplanetaryShocks(startDate, endDate, 'ALL', 'ALL', requestOptions),
+      highSpeedStreams: () => this.getHighSpeedStreams(startDate, endDate, requestOptions),
+      magnetopauseCrossings: () => this.getMagnetopauseCrossings(startDate, endDate, requestOptions),
+      radiationBeltEnhancements: () => this.getRadiationBeltEnhancements(startDate, endDate, requestOptions),
+      wsaEnlilSimulations: () => this.getWSAEnlilSimulations(startDate, endDate, requestOptions)
+    };
+    const keys = Object.keys(loaders).filter(key => DONKI_CORE_EVENT_TYPES.includes(key) || include.includes(key));
+    const results = await Promise.allSettled(keys.map(key => loaders[key]()));
+
+    // Partial results are fine, a cancelled load is not
+    if (options.signal && options.signal.aborted) {
+      throw APIError.cancelled('/DONKI/*');
+    }
+
+    // Nothing to show if every request failed, and the first error says why (e.g. rate limited)
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length === keys.length) {
+      const reason = failures[0].reason;
+      throw reason instanceof APIError ? reason : new APIError(0, 'Failed to fetch space weather data', '/DONKI/*');
+    }
+
+    const data = Object.fromEntries(Object.keys(loaders).map(key => [key, []]));
+    keys.forEach((key, index) => {
+      if (results[index].status === 'fulfilled') {
+        data[key] = results[index].value;
+      }
+    });
+
+    return {
+      ...data,
+      failed: keys.filter((key, index) => results[index].status === 'rejected')
+    };
+  }
+}
+
+// Mars Rover Photos Service
+class MarsRoverService extends BaseAPIService {
+  async getRoverPhotos(rover, sol = null, earthDate = null, camera = null, page = 1, options = {}) {
+    const params = { page };
+    
+    if (sol !== null) params.sol = sol;
+    if (earthDate) params.earth_date = earthDate;
+    if (camera) params.camera = camera;
+    
+    const cacheKey = `rover_${rover}_${sol || earthDate}_${camera || 'all'}_${page}`;
+    return this.makeRequest(`/mars-photos/api/v1/rovers/${rover}/photos`, params, cacheKey, API_CONFIG.CACHE_DURATION.MARS_ROVERS, options);
+  }
+
+  async getRoverManifest(rover, options = {}) {
+    const cacheKey = `rover_manifest_${rover}`;
+    return this.makeRequest(`/mars-photos/api/v1/manifests/${rover}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.MARS_ROVERS, options);
+  }
+
+  async getLatestPhotos(rover, count = 20, options = {}) {
+    try {
+      const manifest = await this.getRoverManifest(rover, options);
+      if (manifest && manifest.photo_manifest && manifest.photo_manifest.max_sol) {
+        const latestSol = manifest.photo_manifest.max_sol;
+        const photos = await this.getRoverPhotos(rover, latestSol, null, null, 1, options);
+        return photos.photos ? photos.photos.slice(0, count) : [];
+      }
+      return [];
+    } catch (error) {
+      if (error.aborted) throw error;
+      throw new APIError(0, `Failed to get latest photos for ${rover}`, `/mars-photos/api/v1/rovers/${rover}`);
+    }
+  }
+
+  getRoverCameras(rover) {
+    const cameras = {
+      curiosity: [
+        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
+        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
+        { abbrev: 'MAST', name: 'Mast Camera' },
+        { abbrev: 'CHEMCAM', name: 'Chemistry and Camera Complex' },
+        { abbrev: 'MAHLI', name: 'Mars Hand Lens Imager' },
+        { abbrev: 'MARDI', name: 'Mars Descent Imager' },
+        { abbrev: 'NAVCAM', name: 'Navigation Camera' }
+      ],
+      opportunity: [
+        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
+        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
+        { abbrev: 'NAVCAM', name: 'Navigation Camera' },
+        { abbrev: 'PANCAM', name: 'Panoramic Camera' },
+        { abbrev: 'MINITES', name: 'Miniature Thermal Emission Spectrometer' }
+      ],
+      spirit: [
+        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
+        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
+        { abbrev: 'NAVCAM', name: 'Navigation Camera' },
+        { abbrev: 'PANCAM', name: 'Panoramic Camera' },
+        { abbrev: 'MINITES', name: 'Miniature Thermal Emission Spectrometer' }
+      ],
+      perseverance: [
+        { abbrev: 'EDL_RUCAM', name: 'Rover Up-Look Camera' },
+        { abbrev: 'EDL_RDCAM', name: 'Rover Down-Look Camera' },
+        { abbrev: 'EDL_DDCAM', name: 'Descent Stage Down-Look Camera' },
+        { abbrev: 'EDL_PUCAM1', name: 'Parachute Up-Look Camera A' },
+        { abbrev: 'EDL_PUCAM2', name: 'Parachute Up-Look Camera B' },
+        { abbrev: 'NAVCAM_LEFT', name: 'Navigation Camera - Left' },
+        { abbrev: 'NAVCAM_RIGHT', name: 'Navigation Camera - Right' },
+        { abbrev: 'MCZ_RIGHT', name: 'Mast Camera Zoom - Right' },
+        { abbrev: 'MCZ_LEFT', name: 'Mast Camera Zoom - Left' },
+        { abbrev: 'FRONT_HAZCAM_LEFT_A', name: 'Front Hazard Avoidance Camera - Left' },
+        { abbrev: 'FRONT_HAZCAM_RIGHT_A', name: 'Front Hazard Avoidance Camera - Right' },
+        { abbrev: 'REAR_HAZCAM_LEFT', name: 'Rear Hazard Avoidance Camera - Left' },
+        { abbrev: 'REAR_HAZCAM_RIGHT', name: 'Rear Hazard Avoidance Camera - Right' },
+        { abbrev: 'SKYCAM', name: 'MEDA Skycam' },
+        { abbrev: 'SHERLOC_WATSON', name: 'SHERLOC WATSON Camera' }
+      ]
+    };
+    
+    return cameras[rover.toLowerCase()] || [];
+  }
+}
+
+// Event statuses understood by EONET
+const EONET_STATUSES = ['open', 'closed', 'all'];
+
+// Natural Event Service (EONET)
+class EONETService extends BaseAPIService {
+  constructor(apiKey) {
+    super(apiKey);
+    // EONET is served from its own host and needs no key, so it is never proxied
+    this.baseURL = API_CONFIG.EONET_URL;
+    this.requiresApiKey = false;
+  }
+
+  // EONET expects the box as "min lon,max lat,max lon,min lat"
+  static formatBoundingBox({ west, north, east, south }) {
+    const values = [west, north, east, south].map(Number);
+    const [minLon, maxLat, maxLon, minLat] = values;
+
+    if (values.some(value => !Number.isFinite(value))) {
+      throw new APIError(400, 'Bounding box needs west, north, east and south coordinates.', '/events', { retryable: false });
+    }
+    if (Math.abs(minLon) > 180 || Math.abs(maxLon) > 180 || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) {
+      throw new APIError(400, 'Bounding box coordinates are out of range.', '/events', { retryable: false });
+    }
+    if (minLon >= maxLon || minLat >= maxLat) {
+      throw new APIError(400, 'Bounding box west/south edges must be less than east/north edges.', '/events', { retryable: false });
+    }
+
+    return values.join(',');
+  }
+
+  /**
+   * Filters accepted by getEvents
+   * @typedef {object} EONETEventFilters
+   * @property {string} [status] - 'open' (default), 'closed' or 'all'
+   * @property {string|string[]} [category] - Category ids, e.g. 'wildfires'
+   * @property {string|string[]} [source] - Source ids, e.g. 'InciWeb'
+   * @property {string} [start] - YYYY-MM-DD, inclusive
+   * @property {string} [end] - YYYY-MM-DD, inclusive
+   * @property {number} [days] - Only events from the last N days
+   * @property {number} [limit] - Maximum number of events
+   * @property {{west: number, north: number, east: number, south: number}} [bbox] - Area the events must fall in
+   */
+  buildEventParams(filters = {}) {
+    const params = {};
+
+    if (filters.status) {
+      if (!EONET_STATUSES.includes(filters.status)) {
+        throw new APIError(400, `Unknown event status: ${filters.status}`, '/events', { retryable: false });
+      }
+      params.status = filters.status;
+    }
+
+    ['start', 'end'].forEach(key => {
+      if (!filters[key]) return;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+        throw new APIError(400, `Invalid ${key} date: ${filters[key]}`, '/events', { retryable: false });
+      }
+      params[key] = filters[key];
+    });
+    if (params.start && params.end && params.start > params.end) {
+      throw new APIError(400, 'Start date must be before end date.', '/events', { retryable: false });
+    }
+
+    if (filters.category && filters.category.length) {
+      params.category = [].concat(filters.category).join(',');
+    }
+    if (filters.source && filters.source.length) {
+      params.source = [].concat(filters.source).join(',');
+    }
+    if (filters.days) {
+      params.days = filters.days;
+    }
+    if (filters.limit) {
+      params.limit = filters.limit;
+    }
+    if (filters.bbox) {
+      params.bbox = EONETService.formatBoundingBox(filters.bbox);
+    }
+
+    return params;
+  }
+
+  async getEvents(filters = {}, options = {}) {
+    const params = this.buildEventParams(filters);
+    const cacheKey = `eonet_events_${Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&') || 'open'}`;
+    return this.makeRequest('/events', params, cacheKey, API_CONFIG.CACHE_DURATION.EONET, options);
+  }
+
+  async getEvent(eventId, options = {}) {
+    const cacheKey = `eonet_event_${eventId}`;
+    return this.makeRequest(`/events/${encodeURIComponent(eventId)}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.EONET, options);
+  }
+
+  // Categories and sources rarely change, so they are kept for a day
+  async getCategories(options = {}) {
+    const data = await this.makeRequest('/categories', {}, 'eonet_categories', 1440, options);
+    return data.categories || [];
+  }
+
+  async getSources(options = {}) {
+    const data = await this.makeRequest('/sources', {}, 'eonet_sources', 1440, options);
+    return data.sources || [];
+  }
+
+  // Geometries are in date order, so the last one is where the event is now
+  static getLatestGeometry(event) {
+    const geometry = event.geometry || [];
+    return geometry[geometry.length - 1] || null;
+  }
+
+  // A single [lon, lat] for a geometry; polygons use the average of their outer ring
+  static getGeometryPosition(geometry) {
+    if (!geometry || !geometry.coordinates) return null;
+    if (geometry.type === 'Point') return geometry.coordinates;
+
+    // GeoJSON rings repeat their first vertex at the end
+    const ring = (geometry.coordinates[0] || []).slice(0, -1);
+    if (!ring.length) return null;
+    const sum = ring.reduce((total, [lon, lat]) => [total[0] + lon, total[1] + lat], [0, 0]);
+    return [sum[0] / ring.length, sum[1] / ring.length];
+  }
+}
+
+// EPIC image collections
+const EPIC_COLLECTIONS = ['natural', 'enhanced'];
+
+// EPIC Service (DSCOVR Earth Polychromatic Imaging Camera)
+class EPICService extends BaseAPIService {
+  validateCollection(collection) {
+    if (!EPIC_COLLECTIONS.includes(collection)) {
+      throw new APIError(400, `Unknown EPIC collection: ${collection}`, '/EPIC/api', { retryable: false });
+    }
+  }
+
+  // Newest first, as plain YYYY-MM-DD strings
+  async getAvailableDates(collection = 'natural', options = {}) {
+    this.validateCollection(collection);
+    const cacheKey = `epic_dates_${collection}`;
+    return this.makeRequest(`/EPIC/api/${collection}/all`, {}, cacheKey, API_CONFIG.CACHE_DURATION.EPIC, {
+      ...options,
+      transform: dates => dates.map(entry => entry.date).sort().reverse()
+    });
+  }
+
+  // Image metadata for one day (the most recent day when no date is given), in capture order
+  async getImages(collection = 'natural', date = null, options = {}) {
+    this.validateCollection(collection);
+    const endpoint = date ? `/EPIC/api/${collection}/date/${date}` : `/EPIC/api/${collection}/images`;
+    const cacheKey = `epic_${collection}_${date || 'latest'}`;
+
+    // Image URLs are added before caching so a cached day can be replayed as is
+    return this.makeRequest(endpoint, {}, cacheKey, API_CONFIG.CACHE_DURATION.EPIC, {
+      ...options,
+      transform: images => images
+        .map(image => ({
+          ...image,
+          imageUrl: this.buildImageURL(collection, image, 'jpg'),
+          fullImageUrl: this.buildImageURL(collection, image, 'png'),
+          thumbnailUrl: this.buildImageURL(collection, image, 'thumbs')
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    });
+  }
+
+  async getLatestImages(collection = 'natural', options = {}) {
+    return this.getImages(collection, null, options);
+  }
+
+  // Archive images are served from epic.gsfc.nasa.gov and need no key
+  buildImageURL(collection, image, type = 'jpg') {
+    const [year, month, day] = image.date.split(' ')[0].split('-');
+    const extension = type === 'png' ? 'png' : 'jpg';
+    return `${API_CONFIG.EPIC_ARCHIVE_URL}/${collection}/${year}/${month}/${day}/${type}/${image.image}.${extension}`;
+  }
+
+  // Distance in km of a J2000 position ({ x, y, z }) from Earth's center
+  static getDistance(position) {
+    if (!position) return null;
+    return Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+  }
+}
+
+// Media types served by the NASA Image and Video Library
+const IMAGE_LIBRARY_MEDIA_TYPES = ['image', 'video', 'audio'];
+
+// NASA Image and Video Library Service (images-api.nasa.gov)
+class ImageLibraryService extends BaseAPIService {
+  constructor(apiKey) {
+    super(apiKey);
+    // The library has its own host and needs no key, so it is never proxied
+    this.baseURL = API_CONFIG.IMAGE_LIBRARY_URL;
+    this.requiresApiKey = false;
+  }
+
+  /**
+   * Filters accepted by search
+   * @typedef {object} ImageLibraryFilters
+   * @property {string} [nasaId] - Look up a single item; the query may then be empty
+   * @property {string|string[]} [mediaType] - 'image', 'video' and/or 'audio'
+   * @property {number} [yearStart] - First year (inclusive)
+   * @property {number} [yearEnd] - Last year (inclusive)
+   * @property {number} [page] - 1-based results page
+   * @property {number} [pageSize] - Results per page (the API allows up to 100)
+   */
+  buildSearchParams(query, filters = {}) {
+    const q = (query || '').trim();
+    if (!q && !filters.nasaId) {
+      throw new APIError(400, 'Enter something to search for.', '/search', { retryable: false });
+    }
+    const params = { q, nasa_id: filters.nasaId };
+
+    if (filters.mediaType && filters.mediaType.length) {
+      const mediaTypes = [].concat(filters.mediaType);
+      const unknown = mediaTypes.find(type => !IMAGE_LIBRARY_MEDIA_TYPES.includes(type));
+      if (unknown) {
+        throw new APIError(400, `Unknown media type: ${unknown}`, '/search', { retryable: false });
+      }
+      params.media_type = mediaTypes.join(',');
+    }
+
+    ['yearStart', 'yearEnd'].forEach(key => {
+      if (!filters[key]) return;
+      if (!/^\d{4}$/.test(String(filters[key]))) {
+        throw new APIError(400, `Invalid year: ${filters[key]}`, '/search', { retryable: false });
+      }
+    });
+    if (filters.yearStart && filters.yearEnd && Number(filters.yearStart) > Number(filters.yearEnd)) {
+      throw new APIError(400, 'Start year must not be after end year.', '/search', { retryable: false });
+    }
+    params.year_start = filters.yearStart;
+    params.year_end = filters.yearEnd;
+    params.page = filters.page;
+    params.page_size = filters.pageSize;
+
+    return params;
+  }
+
+  async search(query, filters = {}, options = {}) {
+    const params = this.buildSearchParams(query, filters);
+    const cacheKey = `images_search_${Object.keys(params).sort().filter(key => params[key]).map(key => `${key}=${params[key]}`).join('&')}`;
+
+    return this.makeRequest('/search', params, cacheKey, API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, {
+      ...options,
+      transform: data => ({
+        items: data.collection.items.map(item => ImageLibraryService.normalizeItem(item)),
+        totalHits: data.collection.metadata ? data.collection.metadata.total_hits : data.collection.items.length,
+        page: Number(filters.page) || 1,
+        hasNext: (data.collection.links || []).some(link => link.rel === 'next')
+      })
+    });
+  }
+
+  async getItem(nasaId, options = {}) {
+    const data = await this.search('', { nasaId }, options);
+    if (!data.items.length) {
+      throw new APIError(404, `No library item with ID ${nasaId}.`, '/search', { retryable: false });
+    }
+    return data.items[0];
+  }
+
+  // Flattens a collection item into the fields the app uses
+  static normalizeItem(item) {
+    const data = item.data[0] || {};
+    const preview = (item.links || []).find(link => link.rel === 'preview');
+    return {
+      nasaId: data.nasa_id,
+      title: data.title,
+      description: data.description || data.description_508 || '',
+      dateCreated: data.date_created,
+      mediaType: data.media_type,
+      center: data.center,
+      photographer: data.photographer || data.secondary_creator || null,
+      keywords: data.keywords || [],
+      thumbnail: preview ? ImageLibraryService.secureURL(preview.href) : null
+    };
+  }
+
+  // Some asset links are still plain http, which browsers block on an https page
+  static secureURL(url) {
+    return url.replace(/^http:\/\//, 'https://');
+  }
+
+  // URLs of every file for an item (original, resized versions, video encodings, ...)
+  async getAsset(nasaId, options = {}) {
+    const cacheKey = `images_asset_${nasaId}`;
+    return this.makeRequest(`/asset/${encodeURIComponent(nasaId)}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, {
+      ...options,
+      transform: data => data.collection.items.map(item => ImageLibraryService.secureURL(item.href))
+    });
+  }
+
+  // Full embedded metadata (EXIF, AVAIL, ...), fetched from the location the API points to
+  async getMetadata(nasaId, options = {}) {
+    const { location } = await this.makeRequest(`/metadata/${encodeURIComponent(nasaId)}`, {}, `images_metadata_location_${nasaId}`,
+      API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, options);
+    return this.makeRequest(location, {}, `images_metadata_${nasaId}`, API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, options);
+  }
+
+  // Video captions as { location, cues: [{ start, end, text }] }; most images have none
+  async getCaptions(nasaId, options = {}) {
+    const { location } = await this.makeRequest(`/captions/${encodeURIComponent(nasaId)}`, {}, `images_captions_location_${nasaId}`,
+      API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, options);
+    const text = await this.makeRequest(location, {}, `images_captions_${nasaId}`, API_CONFIG.CACHE_DURATION.IMAGE_LIBRARY, {
+      ...options,
+      responseType: 'text'
+    });
+    return { location, cues: ImageLibraryService.parseCaptions(text) };
+  }
+
+  // Reads SRT or WebVTT cues; numbering and the WEBVTT header are skipped
+  static parseCaptions(text) {
+    return text.replace(/\r/g, '').split(/\n{2,}/).map(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return null;
+
+      const [start, end] = lines[timingIndex].split('-->').map(time => time.trim().split(' ')[0].replace(',', '.'));
+      return { start, end, text: lines.slice(timingIndex + 1).join('\n').trim() };
+    }).filter(Boolean);
+  }
+}
+
+// NASA TechPort Service (technology projects)
+class TechPortService extends BaseAPIService {
+  // Project ids with their last update, newest first
+  async getUpdatedProjects(updatedSince, options = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(updatedSince || '')) {
+      throw new APIError(400, `Invalid date: ${updatedSince}`, '/techport/api/projects', { retryable: false });
+    }
+
+    const cacheKey = `techport_projects_${updatedSince}`;
+    return this.makeRequest('/techport/api/projects', { updatedSince }, cacheKey, API_CONFIG.CACHE_DURATION.TECHNOLOGY, {
+      ...options,
+      transform: data => {
+        // Older responses nest the list one level deeper
+        const projects = Array.isArray(data.projects) ? data.projects : (data.projects && data.projects.projects) || [];
+        return projects
+          .map(project => ({ id: project.projectId ?? project.id, lastUpdated: project.lastUpdated }))
+          .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+      }
+    });
+  }
+
+  async getProject(projectId, options = {}) {
+    if (!/^\d+$/.test(String(projectId))) {
+      throw new APIError(400, `Invalid project ID: ${projectId}`, '/techport/api/projects', { retryable: false });
+    }
+
+    const cacheKey = `techport_project_${projectId}`;
+    return this.makeRequest(`/techport/api/projects/${projectId}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.TECHNOLOGY, {
+      ...options,
+      transform: data => TechPortService.normalizeProject(data.project || data)
+    });
+  }
+
+  // Flattens a project record into the fields the app uses
+  static normalizeProject(project) {
+    const names = list => (list || []).map(item => item.fullName || item.name || item.title).filter(Boolean);
+    const lead = project.leadOrganization || {};
+    const taxonomy = project.primaryTaxonomyNodes || [];
+
+    return {
+      id: project.projectId ?? project.id,
+      title: project.title,
+      acronym: project.acronym || null,
+      description: project.description || '',
+      benefits: project.benefits || '',
+      status: project.statusDescription || project.status || null,
+      startDate: project.startDateString || project.startDate || null,
+      endDate: project.endDateString || project.endDate || null,
+      lastUpdated: project.lastUpdated || null,
+      center: lead.acronym || lead.organizationName || null,
+      leadOrganization: lead.organizationName || null,
+      program: project.program ? project.program.title : null,
+      category: taxonomy.length ? taxonomy[0].title : null,
+      trl: { begin: project.trlBegin ?? null, current: project.trlCurrent ?? null, end: project.trlEnd ?? null },
+      principalInvestigators: names(project.principalInvestigators),
+      projectManagers: names(project.projectManagers),
+      locations: names(project.states),
+      website: project.website || null,
+      url: `https://techport.nasa.gov/view/${project.projectId ?? project.id}`
+    };
+  }
+}
+
+// Collections searched by TechTransfer
+const TECHTRANSFER_ENGINES = ['patent', 'software', 'spinoff'];
+
+// NASA TechTransfer Service (patents, software and spinoffs)
+class TechTransferService extends BaseAPIService {
+  async search(engine, query, options = {}) {
+    if (!TECHTRANSFER_ENGINES.includes(engine)) {
+      throw new APIError(400, `Unknown TechTransfer collection: ${engine}`, '/techtransfer', { retryable: false });
+    }
+    const q = (query || '').trim();
+    if (!q) {
+      throw new APIError(400, 'Enter something to search for.', `/techtransfer/${engine}/`, { retryable: false });
+    }
+
+    const cacheKey = `techtransfer_${engine}_${q.toLowerCase()}`;
+    return this.makeRequest(`/techtransfer/${engine}/`, { engine, query: q }, cacheKey, API_CONFIG.CACHE_DURATION.TECHNOLOGY, {
+      ...options,
+      transform: data => ({
+        items: (data.results || []).map(row => TechTransferService.normalizeResult(engine, row)),
+        total: data.total ?? data.count ?? (data.results || []).length
+      })
+    });
+  }
+
+  // Results are positional rows; titles and descriptions carry search highlight markup
+  static normalizeResult(engine, row) {
+    const text = value => (value || '').replace(/<[^>]+>/g, '').trim();
+    const image = text(row[10]);
+
+    return {
+      engine,
+      id: row[0],
+      caseNumber: row[1],
+      title: text(row[2]),
+      description: text(row[3]),
+      category: text(row[5]) || null,
+      center: text(row[9]) || null,
+      image: /^https?:\/\//.test(image) ? image : null
+    };
+  }
+}
+
+// Base class for the JPL SSD/CNEOS APIs (ssd-api.jpl.nasa.gov)
+class SSDService extends BaseAPIService {
+  constructor(apiKey) {
+    super(apiKey);
+    // No key is needed, but the API sends no CORS headers so the proxy is used when available
+    // SSD needs no key, so it stays behind the proxy whichever key is set
+    this.baseURL = API_CONFIG.PROXY.enabled ? API_CONFIG.PROXY.ssdUrl : API_CONFIG.SSD_URL;
+    this.requiresApiKey = false;
+  }
+
+  // SSD APIs return numbers as strings
+  static parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+// Sentry Impact Monitoring Service (CNEOS)
+class SentryService extends SSDService {
+  /**
+   * Objects currently on the Sentry risk list
+   * @param {object} [filters]
+   * @param {number} [filters.ipMin] - Minimum cumulative impact probability
+   * @param {number} [filters.psMin] - Minimum cumulative Palermo scale value
+   * @param {number} [filters.hMax] - Maximum absolute magnitude (smaller H means larger objects)
+   */
+  async getObjects(filters = {}, options = {}) {
+    const params = {
+      'ip-min': filters.ipMin,
+      'ps-min': filters.psMin,
+      'h-max': filters.hMax
+    };
+    const cacheKey = `sentry_list_${filters.ipMin ?? ''}_${filters.psMin ?? ''}_${filters.hMax ?? ''}`;
+
+    return this.makeRequest('/sentry.api', params, cacheKey, API_CONFIG.CACHE_DURATION.SSD, {
+      ...options,
+      transform: data => (data.data || []).map(summary => SentryService.normalizeSummary(summary))
+    });
+  }
+
+  /**
+   * Impact risk for one object, or { removed } if Sentry has since ruled out every impact
+   * @param {string} designation - Designation such as "2000 SG344" or "99942"
+   * @returns {Promise<{designation: string, removed: string|null, summary: object|null, virtualImpactors: Array<object>}>}
+   */
+  async getObject(designation, options = {}) {
+    const cacheKey = `sentry_${designation}`;
+
+    return this.makeRequest('/sentry.api', { des: designation }, cacheKey, API_CONFIG.CACHE_DURATION.SSD, {
+      ...options,
+      transform: data => {
+        if (data.error && !data.removed) {
+          throw new APIError(404, `${designation} is not on the Sentry risk list.`, '/sentry.api', { retryable: false });
+        }
+        if (data.removed) {
+          return { designation, removed: data.removed, summary: null, virtualImpactors: [] };
+        }
+
+        const virtualImpactors = (data.data || []).map(impactor => SentryService.normalizeImpactor(impactor));
+        const summary = SentryService.normalizeSummary(data.summary);
+        // The per-object summary has no year range, so it comes from the impact dates
+        if (!summary.range && virtualImpactors.length) {
+          const years = virtualImpactors.map(impactor => impactor.date.slice(0, 4)).sort();
+          summary.range = `${years[0]}-${years[years.length - 1]}`;
+        }
+        return { designation, removed: null, summary, virtualImpactors };
+      }
+    });
+  }
+
+  static normalizeSummary(summary) {
+    const number = SSDService.parseNumber;
+    return {
+      designation: summary.des,
+      fullname: (summary.fullname || summary.des || '').trim(),
+      impactProbability: number(summary.ip),
+      palermoCumulative: number(summary.ps_cum),
+      palermoMax: number(summary.ps_max),
+      torinoMax: number(summary.ts_max),
+      impactCount: number(summary.n_imp),
+      range: summary.range || null,
+      diameter: number(summary.diameter),          // km
+      absoluteMagnitude: number(summary.h),
+      velocityInfinity: number(summary.v_inf),     // km/s
+      firstObservation: summary.first_obs || null,
+      lastObservation: summary.last_obs || null
+    };
+  }
+
+  static normalizeImpactor(impactor) {
+    const number = SSDService.parseNumber;
+    return {
+      date: impactor.date,                          // YYYY-MM-DD.dd (TDB)
+      impactProbability: number(impactor.ip),
+      palermo: number(impactor.ps),
+      torino: number(impactor.ts),
+      energy: number(impactor.energy),              // megatons of TNT
+      distance: number(impactor.dist)               // Earth radii from the target plane center
+    };
+  }
+}
+
+// Bodies the close-approach explorer offers, as named by the CAD API
+const CAD_BODIES = ['Earth', 'Moon', 'Mars'];
+
+const CAD_SORT_FIELDS = ['date', 'dist', 'dist-min', 'v-inf', 'v-rel', 'h', 'object'];
+
+const KM_PER_AU = 149597870.7;
+const KM_PER_LUNAR_DISTANCE = 384400;
+
+const CAD_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Close-Approach Data Service (CNEOS)
+class CloseApproachService extends SSDService {
+  /**
+   * @typedef {object} CloseApproachFilters
+   * @property {string} [dateMin] - YYYY-MM-DD, "now" or "+N"/"-N" days from now; defaults to now
+   * @property {string} [dateMax] - Same formats as dateMin; defaults to +60 days. Ranges may span decades
+   * @property {number|string} [distMax] - Distance ceiling in au, or a string such as "10LD" for lunar distances
+   * @property {number} [hMin] - Minimum absolute magnitude (larger H means smaller objects)
+   * @property {number} [hMax] - Maximum absolute magnitude
+   * @property {string} [body] - One of CAD_BODIES; defaults to Earth
+   * @property {string} [sort] - One of CAD_SORT_FIELDS, prefixed with "-" for descending order
+   * @property {number} [limit] - Maximum number of approaches
+   * @property {string} [designation] - Only approaches of this object, e.g. "99942"
+   */
+  buildApproachParams(filters = {}) {
+    const params = { fullname: true, body: filters.body || 'Earth' };
+
+    if (!CAD_BODIES.includes(params.body)) {
+      throw new APIError(400, `Unknown close-approach body: ${params.body}`, '/cad.api', { retryable: false });
+    }
+
+    [['dateMin', 'date-min'], ['dateMax', 'date-max']].forEach(([key, param]) => {
+      if (!filters[key]) return;
+      if (!/^(\d{4}-\d{2}-\d{2}|now|[+-]\d+)$/.test(filters[key])) {
+        throw new APIError(400, `Invalid ${param}: ${filters[key]}`, '/cad.api', { retryable: false });
+      }
+      params[param] = filters[key];
+    });
+    const datesAreAbsolute = /^\d/.test(params['date-min']) && /^\d/.test(params['date-max']);
+    if (datesAreAbsolute && params['date-min'] > params['date-max']) {
+      throw new APIError(400, 'Start date must be before end date.', '/cad.api', { retryable: false });
+    }
+
+    if (filters.distMax !== undefined && filters.distMax !== '') {
+      const distMax = String(filters.distMax).replace(/ld$/i, 'LD');
+      if (!/^\d*\.?\d+(LD)?$/.test(distMax) || parseFloat(distMax) <= 0) {
+        throw new APIError(400, `Invalid distance ceiling: ${filters.distMax}`, '/cad.api', { retryable: false });
+      }
+      params['dist-max'] = distMax;
+    }
+
+    [['hMin', 'h-min'], ['hMax', 'h-max']].forEach(([key, param]) => {
+      if (filters[key] === undefined || filters[key] === '' || filters[key] === null) return;
+      if (!Number.isFinite(Number(filters[key]))) {
+        throw new APIError(400, `Invalid ${param}: ${filters[key]}`, '/cad.api', { retryable: false });
+      }
+      params[param] = Number(filters[key]);
+    });
+    if (params['h-min'] !== undefined && params['h-max'] !== undefined && params['h-min'] > params['h-max']) {
+      throw new APIError(400, 'Minimum H magnitude must not exceed the maximum.', '/cad.api', { retryable: false });
+    }
+
+    if (filters.sort) {
+      if (!CAD_SORT_FIELDS.includes(filters.sort.replace(/^-/, ''))) {
+        throw new APIError(400, `Unknown sort field: ${filters.sort}`, '/cad.api', { retryable: false });
+      }
+      params.sort = filters.sort;
+    }
+    if (filters.limit) params.limit = filters.limit;
+    if (filters.designation) params.des = filters.designation;
+
+    return params;
+  }
+
+  /**
+   * Close approaches matching the filters, as normalized objects
+   * @param {CloseApproachFilters} [filters]
+   * @returns {Promise<Array<object>>}
+   */
+  async getApproaches(filters = {}, options = {}) {
+    const params = this.buildApproachParams(filters);
+    const cacheKey = `cad_${Object.entries(params).map(([key, value]) => `${key}=${value}`).join('&')}`;
+
+    return this.makeRequest('/cad.api', params, cacheKey, API_CONFIG.CACHE_DURATION.SSD, {
+      ...options,
+      transform: data => {
+        const fields = data.fields || [];
+        return (data.data || []).map(row => {
+          const record = {};
+          fields.forEach((field, index) => { record[field] = row[index]; });
+          return CloseApproachService.normalizeApproach(record, params.body);
+        });
+      }
+    });
+  }
+
+  // "2029-Apr-13 21:46" (TDB) -> "2029-04-13T21:46:00Z"
+  static parseCalendarDate(value) {
+    const match = /^(\d{4})-([A-Za-z]{3})-(\d{2}) (\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const month = String(CAD_MONTHS.indexOf(match[2]) + 1).padStart(2, '0');
+    return `${match[1]}-${month}-${match[3]}T${match[4]}:${match[5]}:00Z`;
+  }
+
+  static normalizeApproach(record, body = 'Earth') {
+    const number = SSDService.parseNumber;
+    const distance = number(record.dist);
+    const date = CloseApproachService.parseCalendarDate(record.cd);
+    return {
+      designation: record.des,
+      fullname: (record.fullname || record.des || '').trim(),
+      body,
+      date,
+      year: date ? Number(date.slice(0, 4)) : null,
+      julianDate: number(record.jd),
+      distance,                                          // au, nominal
+      distanceMin: number(record.dist_min),              // au, 3-sigma
+      distanceMax: number(record.dist_max),
+      distanceKm: distance !== null ? distance * KM_PER_AU : null,
+      distanceLunar: distance !== null ? distance * KM_PER_AU / KM_PER_LUNAR_DISTANCE : null,
+      velocityRelative: number(record.v_rel),            // km/s
+      velocityInfinity: number(record.v_inf),            // km/s
+      timeUncertainty: record.t_sigma_f || null,         // e.g. "< 00:01" or "2_03:10"
+      absoluteMagnitude: number(record.h)
+    };
+  }
+}
+
+// Two-line element set service (TLE API)
+class TLEService extends BaseAPIService {
+  constructor(apiKey) {
+    super(apiKey);
+    // The TLE API is served from its own host and needs no key, so it is never proxied
+    this.baseURL = API_CONFIG.TLE_URL;
+    this.requiresApiKey = false;
+  }
+
+  // Modulo-10 checksum in column 69: digits count as themselves, minus signs as 1
+  static checksum(line) {
+    let sum = 0;
+    for (const char of line.slice(0, 68)) {
+      if (char >= '0' && char <= '9') sum += Number(char);
+      if (char === '-') sum += 1;
+    }
+    return sum % 10;
+  }
+
+  static isValidElementSet(line1, line2) {
+    return typeof line1 === 'string' && typeof line2 === 'string' &&
+      line1.length === 69 && line2.length === 69 &&
+      line1[0] === '1' && line2[0] === '2' &&
+      line1.substring(2, 7) === line2.substring(2, 7) &&
+      TLEService.checksum(line1) === Number(line1[68]) &&
+      TLEService.checksum(line2) === Number(line2[68]);
+  }
+
+  static normalizeElementSet(record) {
+    const line1 = (record.line1 || '').trimEnd();
+    const line2 = (record.line2 || '').trimEnd();
+    if (!TLEService.isValidElementSet(line1, line2)) {
+      throw new APIError(502, `The TLE API returned an invalid element set for ${record.name || record.satelliteId}.`, '/tle', { retryable: false });
+    }
+    return {
+      satelliteId: record.satelliteId,
+      name: (record.name || '').trim(),
+      date: record.date,                  // Element set epoch (ISO 8601)
+      line1,
+      line2
+    };
+  }
+
+  /**
+   * Latest element set for one satellite
+   * @param {number|string} satelliteId - NORAD catalog number, e.g. 25544 for the ISS
+   * @returns {Promise<{satelliteId: number, name: string, date: string, line1: string, line2: string}>}
+   */
+  async getElementSet(satelliteId, options = {}) {
+    if (!/^\d{1,9}$/.test(String(satelliteId))) {
+      throw new APIError(400, `Invalid NORAD catalog number: ${satelliteId}`, '/tle', { retryable: false });
+    }
+    const cacheKey = `tle_${satelliteId}`;
+
+    return this.makeRequest(`/${satelliteId}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.TLE, {
+      ...options,
+      transform: data => TLEService.normalizeElementSet(data)
+    });
+  }
+
+  /**
+   * Satellites whose name matches the query, most popular first
+   * @returns {Promise<{items: Array<object>, totalItems: number, page: number, hasNext: boolean}>}
+   */
+  async search(query, { page = 1, pageSize = 20 } = {}, options = {}) {
+    const search = (query || '').trim();
+    if (!search) {
+      throw new APIError(400, 'Enter a satellite name to search for.', '/tle', { retryable: false });
+    }
+    const params = { search, page, 'page-size': Math.min(pageSize, 100), sort: 'popularity', 'sort-dir': 'desc' };
+    const cacheKey = `tle_search_${search.toLowerCase()}_${page}_${params['page-size']}`;
+
+    return this.makeRequest('', params, cacheKey, API_CONFIG.CACHE_DURATION.TLE, {
+      ...options,
+      transform: data => ({
+        // Skip malformed entries rather than failing the whole page
+        items: (data.member || []).filter(record => TLEService.isValidElementSet(
+          (record.line1 || '').trimEnd(), (record.line2 || '').trimEnd()
+        )).map(record => TLEService.normalizeElementSet(record)),
+        totalItems: data.totalItems || 0,
+        page,
+        hasNext: Boolean(data.view && data.view.next)
+      })
+    });
+  }
+}
+
+// GIBS tile matrix sets (EPSG:4326) and the deepest zoom level each one has
+const GIBS_TILE_MATRIX_SETS = {
+  '250m': 8,
+  '500m': 7,
+  '1km': 6,
+  '2km': 5
+};
+
+// Level 0 tiles are 512px at 0.5625 degrees per pixel, so each covers 288 degrees
+const GIBS_TILE_SIZE = 512;
+const GIBS_TILE_DEGREES = 288;
+
+// Layers offered by the Earth imagery viewer (temporal layers take a TIME parameter)
+const GIBS_LAYERS = [
+  { id: 'MODIS_Terra_CorrectedReflectance_TrueColor', title: 'MODIS Terra True Color', format: 'jpg', tileMatrixSet: '250m', temporal: true },
+  { id: 'MODIS_Aqua_CorrectedReflectance_TrueColor', title: 'MODIS Aqua True Color', format: 'jpg', tileMatrixSet: '250m', temporal: true },
+  { id: 'VIIRS_SNPP_CorrectedReflectance_TrueColor', title: 'VIIRS SNPP True Color', format: 'jpg', tileMatrixSet: '250m', temporal: true },
+  { id: 'MODIS_Terra_CorrectedReflectance_Bands721', title: 'MODIS Terra Bands 7-2-1 (fires and burn scars)', format: 'jpg', tileMatrixSet: '250m', temporal: true },
+  { id: 'VIIRS_SNPP_DayNightBand_ENCC', title: 'VIIRS Night Lights', format: 'png', tileMatrixSet: '500m', temporal: true },
+  { id: 'MODIS_Terra_Snow_Cover', title: 'MODIS Terra Snow Cover', format: 'png', tileMatrixSet: '500m', temporal: true },
+  { id: 'MODIS_Terra_Land_Surface_Temp_Day', title: 'MODIS Terra Land Surface Temperature (Day)', format: 'png', tileMatrixSet: '1km', temporal: true },
+  { id: 'MODIS_Terra_Aerosol', title: 'MODIS Terra Aerosol Optical Depth', format: 'png', tileMatrixSet: '2km', temporal: true },
+  { id: 'BlueMarble_ShadedRelief_Bathymetry', title: 'Blue Marble Shaded Relief', format: 'jpg', tileMatrixSet: '500m', temporal: false },
+  { id: 'Coastlines_15m', title: 'Coastlines', format: 'png', tileMatrixSet: '250m', temporal: false }
+];
+
+// Tile Cache Class
+// Keeps recently shown tiles as object URLs and, where the browser allows it,
+// stores the tile images in Cache Storage so they survive a reload
+class TileCache {
+  constructor(name, maxAgeMinutes, maxEntries = 300, maxStoredEntries = 3000) {
+    this.name = name;
+    this.maxAge = maxAgeMinutes * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.maxStoredEntries = maxStoredEntries;
+    this.entries = new Map();       // tile URL -> object URL, least recently used first
+    this.pending = new Map();       // tile URL -> object URL promise, while it loads
+    this.storePromise = null;
+    this.writesSincePrune = 0;
+    this.stats = { memoryHits: 0, storageHits: 0, downloads: 0 };
+  }
+
+  async get(url, signal = null) {
+    if (this.entries.has(url)) {
+      const objectURL = this.entries.get(url);
+      this.entries.delete(url);
+      this.entries.set(url, objectURL);
+      this.stats.memoryHits++;
+      return objectURL;
+    }
+
+    // Requests for a tile that is already loading share the one download
+    if (!this.pending.has(url)) {
+      const loading = this.load(url, signal).finally(() => this.pending.delete(url));
+      this.pending.set(url, loading);
+    }
+
+    try {
+      return await this.pending.get(url);
+    } catch (error) {
+      // Another caller cancelled the shared download, but this one still wants the tile
+      if (error.aborted && !(signal && signal.aborted)) {
+        return this.get(url, signal);
+      }
+      throw error;
+    }
+  }
+
+  async load(url, signal) {
+    const blob = await this.readStored(url) || await this.download(url, signal);
+    const objectURL = URL.createObjectURL(blob);
+    this.entries.set(url, objectURL);
+
+    // Images already on screen keep their pixels when their object URL is revoked
+    while (this.entries.size > this.maxEntries) {
+      const [oldestURL, oldestObjectURL] = this.entries.entries().next().value;
+      URL.revokeObjectURL(oldestObjectURL);
+      this.entries.delete(oldestURL);
+    }
+    return objectURL;
+  }
+
+  // Cache Storage is only available in secure contexts (https or localhost)
+  openStore() {
+    if (!this.storePromise) {
+      this.storePromise = typeof caches === 'undefined'
+        ? Promise.resolve(null)
+        : caches.open(this.name).catch(() => null);
+    }
+    return this.storePromise;
+  }
+
+  async readStored(url) {
+    const store = await this.openStore();
+    const response = store && await store.match(url);
+    if (!response) return null;
+
+    if (Date.now() - Number(response.headers.get('X-Stored-At')) > this.maxAge) {
+      await store.delete(url);
+      return null;
+    }
+    this.stats.storageHits++;
+    return response.blob();
+  }
+
+  async download(url, signal) {
+    let response;
+    try {
+      response = await fetch(url, { signal });
     } catch (error) {
-      throw new APIError(0, 'Failed to fetch space weather data', '/DONKI/*');
+      throw error.name === 'AbortError'
+        ? APIError.cancelled(url)
+        : new APIError(0, error.message || 'Network request failed.', url);
+    }
+    if (!response.ok) {
+      throw new APIError(response.status, `HTTP ${response.status}: ${response.statusText}`, url);
+    }
+
+    const blob = await response.blob();
+    this.stats.downloads++;
+
+    // A full or unavailable store only costs the next visit a download
+    const store = await this.openStore();
+    if (store) {
+      store.put(url, new Response(blob, {
+        headers: { 'Content-Type': blob.type, 'X-Stored-At': String(Date.now()) }
+      }))
+        .then(() => this.pruneStore(store))
+        .catch(() => {});
+    }
+    return blob;
+  }
+
+  // Cache Storage lists entries oldest first, so trimming the front drops the longest-stored tiles
+  async pruneStore(store) {
+    if (++this.writesSincePrune < 50) return;
+    this.writesSincePrune = 0;
+
+    const requests = await store.keys();
+    const excess = requests.slice(0, Math.max(0, requests.length - this.maxStoredEntries));
+    await Promise.all(excess.map(request => store.delete(request)));
+  }
+
+  async clear() {
+    this.entries.forEach(objectURL => URL.revokeObjectURL(objectURL));
+    this.entries.clear();
+    this.writesSincePrune = 0;
+    if (typeof caches !== 'undefined') {
+      await caches.delete(this.name);
+    }
+    this.storePromise = null;
+  }
+
+  getStats() {
+    return { ...this.stats, entries: this.entries.size };
+  }
+}
+
+// Shared so tiles stay cached when the services are recreated for a new API key
+const gibsTileCache = new TileCache('cosmos-gibs-tiles', API_CONFIG.CACHE_DURATION.GIBS);
+
+// GIBS Service (Global Imagery Browse Services, WMTS in EPSG:4326)
+class GIBSService extends BaseAPIService {
+  constructor(apiKey) {
+    super(apiKey);
+    // GIBS is served from its own host and needs no key, so it is never proxied
+    this.baseURL = API_CONFIG.GIBS_URL;
+    this.requiresApiKey = false;
+    this.tileCache = gibsTileCache;
+  }
+
+  getLayers() {
+    return GIBS_LAYERS;
+  }
+
+  getLayer(layerId) {
+    const layer = GIBS_LAYERS.find(entry => entry.id === layerId);
+    if (!layer) {
+      throw new APIError(400, `Unknown GIBS layer: ${layerId}`, '/wmts.cgi', { retryable: false });
+    }
+    return layer;
+  }
+
+  getMaxZoom(layerId) {
+    return GIBS_TILE_MATRIX_SETS[this.getLayer(layerId).tileMatrixSet];
+  }
+
+  // Tile columns and rows at a zoom level; edge tiles run past 180°E and 90°S
+  static getTileMatrix(zoom) {
+    const tileDegrees = GIBS_TILE_DEGREES / 2 ** zoom;
+    return {
+      zoom,
+      tileDegrees,
+      tileSize: GIBS_TILE_SIZE,
+      columns: Math.ceil(360 / tileDegrees),
+      rows: Math.ceil(180 / tileDegrees)
+    };
+  }
+
+  /**
+   * GetTile URL for one tile of a layer
+   * @param {string} layerId - One of GIBS_LAYERS
+   * @param {{zoom: number, row: number, col: number, date: string}} tile - Date (YYYY-MM-DD) is ignored by static layers
+   * @returns {string}
+   */
+  buildTileURL(layerId, { zoom, row, col, date }) {
+    const layer = this.getLayer(layerId);
+    const maxZoom = GIBS_TILE_MATRIX_SETS[layer.tileMatrixSet];
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > maxZoom) {
+      throw new APIError(400, `${layer.title} has zoom levels 0 to ${maxZoom}.`, '/wmts.cgi', { retryable: false });
+    }
+
+    const { columns, rows } = GIBSService.getTileMatrix(zoom);
+    if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || row >= rows || col < 0 || col >= columns) {
+      throw new APIError(400, `Tile ${row}/${col} is outside zoom level ${zoom}.`, '/wmts.cgi', { retryable: false });
+    }
+    if (layer.temporal && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      throw new APIError(400, `Invalid imagery date: ${date}`, '/wmts.cgi', { retryable: false });
+    }
+
+    return URLUtils.buildURL(`${this.baseURL}/wmts.cgi`, {
+      SERVICE: 'WMTS',
+      REQUEST: 'GetTile',
+      VERSION: '1.0.0',
+      LAYER: layer.id,
+      STYLE: 'default',
+      TILEMATRIXSET: layer.tileMatrixSet,
+      TILEMATRIX: zoom,
+      TILEROW: row,
+      TILECOL: col,
+      FORMAT: layer.format === 'png' ? 'image/png' : 'image/jpeg',
+      TIME: layer.temporal ? date : null
+    });
+  }
+
+  // Object URL for a tile image, from the tile cache when possible
+  async getTile(layerId, tile, options = {}) {
+    return this.tileCache.get(this.buildTileURL(layerId, tile), options.signal);
+  }
+
+  getTileCacheStats() {
+    return this.tileCache.getStats();
+  }
+}
+
+// Exoplanet Archive columns that may appear in generated queries
+const ADQL_COLUMNS = [
+  'pl_name', 'hostname', 'sys_name', 'discoverymethod', 'disc_year', 'disc_facility',
+  'disc_pubdate', 'pl_orbper', 'pl_orbsmax', 'pl_orbeccen', 'pl_orbincl', 'pl_rade',
+  'pl_radj', 'pl_masse', 'pl_massj', 'pl_bmasse', 'pl_dens', 'pl_insol', 'pl_eqt',
+  'pl_controv_flag', 'pl_pubdate', 'st_spectype', 'st_teff', 'st_rad', 'st_mass',
+  'st_met', 'st_logg', 'st_age', 'sy_dist', 'sy_snum', 'sy_pnum', 'sy_vmag', 'sy_kmag',
+  'ra', 'dec', 'tran_flag', 'rv_flag', 'releasedate', 'rowupdate'
+];
+
+const ADQL_TABLES = {
+  ps: [...ADQL_COLUMNS, 'default_flag', 'soltype', 'pl_refname'], // Planetary Systems (one row per solution)
+  pscomppars: ADQL_COLUMNS                                          // Composite parameters (one row per planet)
+};
+
+const ADQL_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'like', 'not like'];
+
+// Columns shown in the exoplanet explorer
+const EXOPLANET_LIST_COLUMNS = [
+  'pl_name', 'hostname', 'discoverymethod', 'pl_rade', 'pl_masse',
+  'pl_orbper', 'pl_eqt', 'disc_year', 'sy_dist', 'sys_name'
+];
+
+// ADQL Query Builder Class
+// Builds Exoplanet Archive TAP queries from whitelisted columns and escaped literals
+class ADQLQueryBuilder {
+  constructor(table = 'ps') {
+    if (!ADQL_TABLES[table]) {
+      throw new Error(`Unknown exoplanet table: ${table}`);
+    }
+
+    this.table = table;
+    this.columns = [];
+    this.conditions = [];
+    this.ordering = [];
+    this.limit = null;
+  }
+
+  static escapeLiteral(value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid numeric literal: ${value}`);
+      }
+      return String(value);
+    }
+    // Strings are single-quoted with embedded quotes doubled
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  column(name) {
+    if (!ADQL_TABLES[this.table].includes(name)) {
+      throw new Error(`Column ${name} is not available in ${this.table}`);
+    }
+    return name;
+  }
+
+  select(...columns) {
+    this.columns.push(...columns.flat().map(name => this.column(name)));
+    return this;
+  }
+
+  top(count) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error(`Invalid row limit: ${count}`);
+    }
+    this.limit = count;
+    return this;
+  }
+
+  where(column, operator, value) {
+    const op = String(operator).toLowerCase();
+    if (!ADQL_OPERATORS.includes(op)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    this.conditions.push(`${this.column(column)} ${op} ${ADQLQueryBuilder.escapeLiteral(value)}`);
+    return this;
+  }
+
+  whereBetween(column, min, max) {
+    this.conditions.push(
+      `${this.column(column)} between ${ADQLQueryBuilder.escapeLiteral(min)} and ${ADQLQueryBuilder.escapeLiteral(max)}`
+    );
+    return this;
+  }
+
+  whereNotNull(column) {
+    this.conditions.push(`${this.column(column)} is not null`);
+    return this;
+  }
+
+  // Substring match (% and _ in the term keep their wildcard meaning)
+  whereContains(column, term) {
+    return this.where(column, 'like', `%${term}%`);
+  }
+
+  orderBy(column, direction = 'asc') {
+    const dir = String(direction).toLowerCase();
+    if (dir !== 'asc' && dir !== 'desc') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.ordering.push(`${this.column(column)} ${dir}`);
+    return this;
+  }
+
+  build() {
+    const columns = this.columns.length > 0 ? this.columns.join(',') : '*';
+    let query = `select ${this.limit !== null ? `top ${this.limit} ` : ''}${columns} from ${this.table}`;
+
+    if (this.conditions.length > 0) {
+      query += ` where ${this.conditions.join(' and ')}`;
+    }
+    if (this.ordering.length > 0) {
+      query += ` order by ${this.ordering.join(',')}`;
     }
+
+    return query;
   }
 }
 
-// Mars Rover Photos Service
-class MarsRoverService extends BaseAPIService {
-  async getRoverPhotos(rover, sol = null, earthDate = null, camera = null, page = 1) {
-    const params = { page };
-    
-    if (sol !== null) params.sol = sol;
-    if (earthDate) params.earth_date = earthDate;
-    if (camera) params.camera = camera;
-    
-    const cacheKey = `rover_${rover}_${sol || earthDate}_${camera || 'all'}_${page}`;
-    return this.makeRequest(`/mars-photos/api/v1/rovers/${rover}/photos`, params, cacheKey, API_CONFIG.CACHE_DURATION.MARS_ROVERS);
+// Response formats requested from the Exoplanet Archive
+const EXOPLANET_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  votable: { contentType: 'application/x-votable+xml', extension: 'vot' }
+};
+
+// Exoplanet Data Parser Class
+// Turns JSON, CSV and VOTable responses into the same row objects
+class ExoplanetDataParser {
+  static parse(text, format = 'json') {
+    switch (format) {
+      case 'json':
+        return JSON.parse(text);
+      case 'csv':
+        return ExoplanetDataParser.parseCSV(text);
+      case 'votable':
+        return ExoplanetDataParser.parseVOTable(text);
+      default:
+        throw new Error(`Unsupported exoplanet data format: ${format}`);
+    }
   }
 
-  async getRoverManifest(rover) {
-    const cacheKey = `rover_manifest_${rover}`;
-    return this.makeRequest(`/mars-photos/api/v1/manifests/${rover}`, {}, cacheKey, API_CONFIG.CACHE_DURATION.MARS_ROVERS);
+  static parseCSV(text) {
+    const [header, ...records] = ExoplanetDataParser.splitCSV(text);
+    if (!header) {
+      return [];
+    }
+
+    return records
+      .filter(record => !(record.length === 1 && record[0] === ''))
+      .map(record => {
+        const row = {};
+        header.forEach((name, index) => {
+          row[name] = ExoplanetDataParser.convertCSVValue(record[index]);
+        });
+        return row;
+      });
   }
 
-  async getLatestPhotos(rover, count = 20) {
-    try {
-      const manifest = await this.getRoverManifest(rover);
-      if (manifest && manifest.photo_manifest && manifest.photo_manifest.max_sol) {
-        const latestSol = manifest.photo_manifest.max_sol;
-        const photos = await this.getRoverPhotos(rover, latestSol);
-        return photos.photos ? photos.photos.slice(0, count) : [];
+  // RFC 4180: quoted fields may hold commas, line breaks and doubled quotes
+  static splitCSV(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  // CSV carries no types, so numbers are detected the way the JSON output types them
+  static convertCSVValue(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value) ? Number(value) : value;
+  }
+
+  static parseVOTable(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const byTag = (parent, tag) => Array.from(parent.getElementsByTagNameNS('*', tag));
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid VOTable document');
+    }
+
+    // TAP services report query errors inside the VOTable itself
+    const errorInfo = byTag(doc, 'INFO').find(info =>
+      info.getAttribute('name') === 'QUERY_STATUS' && info.getAttribute('value') === 'ERROR'
+    );
+    if (errorInfo) {
+      throw new Error(errorInfo.textContent.trim() || 'VOTable query failed');
+    }
+
+    const table = byTag(doc, 'TABLE')[0];
+    if (!table) {
+      return [];
+    }
+
+    const fields = byTag(table, 'FIELD').map(field => ({
+      name: field.getAttribute('name'),
+      datatype: field.getAttribute('datatype') || 'char'
+    }));
+
+    const tableData = byTag(table, 'TABLEDATA')[0];
+    if (!tableData) {
+      if (byTag(table, 'DATA').length > 0) {
+        throw new Error('Only TABLEDATA VOTable serialization is supported');
       }
       return [];
-    } catch (error) {
-      throw new APIError(0, `Failed to get latest photos for ${rover}`, `/mars-photos/api/v1/rovers/${rover}`);
     }
+
+    return byTag(tableData, 'TR').map(tr => {
+      const cells = byTag(tr, 'TD');
+      const row = {};
+      fields.forEach((field, index) => {
+        row[field.name] = ExoplanetDataParser.convertVOTableValue(
+          cells[index] ? cells[index].textContent : '',
+          field.datatype
+        );
+      });
+      return row;
+    });
   }
 
-  getRoverCameras(rover) {
-    const cameras = {
-      curiosity: [
-        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
-        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
-        { abbrev: 'MAST', name: 'Mast Camera' },
-        { abbrev: 'CHEMCAM', name: 'Chemistry and Camera Complex' },
-        { abbrev: 'MAHLI', name: 'Mars Hand Lens Imager' },
-        { abbrev: 'MARDI', name: 'Mars Descent Imager' },
-        { abbrev: 'NAVCAM', name: 'Navigation Camera' }
-      ],
-      opportunity: [
-        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
-        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
-        { abbrev: 'NAVCAM', name: 'Navigation Camera' },
-        { abbrev: 'PANCAM', name: 'Panoramic Camera' },
-        { abbrev: 'MINITES', name: 'Miniature Thermal Emission Spectrometer' }
-      ],
-      spirit: [
-        { abbrev: 'FHAZ', name: 'Front Hazard Avoidance Camera' },
-        { abbrev: 'RHAZ', name: 'Rear Hazard Avoidance Camera' },
-        { abbrev: 'NAVCAM', name: 'Navigation Camera' },
-        { abbrev: 'PANCAM', name: 'Panoramic Camera' },
-        { abbrev: 'MINITES', name: 'Miniature Thermal Emission Spectrometer' }
-      ],
-      perseverance: [
-        { abbrev: 'EDL_RUCAM', name: 'Rover Up-Look Camera' },
-        { abbrev: 'EDL_RDCAM', name: 'Rover Down-Look Camera' },
-        { abbrev: 'EDL_DDCAM', name: 'Descent Stage Down-Look Camera' },
-        { abbrev: 'EDL_PUCAM1', name: 'Parachute Up-Look Camera A' },
-        { abbrev: 'EDL_PUCAM2', name: 'Parachute Up-Look Camera B' },
-        { abbrev: 'NAVCAM_LEFT', name: 'Navigation Camera - Left' },
-        { abbrev: 'NAVCAM_RIGHT', name: 'Navigation Camera - Right' },
-        { abbrev: 'MCZ_RIGHT', name: 'Mast Camera Zoom - Right' },
-        { abbrev: 'MCZ_LEFT', name: 'Mast Camera Zoom - Left' },
-        { abbrev: 'FRONT_HAZCAM_LEFT_A', name: 'Front Hazard Avoidance Camera - Left' },
-        { abbrev: 'FRONT_HAZCAM_RIGHT_A', name: 'Front Hazard Avoidance Camera - Right' },
-        { abbrev: 'REAR_HAZCAM_LEFT', name: 'Rear Hazard Avoidance Camera - Left' },
-        { abbrev: 'REAR_HAZCAM_RIGHT', name: 'Rear Hazard Avoidance Camera - Right' },
-        { abbrev: 'SKYCAM', name: 'MEDA Skycam' },
-        { abbrev: 'SHERLOC_WATSON', name: 'SHERLOC WATSON Camera' }
-      ]
-    };
-    
-    return cameras[rover.toLowerCase()] || [];
+  static convertVOTableValue(value, datatype) {
+    const trimmed = value.trim();
+    if (trimmed === '') {
+      return null;
+    }
+
+    switch (datatype) {
+      case 'boolean':
+        return ['t', 'true', '1'].includes(trimmed.toLowerCase());
+      case 'unsignedByte':
+      case 'short':
+      case 'int':
+      case 'long':
+      case 'float':
+      case 'double': {
+        const number = Number(trimmed);
+        return Number.isNaN(number) ? null : number;
+      }
+      default:
+        return value;
+    }
+  }
+}
+
+// Source Health Tracker Class
+// Scores data sources by recent success rate and latency so the healthiest is tried first
+class SourceHealthTracker {
+  constructor(storageKey, options = {}) {
+    this.storageKey = storageKey;
+    this.maxSamples = options.maxSamples || 10;
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // Failures stop counting after a day
+    this.latencyScale = options.latencyScale || 10000;  // Latency (ms) that halves a score
+    this.samples = StorageUtils.get(storageKey, {});
+  }
+
+  getSamples(sourceId) {
+    const cutoff = Date.now() - this.maxAge;
+    return (this.samples[sourceId] || []).filter(sample => sample.timestamp > cutoff);
+  }
+
+  record(sourceId, ok, latency = null) {
+    const samples = this.getSamples(sourceId);
+    samples.push({ ok, latency, timestamp: Date.now() });
+    this.samples[sourceId] = samples.slice(-this.maxSamples);
+    StorageUtils.set(this.storageKey, this.samples);
+  }
+
+  recordSuccess(sourceId, latency) {
+    this.record(sourceId, true, latency);
+  }
+
+  recordFailure(sourceId) {
+    this.record(sourceId, false);
+  }
+
+  // Smoothed success rate (an untried source scores 0.5), reduced by average latency
+  getScore(sourceId) {
+    const samples = this.getSamples(sourceId);
+    const successes = samples.filter(sample => sample.ok);
+    const successRate = (successes.length + 1) / (samples.length + 2);
+
+    if (successes.length === 0) {
+      return successRate;
+    }
+
+    const averageLatency = successes.reduce((sum, sample) => sum + sample.latency, 0) / successes.length;
+    return successRate / (1 + averageLatency / this.latencyScale);
+  }
+
+  // Healthiest first; ties keep the configured order
+  rank(sources) {
+    return sources
+      .map((source, index) => ({ source, index, score: this.getScore(source.id) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.source);
+  }
+
+  getReport(sources) {
+    return sources.map(source => {
+      const samples = this.getSamples(source.id);
+      const successes = samples.filter(sample => sample.ok);
+      return {
+        id: source.id,
+        name: source.name,
+        score: Math.round(this.getScore(source.id) * 100) / 100,
+        attempts: samples.length,
+        successes: successes.length,
+        averageLatency: successes.length > 0
+          ? Math.round(successes.reduce((sum, sample) => sum + sample.latency, 0) / successes.length)
+          : null
+      };
+    });
+  }
+
+  reset() {
+    this.samples = {};
+    StorageUtils.remove(this.storageKey);
   }
 }
 
 // Exoplanet Service
 class ExoplanetService {
   constructor() {
-    this.baseURL = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync';
-    this.corsProxyURLs = [
-      'https://api.allorigins.win/get?url=',
-      'https://corsproxy.io/?',
-      'https://api.codetabs.com/v1/proxy?quest='
-    ];
-    this.useCorsProxy = true; // Enable CORS proxy for development
+    this.baseURL = API_CONFIG.EXOPLANETS.ARCHIVE_URL;
+    this.sources = this.createSources();
+    this.health = new SourceHealthTracker('exoplanet_source_health');
+    this.lastSource = null; // Where the most recent makeRequest result came from
+    this.timeout = API_CONFIG.REQUEST_TIMEOUT;
+    this.transport = apiTransport;
+  }
+
+  // Self-hosted proxy, then the configured public CORS proxies, then the archive itself
+  createSources() {
+    const sources = [];
+
+    if (API_CONFIG.PROXY.enabled) {
+      sources.push({ id: 'self', name: 'Cosmos Connect proxy', type: 'self', url: API_CONFIG.PROXY.exoplanetUrl });
+    }
+
+    API_CONFIG.EXOPLANETS.CORS_PROXIES.forEach(url => {
+      sources.push({ id: url, name: url.replace(/^https?:\/\//, '').split(/[/?]/)[0], type: 'proxy', url });
+    });
+
+    sources.push({ id: 'direct', name: 'NASA Exoplanet Archive', type: 'direct', url: this.baseURL });
+    return sources;
+  }
+
+  buildSourceURL(source, targetURL, query, format) {
+    switch (source.type) {
+      case 'self':
+        return URLUtils.buildURL(source.url, { query, format });
+      case 'proxy':
+        return source.url + encodeURIComponent(targetURL);
+      default:
+        return targetURL;
+    }
+  }
+
+  async readSourceBody(source, response) {
+    // allorigins wraps the upstream body in JSON
+    if (source.type === 'proxy' && source.url.includes('allorigins.win')) {
+      const result = await response.json();
+      if (typeof result.contents !== 'string') {
+        throw new Error('Invalid allorigins response format');
+      }
+      return result.contents;
+    }
+    return response.text();
   }
 
-  async makeRequest(query, format = 'json') {
-    const cacheKey = `exoplanets_${btoa(query)}_${format}`;
+  getSourceHealth() {
+    return this.health.getReport(this.sources);
+  }
+
+  async makeRequest(query, format = 'json', options = {}) {
+    if (!EXOPLANET_FORMATS[format]) {
+      throw new Error(`Unsupported exoplanet data format: ${format}`);
+    }
+
+    const cacheKey = `exoplanets_${encodeURIComponent(query)}_${format}`;
     const cachedData = CacheUtils.getCachedData(cacheKey, API_CONFIG.CACHE_DURATION.EXOPLANETS);
     
     if (cachedData) {
+      this.lastSource = { id: 'cache', name: 'Cached archive data', type: 'cache' };
+      requestEvents.emit(REQUEST_EVENTS.CACHE_HIT, {
+        service: 'ExoplanetService',
+        endpoint: '/TAP/sync',
+        params: { query, format },
+        cacheKey,
+        duration: 0,
+        size: JSON.stringify(cachedData).length
+      });
       return cachedData;
     }
 
-    // Try CORS proxies first if enabled
-    if (this.useCorsProxy) {
-      for (const proxyURL of this.corsProxyURLs) {
-        try {
-          const targetURL = URLUtils.buildURL(this.baseURL, { query, format });
-          let proxyUrl;
-          
-          if (proxyURL.includes('allorigins.win')) {
-            proxyUrl = proxyURL + encodeURIComponent(targetURL);
-          } else {
-            proxyUrl = proxyURL + encodeURIComponent(targetURL);
-          }
-          
-          console.log(`Trying CORS proxy: ${proxyURL}`);
-          const response = await fetch(proxyUrl);
-          
-          if (!response.ok) {
-            console.warn(`CORS proxy ${proxyURL} returned ${response.status}`);
-            continue;
-          }
-          
-          let data;
-          if (proxyURL.includes('allorigins.win')) {
-            const result = await response.json();
-            if (result.contents) {
-              data = JSON.parse(result.contents);
-            } else {
-              throw new Error('Invalid allorigins response format');
-            }
-          } else {
-            data = await response.json();
-          }
-          
-          CacheUtils.setCachedData(cacheKey, data, API_CONFIG.CACHE_DURATION.EXOPLANETS);
-          console.log(`Successfully loaded data via CORS proxy: ${proxyURL}`);
-          return data;
-          
-        } catch (error) {
-          console.warn(`CORS proxy ${proxyURL} failed:`, error.message);
-          continue;
-        }
+    try {
+      const result = await this.fetchFromArchive(query, format, options, text => ExoplanetDataParser.parse(text, format));
+      CacheUtils.setCachedData(cacheKey, result.data, API_CONFIG.CACHE_DURATION.EXOPLANETS);
+      this.lastSource = result.source;
+      return result.data;
+    } catch (error) {
+      if (error.aborted) {
+        throw error;
       }
+      
+      // Return sample data as final fallback
+      console.warn('All exoplanet sources failed, using sample data:', error.message);
+      this.lastSource = { id: 'sample', name: 'Sample data', type: 'sample', error: error.message };
+      return this.getSampleExoplanetData();
+    }
+  }
+
+  // Tries each source, healthiest first; `transform` runs on the response text so
+  // a source returning something unreadable falls through to the next one.
+  // Resolves to { data, source }.
+  async fetchFromArchive(query, format = 'json', options = {}, transform = text => text) {
+    if (!EXOPLANET_FORMATS[format]) {
+      throw new Error(`Unsupported exoplanet data format: ${format}`);
     }
 
-    // Try direct API call as fallback
-    try {
-      console.log('Trying direct API call...');
-      const url = URLUtils.buildURL(this.baseURL, { query, format });
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new APIError(response.status, `HTTP ${response.status}: ${response.statusText}`, '/TAP/sync');
-      }
+    const timeout = options.timeout ?? this.timeout;
+    const targetURL = URLUtils.buildURL(this.baseURL, { query, format });
+    const usesNetwork = this.transport.usesNetwork;
 
-      const data = await response.json();
-      CacheUtils.setCachedData(cacheKey, data, API_CONFIG.CACHE_DURATION.EXOPLANETS);
-      console.log('Successfully loaded data via direct API call');
-      return data;
-      
-    } catch (error) {
-      console.warn('Direct API call failed:', error.message);
+    if (options.signal && options.signal.aborted) {
+      throw APIError.cancelled('/TAP/sync');
     }
-    
-    // Return sample data as final fallback
-    console.warn('All API attempts failed, using sample exoplanet data');
-    const sampleData = this.getSampleExoplanetData();
-    return sampleData;
+
+    // Fixtures are keyed by the archive URL whichever source recorded them
+    const sources = usesNetwork
+      ? this.health.rank(this.sources)
+      : this.sources.filter(source => source.type === 'direct');
+    let lastError = null;
+
+    const eventDetail = { requestId: requestEvents.createRequestId(), service: 'ExoplanetService', endpoint: '/TAP/sync', params: { query, format } };
+    const requestStart = Date.now();
+    const report = (type, detail) => requestEvents.emit(type, { ...eventDetail, duration: Date.now() - requestStart, ...detail });
+    requestEvents.emit(REQUEST_EVENTS.START, eventDetail);
+
+    for (const [index, source] of sources.entries()) {
+      const requestController = new RequestController(options.signal, timeout);
+      const startTime = Date.now();
+
+      try {
+        console.log(`Trying exoplanet source: ${source.name}`);
+        const url = this.buildSourceURL(source, targetURL, query, format);
+        const response = await this.transport.send(url, { signal: requestController.signal, record: false });
+        
+        if (!response.ok) {
+          throw new APIError(response.status, `HTTP ${response.status}: ${response.statusText}`, '/TAP/sync');
+        }
+
+        const text = await this.readSourceBody(source, response);
+        const data = transform(text);
+        const latency = Date.now() - startTime;
+
+        if (usesNetwork) {
+          this.health.recordSuccess(source.id, latency);
+        }
+        if (this.transport.recordData) {
+          this.transport.recordData(HTTPTransport.fixtureKey(targetURL), text, EXOPLANET_FORMATS[format].contentType);
+        }
+
+        console.log(`Loaded exoplanet data via ${source.name} in ${latency}ms`);
+        report(REQUEST_EVENTS.SUCCESS, { size: text.length, status: response.status, attempts: index + 1, source: source.name });
+        return { data, source: { id: source.id, name: source.name, type: source.type, latency } };
+        
+      } catch (error) {
+        // A cancelled load must not fall through to the remaining sources
+        if (options.signal && options.signal.aborted) {
+          report(REQUEST_EVENTS.ERROR, { status: 0, message: 'Request was cancelled.', aborted: true, attempts: index + 1 });
+          throw APIError.cancelled('/TAP/sync');
+        }
+
+        if (usesNetwork) {
+          this.health.recordFailure(source.id);
+        }
+        lastError = requestController.timedOut ? APIError.timedOut('/TAP/sync', timeout) : error;
+        console.warn(`Exoplanet source ${source.name} failed:`, lastError.message);
+
+        if (index < sources.length - 1) {
+          report(REQUEST_EVENTS.RETRY, {
+            status: lastError.status ?? 0,
+            message: `${source.name}: ${lastError.message}`,
+            attempt: index + 2,
+            source: sources[index + 1].name
+          });
+        }
+      } finally {
+        requestController.dispose();
+      }
+    }
+
+    const finalError = lastError instanceof APIError
+      ? lastError
+      : new APIError(0, lastError ? lastError.message : 'No exoplanet data source is configured', '/TAP/sync');
+    report(REQUEST_EVENTS.ERROR, { status: finalError.status, message: finalError.message, attempts: sources.length });
+    throw finalError;
+  }
+
+  // Saves the archive's own CSV or VOTable output (for TOPCAT, pandas, etc.)
+  async downloadRaw(query, format = 'csv', filename = `exoplanets.${EXOPLANET_FORMATS[format]?.extension}`, options = {}) {
+    const { data: text } = await this.fetchFromArchive(query, format, options);
+
+    const blob = new Blob([text], { type: EXOPLANET_FORMATS[format].contentType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+
+    return blob.size;
+  }
+
+  // Base query for the planet list columns
+  planetQuery(table = 'ps') {
+    return new ADQLQueryBuilder(table)
+      .select(EXOPLANET_LIST_COLUMNS)
+      .whereNotNull('pl_name');
+  }
+
+  allPlanetsQuery(limit = 100) {
+    return this.planetQuery()
+      .top(parseInt(limit, 10))
+      .orderBy('disc_year', 'desc')
+      .build();
+  }
+
+  // Bulk pulls use CSV, which is far smaller than JSON for the same rows
+  async getAllPlanets(limit = 100, options = {}) {
+    return this.makeRequest(this.allPlanetsQuery(limit), 'csv', options);
   }
 
-  async getAllPlanets(limit = 100) {
-    const query = `select top ${limit} pl_name,hostname,discoverymethod,pl_rade,pl_masse,pl_orbper,pl_eqt,disc_year,sy_dist,sys_name from ps where pl_name is not null order by disc_year desc`;
-    return this.makeRequest(query);
+  async downloadAllPlanets(limit = 100, format = 'csv', options = {}) {
+    return this.downloadRaw(this.allPlanetsQuery(limit), format, `exoplanets-top${limit}.${EXOPLANET_FORMATS[format].extension}`, options);
   }
 
-  async getPlanetsByYear(year) {
-    const query = `select pl_name,hostname,discoverymethod,pl_rade,pl_masse,pl_orbper,pl_eqt,sy_dist,sys_name,disc_year from ps where disc_year=${year} and pl_name is not null`;
-    return this.makeRequest(query);
+  async getPlanetsByYear(year, options = {}) {
+    const query = this.planetQuery()
+      .where('disc_year', '=', parseInt(year, 10))
+      .build();
+    return this.makeRequest(query, 'json', options);
   }
 
-  async getEarthLikePlanets() {
-    const query = `select pl_name,hostname,discoverymethod,pl_rade,pl_masse,pl_orbper,pl_eqt,sy_dist,sys_name,disc_year from ps where pl_rade between 0.8 and 1.2 and pl_name is not null order by sy_dist`;
-    return this.makeRequest(query);
+  async getEarthLikePlanets(options = {}) {
+    const query = this.planetQuery()
+      .whereBetween('pl_rade', 0.8, 1.2)
+      .orderBy('sy_dist')
+      .build();
+    return this.makeRequest(query, 'json', options);
   }
 
-  async searchPlanets(searchTerm) {
-    const query = `select pl_name,hostname,discoverymethod,pl_rade,pl_masse,pl_orbper,pl_eqt,sy_dist,sys_name,disc_year from ps where pl_name like '%${searchTerm}%' and pl_name is not null order by disc_year desc`;
-    return this.makeRequest(query);
+  async searchPlanets(searchTerm, options = {}) {
+    const query = this.planetQuery()
+      .whereContains('pl_name', searchTerm)
+      .orderBy('disc_year', 'desc')
+      .build();
+    return this.makeRequest(query, 'json', options);
   }
 
-  async getRecentDiscoveries(days = 365) {
-    const currentYear = new Date().getFullYear();
-    const query = `select pl_name,hostname,discoverymethod,pl_rade,pl_masse,pl_orbper,pl_eqt,sy_dist,sys_name,disc_year from ps where disc_year>=${currentYear - 1} and pl_name is not null order by disc_year desc`;
-    return this.makeRequest(query);
+  async getRecentDiscoveries(days = 365, options = {}) {
+    const cutoffYear = new Date(Date.now() - days * 24 * 60 * 60 * 1000).getFullYear();
+    const query = this.planetQuery()
+      .where('disc_year', '>=', cutoffYear)
+      .orderBy('disc_year', 'desc')
+      .build();
+    return this.makeRequest(query, 'json', options);
   }
 
   /**
@@ -666,6 +3159,15 @@ class APIServiceManager {
     this.spaceWeather = new SpaceWeatherService(apiKey);
     this.marsRovers = new MarsRoverService(apiKey);
     this.exoplanets = new ExoplanetService();
+    this.naturalEvents = new EONETService(apiKey);
+    this.epic = new EPICService(apiKey);
+    this.imageLibrary = new ImageLibraryService(apiKey);
+    this.sentry = new SentryService(apiKey);
+    this.closeApproaches = new CloseApproachService(apiKey);
+    this.tle = new TLEService(apiKey);
+    this.gibs = new GIBSService(apiKey);
+    this.techPort = new TechPortService(apiKey);
+    this.techTransfer = new TechTransferService(apiKey);
   }
 
   updateAPIKey(newApiKey) {
@@ -675,6 +3177,15 @@ class APIServiceManager {
     this.asteroids = new AsteroidService(newApiKey);
     this.spaceWeather = new SpaceWeatherService(newApiKey);
     this.marsRovers = new MarsRoverService(newApiKey);
+    this.naturalEvents = new EONETService(newApiKey);
+    this.epic = new EPICService(newApiKey);
+    this.imageLibrary = new ImageLibraryService(newApiKey);
+    this.sentry = new SentryService(newApiKey);
+    this.closeApproaches = new CloseApproachService(newApiKey);
+    this.tle = new TLEService(newApiKey);
+    this.gibs = new GIBSService(newApiKey);
+    this.techPort = new TechPortService(newApiKey);
+    this.techTransfer = new TechTransferService(newApiKey);
     
     // Store API key in localStorage
     StorageUtils.set('nasa_api_key', newApiKey);
@@ -684,6 +3195,44 @@ class APIServiceManager {
     return this.apod.getRateLimitInfo();
   }
 
+  getCoalescingStats() {
+    return requestCoalescer.getStats();
+  }
+
+  getTransportMode() {
+    return apiTransport.mode;
+  }
+
+  getExoplanetSourceHealth() {
+    return this.exoplanets.getSourceHealth();
+  }
+
+  // Subscribe to request events (see REQUEST_EVENTS, or '*' for all); returns an unsubscribe function
+  on(type, handler) {
+    return requestEvents.on(type, handler);
+  }
+
+  off(type, handler) {
+    requestEvents.off(type, handler);
+  }
+
+  getRequestHistory() {
+    return requestEvents.getHistory();
+  }
+
+  clearRequestHistory() {
+    requestEvents.clearHistory();
+  }
+
+  // Download everything recorded so far, to be saved as the replay fixture file
+  exportRecordedFixtures(filename) {
+    if (!(apiTransport instanceof RecordingTransport)) {
+      console.warn('Fixture recording is disabled. Set VITE_ENABLE_FIXTURE_RECORDING=true to record responses.');
+      return 0;
+    }
+    return apiTransport.exportRecordings(filename);
+  }
+
   clearCache() {
     const keys = Object.keys(localStorage);
     keys.forEach(key => {
@@ -691,6 +3240,7 @@ class APIServiceManager {
         localStorage.removeItem(key);
       }
     });
+    gibsTileCache.clear();
   }
 }
 
@@ -7,12 +7,18 @@ class AsteroidsApp {
       startDate: null,
       endDate: null,
       size: '',
-      hazard: ''
+      hazard: '',
+      sentry: ''
     };
     this.viewMode = 'cards';
     this.currentPage = 1;
     this.itemsPerPage = 12;
     this.trackedObjects = StorageUtils.get('tracked_asteroids', []);
+    this.loadRequest = null;
+    this.approaches = [];
+    this.approachSort = { key: 'date', direction: 'asc' };
+    this.approachRequest = null;
+    this.approachChart = null;
     this.initialized = false;
   }
 
@@ -21,8 +27,10 @@ class AsteroidsApp {
 
     try {
       this.setupDateInputs();
+      this.setupApproachInputs();
       this.setupEventListeners();
       await this.loadAsteroidData();
+      this.loadApproaches();
       this.initialized = true;
       
       // Hide loading screen
@@ -95,6 +103,23 @@ class AsteroidsApp {
       btn.addEventListener('click', (e) => this.setViewMode(e.target.closest('button').dataset.view));
     });
 
+    // Close approach explorer
+    const approachForm = document.getElementById('approach-form');
+    if (approachForm) {
+      approachForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.loadApproaches();
+      });
+    }
+
+    const approachContent = document.getElementById('approach-content');
+    if (approachContent) {
+      approachContent.addEventListener('click', (e) => {
+        const header = e.target.closest('[data-sort]');
+        if (header) this.sortApproaches(header.dataset.sort);
+      });
+    }
+
     // Track asteroid button in modal
     const trackBtn = document.getElementById('track-asteroid-btn');
     if (trackBtn) {
@@ -122,9 +147,36 @@ class AsteroidsApp {
     }
   }
 
+  setupApproachInputs() {
+    const dateMinInput = document.getElementById('approach-date-min');
+    const dateMaxInput = document.getElementById('approach-date-max');
+    
+    if (dateMinInput && dateMaxInput) {
+      // CAD has no 7-day limit, so default to the ten years either side of today
+      const today = new Date();
+      const tenYearsAgo = new Date(today);
+      tenYearsAgo.setFullYear(today.getFullYear() - 10);
+      const tenYearsAhead = new Date(today);
+      tenYearsAhead.setFullYear(today.getFullYear() + 10);
+      
+      dateMinInput.value = tenYearsAgo.toISOString().split('T')[0];
+      dateMaxInput.value = tenYearsAhead.toISOString().split('T')[0];
+    }
+  }
+
+  startLoadRequest() {
+    // Only the most recent load is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
   async loadAsteroidData() {
     const contentContainer = document.getElementById('asteroid-content');
     const statsContainer = document.getElementById('asteroid-stats');
+    const signal = this.startLoadRequest();
     
     try {
       LoadingUtils.showLoading(contentContainer, 'Scanning for space rocks...');
@@ -132,7 +184,8 @@ class AsteroidsApp {
       
       const data = await APIManager.asteroids.getNearEarthObjects(
         this.currentFilters.startDate,
-        this.currentFilters.endDate
+        this.currentFilters.endDate,
+        { signal }
       );
       
       this.asteroidData = data;
@@ -141,6 +194,7 @@ class AsteroidsApp {
       this.updateDataCount(data);
       
     } catch (error) {
+      if (error.aborted) return;
       console.error('Failed to load asteroid data:', error);
       
       // If date range is invalid (400 error), try a safe fallback range
@@ -152,7 +206,7 @@ class AsteroidsApp {
         
         try {
           // Use a known working week range
-          const fallbackData = await APIManager.asteroids.getNearEarthObjects('2024-09-06', '2024-09-13');
+          const fallbackData = await APIManager.asteroids.getNearEarthObjects('2024-09-06', '2024-09-13', { signal });
           this.asteroidData = fallbackData;
           this.renderStatistics(statsContainer, fallbackData);
           this.renderAsteroids(contentContainer, fallbackData);
@@ -176,6 +230,7 @@ class AsteroidsApp {
           }
           return;
         } catch (fallbackError) {
+          if (fallbackError.aborted) return;
           console.error('Fallback also failed:', fallbackError);
         }
       }
@@ -192,6 +247,7 @@ class AsteroidsApp {
     const endDate = document.getElementById('end-date').value;
     const sizeFilter = document.getElementById('size-filter').value;
     const hazardFilter = document.getElementById('hazard-filter').value;
+    const sentryFilter = document.getElementById('sentry-filter').value;
 
     // Validate dates
     if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
@@ -204,7 +260,8 @@ class AsteroidsApp {
       startDate: startDate || this.currentFilters.startDate,
       endDate: endDate || this.currentFilters.endDate,
       size: sizeFilter,
-      hazard: hazardFilter
+      hazard: hazardFilter,
+      sentry: sentryFilter
     };
 
     // Reset pagination
@@ -219,10 +276,12 @@ class AsteroidsApp {
     this.setupDateInputs();
     document.getElementById('size-filter').value = '';
     document.getElementById('hazard-filter').value = '';
+    document.getElementById('sentry-filter').value = '';
 
     // Reset filters
     this.currentFilters.size = '';
     this.currentFilters.hazard = '';
+    this.currentFilters.sentry = '';
     this.currentPage = 1;
 
     // Reload data
@@ -230,7 +289,13 @@ class AsteroidsApp {
   }
 
   async loadThisWeek() {
-    const data = await APIManager.asteroids.getAsteroidsForWeek();
+    let data;
+    try {
+      data = await APIManager.asteroids.getAsteroidsForWeek({ signal: this.startLoadRequest() });
+    } catch (error) {
+      if (error.aborted) return;
+      throw error;
+    }
     this.asteroidData = data;
     
     const contentContainer = document.getElementById('asteroid-content');
@@ -370,6 +435,9 @@ class AsteroidsApp {
         if (this.currentFilters.hazard === 'safe' && isHazardous) return false;
       }
 
+      // Sentry filter (objects with a non-zero impact probability)
+      if (this.currentFilters.sentry === 'sentry' && !asteroid.is_sentry_object) return false;
+
       return true;
     });
   }
@@ -396,6 +464,7 @@ class AsteroidsApp {
                         '<span class="badge badge-danger">Hazardous</span>' : 
                         '<span class="badge badge-success">Safe</span>'
                       }
+                      ${asteroid.is_sentry_object ? '<span class="badge badge-warning ms-1">Sentry</span>' : ''}
                       ${isTracked ? '<span class="badge badge-info ms-1">Tracked</span>' : ''}
                     </div>
                   </div>
@@ -602,6 +671,10 @@ class AsteroidsApp {
       const asteroidDetails = await APIManager.asteroids.getAsteroidDetails(asteroidId);
       this.renderAsteroidDetails(contentContainer, asteroidDetails);
       
+      if (asteroidDetails.is_sentry_object) {
+        this.loadSentryRisk(asteroidDetails);
+      }
+      
     } catch (error) {
       console.error('Failed to load asteroid details:', error);
       const errorMessage = ErrorUtils.handleAPIError(error, 'asteroid details');
@@ -671,6 +744,15 @@ class AsteroidsApp {
           </div>
         </div>
         
+        <div class="row mt-4">
+          <div class="col-12">
+            <h5>Impact Risk (CNEOS Sentry)</h5>
+            <div id="sentry-risk">
+              ${asteroid.is_sentry_object ? '' : '<p class="text-muted mb-0">This object is not on the Sentry impact monitoring list.</p>'}
+            </div>
+          </div>
+        </div>
+        
         ${asteroid.close_approach_data.length > 1 ? `
           <div class="row mt-4">
             <div class="col-12">
@@ -690,6 +772,265 @@ class AsteroidsApp {
     `;
   }
 
+  async loadSentryRisk(asteroid) {
+    const container = document.getElementById('sentry-risk');
+    // NeoWs names look like "(2000 SG344)" or "99942 Apophis (2004 MN4)"; Sentry wants the designation
+    const designation = asteroid.designation || asteroid.name.replace(/[()]/g, '').trim();
+    
+    try {
+      LoadingUtils.showLoading(container, 'Checking impact risk...');
+      const risk = await APIManager.sentry.getObject(designation);
+      
+      // The modal may already show another asteroid
+      if (!container.isConnected) return;
+      this.renderSentryRisk(container, risk);
+    } catch (error) {
+      console.error('Failed to load Sentry data:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'impact risk data');
+      LoadingUtils.showError(container, errorMessage);
+    }
+  }
+
+  renderSentryRisk(container, risk) {
+    if (risk.removed) {
+      container.innerHTML = `
+        <p class="mb-0">
+          <span class="badge badge-success me-2">Removed</span>
+          Sentry removed this object from its risk list on ${DateUtils.formatDate(risk.removed.split(' ')[0])}: further observations ruled out every potential impact.
+        </p>
+      `;
+      return;
+    }
+    
+    const { summary, virtualImpactors } = risk;
+    const formatProbability = (probability) => probability === null ? 'Unknown'
+      : `${probability.toExponential(2)} (1 in ${NumberUtils.formatLargeNumber(Math.round(1 / probability))})`;
+    
+    container.innerHTML = `
+      <table class="table table-glass">
+        <tr><td><strong>Cumulative Impact Probability:</strong></td><td>${formatProbability(summary.impactProbability)}</td></tr>
+        <tr><td><strong>Palermo Scale (cumulative / max):</strong></td><td>${summary.palermoCumulative ?? '—'} / ${summary.palermoMax ?? '—'}</td></tr>
+        <tr><td><strong>Torino Scale (max):</strong></td><td><span class="badge ${summary.torinoMax > 0 ? 'badge-warning' : 'badge-success'}">${summary.torinoMax ?? '—'}</span></td></tr>
+        <tr><td><strong>Potential Impacts:</strong></td><td>${summary.impactCount ?? virtualImpactors.length}${summary.range ? ` between ${summary.range.replace('-', ' and ')}` : ''}</td></tr>
+        <tr><td><strong>Last Observed:</strong></td><td>${summary.lastObservation || 'Unknown'}</td></tr>
+      </table>
+      
+      ${virtualImpactors.length ? `
+        <h6>Virtual Impactors</h6>
+        <div class="table-responsive sentry-impactors">
+          <table class="table table-glass table-sm">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Impact Probability</th>
+                <th>Palermo</th>
+                <th>Torino</th>
+                <th>Energy (Mt)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${virtualImpactors.map(impactor => `
+                <tr>
+                  <td>${impactor.date.split('.')[0]}</td>
+                  <td>${impactor.impactProbability !== null ? impactor.impactProbability.toExponential(2) : '—'}</td>
+                  <td>${impactor.palermo ?? '—'}</td>
+                  <td>${impactor.torino ?? '—'}</td>
+                  <td>${impactor.energy !== null ? impactor.energy.toPrecision(3) : '—'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  async loadApproaches() {
+    const container = document.getElementById('approach-content');
+    if (!container) return;
+    
+    if (this.approachRequest) {
+      this.approachRequest.abort();
+    }
+    this.approachRequest = new AbortController();
+    const signal = this.approachRequest.signal;
+    
+    const distMax = document.getElementById('approach-dist-max').value;
+    const filters = {
+      dateMin: document.getElementById('approach-date-min').value,
+      dateMax: document.getElementById('approach-date-max').value,
+      body: document.getElementById('approach-body').value,
+      distMax: distMax ? `${distMax}LD` : '',
+      hMin: document.getElementById('approach-h-min').value
+    };
+    
+    try {
+      LoadingUtils.showLoading(container, 'Searching close approaches...');
+      this.approaches = await APIManager.closeApproaches.getApproaches(filters, { signal });
+      this.renderApproaches();
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to load close approaches:', error);
+      this.approaches = [];
+      this.renderApproachChart();
+      document.getElementById('approach-count').textContent = '';
+      const errorMessage = ErrorUtils.handleAPIError(error, 'close approach data');
+      LoadingUtils.showError(container, errorMessage);
+    }
+  }
+
+  sortApproaches(key) {
+    // Clicking the active column flips its direction
+    const direction = this.approachSort.key === key && this.approachSort.direction === 'asc' ? 'desc' : 'asc';
+    this.approachSort = { key, direction };
+    this.renderApproaches();
+  }
+
+  getSortedApproaches() {
+    const { key, direction } = this.approachSort;
+    const factor = direction === 'asc' ? 1 : -1;
+    
+    return [...this.approaches].sort((a, b) => {
+      // Missing values always sort last
+      if (a[key] === null) return 1;
+      if (b[key] === null) return -1;
+      if (typeof a[key] === 'string') return a[key].localeCompare(b[key]) * factor;
+      return (a[key] - b[key]) * factor;
+    });
+  }
+
+  renderApproaches() {
+    const container = document.getElementById('approach-content');
+    const countElement = document.getElementById('approach-count');
+    const now = new Date().toISOString();
+    const upcoming = this.approaches.filter(approach => approach.date > now).length;
+    
+    countElement.textContent = `${this.approaches.length} approaches (${upcoming} upcoming)`;
+    this.renderApproachChart();
+    
+    if (!this.approaches.length) {
+      container.innerHTML = `
+        <div class="text-center py-4">
+          <i class="fas fa-meteor fa-3x text-muted mb-3"></i>
+          <p class="text-muted mb-0">No close approaches match these filters. Try a wider date range or a larger distance.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    const maxRows = 200;
+    const rows = this.getSortedApproaches().slice(0, maxRows);
+    const sortHeader = (key, label) => {
+      const active = this.approachSort.key === key;
+      const icon = active ? (this.approachSort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort';
+      return `<th class="sortable" data-sort="${key}" aria-sort="${active ? `${this.approachSort.direction}ending` : 'none'}">${label} <i class="fas ${icon}"></i></th>`;
+    };
+    
+    container.innerHTML = `
+      <div class="table-responsive approach-table">
+        <table class="table table-glass table-sm">
+          <thead>
+            <tr>
+              ${sortHeader('date', 'Date (TDB)')}
+              ${sortHeader('fullname', 'Object')}
+              ${sortHeader('distanceLunar', 'Distance (LD)')}
+              ${sortHeader('distanceKm', 'Distance (km)')}
+              ${sortHeader('velocityRelative', 'Velocity (km/s)')}
+              ${sortHeader('absoluteMagnitude', 'H')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(approach => `
+              <tr>
+                <td>
+                  ${DateUtils.formatDateTime(approach.date)}
+                  ${approach.date > now ? '<span class="badge badge-info ms-1">Upcoming</span>' : ''}
+                </td>
+                <td>${approach.fullname}</td>
+                <td>${approach.distanceLunar !== null ? approach.distanceLunar.toFixed(2) : '—'}</td>
+                <td>${approach.distanceKm !== null ? Math.round(approach.distanceKm).toLocaleString() : '—'}</td>
+                <td>${approach.velocityRelative !== null ? approach.velocityRelative.toFixed(2) : '—'}</td>
+                <td>${approach.absoluteMagnitude ?? '—'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${this.approaches.length > maxRows ? `<p class="text-muted small mb-0">Showing the first ${maxRows} of ${this.approaches.length} approaches.</p>` : ''}
+    `;
+  }
+
+  renderApproachChart() {
+    const chartContainer = document.getElementById('approach-chart-container');
+    const ctx = document.getElementById('approachChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+    
+    if (this.approachChart) {
+      this.approachChart.destroy();
+      this.approachChart = null;
+    }
+    
+    chartContainer.style.display = this.approaches.length ? '' : 'none';
+    if (!this.approaches.length) return;
+    
+    // One bar per year in range, split into past and upcoming approaches
+    const now = new Date().toISOString();
+    const years = this.approaches.map(approach => approach.year).filter(year => year !== null);
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+    const labels = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      labels.push(year);
+    }
+    const past = labels.map(() => 0);
+    const upcoming = labels.map(() => 0);
+    this.approaches.forEach(approach => {
+      if (approach.year === null) return;
+      const counts = approach.date > now ? upcoming : past;
+      counts[approach.year - firstYear]++;
+    });
+    
+    this.approachChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Past Approaches',
+            data: past,
+            backgroundColor: 'rgba(74, 144, 226, 0.7)'
+          },
+          {
+            label: 'Upcoming Approaches',
+            data: upcoming,
+            backgroundColor: 'rgba(255, 107, 53, 0.7)'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: {
+            labels: { color: '#ffffff' }
+          }
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: { color: '#ffffff' },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            ticks: { color: '#ffffff', precision: 0 },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          }
+        }
+      }
+    });
+  }
+
   setViewMode(mode) {
     this.viewMode = mode;
     
@@ -331,7 +331,12 @@ class UserPreferencesManager {
                 exoplanetsView: 'cards'
             },
             filterDefaults: {},
-            customSettings: {}
+            customSettings: {},
+            alertRules: [],
+            alertHistory: [],
+            alertedEventIds: [],
+            alertLastCheck: 0,
+            location: null
         };
     }
 
@@ -472,6 +477,63 @@ class UserPreferencesManager {
         }
     }
 
+    getAlertRules() {
+        return this.getPreference('alertRules', []);
+    }
+
+    addAlertRule(rule) {
+        const created = {
+            id: `rule_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            enabled: true,
+            createdAt: Date.now(),
+            ...rule
+        };
+        
+        this.updatePreference('alertRules', [...this.getAlertRules(), created]);
+        return created;
+    }
+
+    updateAlertRule(id, changes) {
+        const rules = this.getAlertRules().map(rule => rule.id === id ? { ...rule, ...changes } : rule);
+        this.updatePreference('alertRules', rules);
+        return rules;
+    }
+
+    removeAlertRule(id) {
+        const rules = this.getAlertRules().filter(rule => rule.id !== id);
+        this.updatePreference('alertRules', rules);
+        return rules;
+    }
+
+    addToAlertHistory(alert) {
+        const history = [{ ...alert, triggeredAt: Date.now() }, ...this.getAlertHistory(100)];
+        
+        // Limit history to 100 alerts
+        this.updatePreference('alertHistory', history.slice(0, 100));
+        return history;
+    }
+
+    getAlertHistory(limit = 20) {
+        return this.getPreference('alertHistory', []).slice(0, limit);
+    }
+
+    clearAlertHistory() {
+        this.updatePreference('alertHistory', []);
+    }
+
+    // Kept apart from the history so clearing it does not re-alert old events
+    hasAlertedEvent(eventId) {
+        return this.getPreference('alertedEventIds', []).includes(eventId);
+    }
+
+    markEventAlerted(eventId) {
+        const ids = this.getPreference('alertedEventIds', []).filter(id => id !== eventId);
+        ids.unshift(eventId);
+        
+        // Events drop out of the check window long before 500 newer ones arrive
+        this.updatePreference('alertedEventIds', ids.slice(0, 500));
+    }
+
     exportPreferences() {
         return this.getPreferences();
     }
@@ -50,11 +50,33 @@ class EnvironmentConfig {
       return isNaN(parsed) ? defaultValue : parsed;
     };
 
+    // Helper function to parse decimal values
+    const parseDecimal = (value, defaultValue = 0) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? defaultValue : parsed;
+    };
+
+    // Helper function to parse comma-separated lists ('none' means empty)
+    const parseList = (value) => {
+      if (value.trim().toLowerCase() === 'none') return [];
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    };
+
     return {
       // NASA API Configuration
       nasa: {
-        apiKey: getEnvVar('VITE_NASA_API_KEY', 'GeHzHGsJOVKbuYzz45Vp6kcj3jOgdm9No0b2HEbv'),
+        apiKey: getEnvVar('VITE_NASA_API_KEY', 'DEMO_KEY'),
         baseUrl: getEnvVar('VITE_API_BASE_URL', 'https://api.nasa.gov'),
+        proxyUrl: getEnvVar('VITE_API_PROXY_URL', '/api/nasa'),
+        exoplanetProxyUrl: getEnvVar('VITE_EXOPLANET_PROXY_URL', '/api/exoplanets'),
+        eonetUrl: getEnvVar('VITE_EONET_BASE_URL', 'https://eonet.gsfc.nasa.gov/api/v3'),
+        epicArchiveUrl: getEnvVar('VITE_EPIC_ARCHIVE_URL', 'https://epic.gsfc.nasa.gov/archive'),
+        imageLibraryUrl: getEnvVar('VITE_IMAGE_LIBRARY_URL', 'https://images-api.nasa.gov'),
+        ssdUrl: getEnvVar('VITE_SSD_API_URL', 'https://ssd-api.jpl.nasa.gov'),
+        ssdProxyUrl: getEnvVar('VITE_SSD_PROXY_URL', '/api/ssd'),
+        tleUrl: getEnvVar('VITE_TLE_API_URL', 'https://tle.ivanstanojevic.me/api/tle'),
+        gibsUrl: getEnvVar('VITE_GIBS_WMTS_URL', 'https://gibs.earthdata.nasa.gov/wmts/epsg4326/best'),
+        requestTimeout: parseInteger(getEnvVar('VITE_REQUEST_TIMEOUT'), 15000),
         debugMode: parseBoolean(getEnvVar('VITE_DEBUG_MODE'), false)
       },
 
@@ -72,7 +94,14 @@ class EnvironmentConfig {
         asteroids: parseInteger(getEnvVar('VITE_CACHE_DURATION_ASTEROIDS'), 180),
         spaceWeather: parseInteger(getEnvVar('VITE_CACHE_DURATION_SPACE_WEATHER'), 15),
         marsRovers: parseInteger(getEnvVar('VITE_CACHE_DURATION_MARS_ROVERS'), 240),
-        exoplanets: parseInteger(getEnvVar('VITE_CACHE_DURATION_EXOPLANETS'), 1440)
+        exoplanets: parseInteger(getEnvVar('VITE_CACHE_DURATION_EXOPLANETS'), 1440),
+        eonet: parseInteger(getEnvVar('VITE_CACHE_DURATION_EONET'), 30),
+        epic: parseInteger(getEnvVar('VITE_CACHE_DURATION_EPIC'), 60),
+        imageLibrary: parseInteger(getEnvVar('VITE_CACHE_DURATION_IMAGE_LIBRARY'), 360),
+        ssd: parseInteger(getEnvVar('VITE_CACHE_DURATION_SSD'), 360),
+        tle: parseInteger(getEnvVar('VITE_CACHE_DURATION_TLE'), 120),
+        gibs: parseInteger(getEnvVar('VITE_CACHE_DURATION_GIBS'), 1440),
+        technology: parseInteger(getEnvVar('VITE_CACHE_DURATION_TECHNOLOGY'), 1440)
       },
 
       // Rate Limiting Configuration
@@ -82,6 +111,22 @@ class EnvironmentConfig {
         window: parseInteger(getEnvVar('VITE_RATE_LIMIT_WINDOW'), 3600000)
       },
 
+      // Retry Configuration (delays in milliseconds)
+      retry: {
+        maxAttempts: parseInteger(getEnvVar('VITE_RETRY_MAX_ATTEMPTS'), 3),
+        baseDelay: parseInteger(getEnvVar('VITE_RETRY_BASE_DELAY'), 1000),
+        maxDelay: parseInteger(getEnvVar('VITE_RETRY_MAX_DELAY'), 30000),
+        jitter: parseDecimal(getEnvVar('VITE_RETRY_JITTER'), 0.3)
+      },
+
+      // Exoplanet Archive Configuration
+      exoplanets: {
+        archiveUrl: getEnvVar('VITE_EXOPLANET_ARCHIVE_URL', 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync'),
+        // Public CORS proxies, tried after the self-hosted proxy and ranked by health
+        corsProxies: parseList(getEnvVar('VITE_EXOPLANET_CORS_PROXIES',
+          'https://api.allorigins.win/get?url=,https://corsproxy.io/?,https://api.codetabs.com/v1/proxy?quest='))
+      },
+
       // Application Configuration
       app: {
         name: getEnvVar('VITE_APP_NAME', 'Cosmos Connect'),
@@ -95,7 +140,10 @@ class EnvironmentConfig {
         offlineMode: parseBoolean(getEnvVar('VITE_ENABLE_OFFLINE_MODE'), true),
         advancedSearch: parseBoolean(getEnvVar('VITE_ENABLE_ADVANCED_SEARCH'), true),
         userPreferences: parseBoolean(getEnvVar('VITE_ENABLE_USER_PREFERENCES'), true),
-        performanceMonitoring: parseBoolean(getEnvVar('VITE_ENABLE_PERFORMANCE_MONITORING'), false)
+        performanceMonitoring: parseBoolean(getEnvVar('VITE_ENABLE_PERFORMANCE_MONITORING'), false),
+        apiProxy: parseBoolean(getEnvVar('VITE_ENABLE_API_PROXY', 'true'), true),
+        fixtureRecording: parseBoolean(getEnvVar('VITE_ENABLE_FIXTURE_RECORDING'), false),
+        fixtureReplay: parseBoolean(getEnvVar('VITE_ENABLE_FIXTURE_REPLAY'), false)
       },
 
       // Third-party Services
@@ -108,7 +156,8 @@ class EnvironmentConfig {
       development: {
         hotReload: parseBoolean(getEnvVar('VITE_HOT_RELOAD'), true),
         sourceMaps: parseBoolean(getEnvVar('VITE_SOURCE_MAPS'), true),
-        minify: parseBoolean(getEnvVar('VITE_MINIFY'), false)
+        minify: parseBoolean(getEnvVar('VITE_MINIFY'), false),
+        fixturesUrl: getEnvVar('VITE_FIXTURES_URL', '/fixtures/recordings.json')
       }
     };
   }
@@ -152,6 +201,9 @@ class EnvironmentConfig {
       localStorage.setItem('COSMOS_NASA_API_KEY', apiKey.trim());
       this.config.nasa.apiKey = apiKey.trim();
       console.log('NASA API key updated successfully');
+      if (this.config.features.apiProxy && this.config.nasa.apiKey !== 'DEMO_KEY') {
+        console.info('api.nasa.gov requests will use this key directly instead of going through the API proxy.');
+      }
     }
   }
 
@@ -179,6 +231,22 @@ class EnvironmentConfig {
     return this.config.rateLimit;
   }
 
+  /**
+   * Get Exoplanet Archive configuration
+   * @returns {object} Exoplanet Archive configuration
+   */
+  getExoplanetConfig() {
+    return this.config.exoplanets;
+  }
+
+  /**
+   * Get retry configuration
+   * @returns {object} Retry configuration
+   */
+  getRetryConfig() {
+    return this.config.retry;
+  }
+
   /**
    * Get performance configuration
    * @returns {object} Performance configuration
@@ -225,8 +293,8 @@ class EnvironmentConfig {
     const issues = [];
     const warnings = [];
 
-    // Check NASA API key
-    if (this.config.nasa.apiKey === 'DEMO_KEY') {
+    // Check NASA API key (the proxy supplies its own key)
+    if (!this.config.features.apiProxy && this.config.nasa.apiKey === 'DEMO_KEY') {
       warnings.push('Using DEMO_KEY - limited to 30 requests per hour. Set your NASA API key using ENV_CONFIG.setApiKey("your_key_here") in the browser console.');
     }
 
@@ -234,6 +302,9 @@ class EnvironmentConfig {
     if (!this.config.nasa.baseUrl) {
       issues.push('NASA base URL is not configured');
     }
+    if (this.config.features.apiProxy && !this.config.nasa.proxyUrl) {
+      issues.push('API proxy is enabled but VITE_API_PROXY_URL is empty');
+    }
 
     // Check cache durations
     const cacheValues = Object.values(this.config.cache);
@@ -246,6 +317,19 @@ class EnvironmentConfig {
       issues.push('Rate limits must be positive numbers');
     }
 
+    // Check fixture transport
+    if (this.config.features.fixtureRecording && this.config.features.fixtureReplay) {
+      warnings.push('Fixture recording and replay are both enabled - replay takes precedence and nothing will be recorded');
+    }
+
+    // Check retry policy
+    if (this.config.retry.maxAttempts < 1) {
+      issues.push('Retry max attempts must be at least 1');
+    }
+    if (this.config.retry.jitter < 0 || this.config.retry.jitter > 1) {
+      warnings.push('Retry jitter should be between 0 and 1');
+    }
+
     return {
       isValid: issues.length === 0,
       issues,
@@ -0,0 +1,609 @@
+// Cosmos Connect - Earth Imagery (GIBS) Module
+
+// Days either side of the chosen date that the slider can reach
+const IMAGERY_SLIDER_DAYS = 30;
+
+// Zoom level used when jumping to a natural event
+const IMAGERY_EVENT_ZOOM = 4;
+
+class EarthImageryApp {
+  constructor() {
+    this.baseLayer = 'MODIS_Terra_CorrectedReflectance_TrueColor';
+    this.overlayLayer = '';
+    this.overlayOpacity = 0.6;
+    // Today's imagery is still being processed, so start with yesterday (UTC)
+    this.latestDate = this.addDays(new Date().toISOString().split('T')[0], -1);
+    this.anchorDate = this.latestDate;
+    this.date = this.latestDate;
+    this.view = { lon: 0, lat: 0, zoom: 0 };
+    this.tiles = { base: new Map(), overlay: new Map() };
+    this.events = [];
+    this.epicDates = null;
+    this.eventsRequest = null;
+    this.renderFrame = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.mapElement = document.getElementById('imagery-map');
+      this.readLinkedView();
+      this.setupLayerSelects();
+      this.setupEventListeners();
+      this.setupDateControls();
+      this.render();
+      this.initialized = true;
+
+      await this.loadLinkedData();
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize Earth imagery app:', error);
+      this.showError('Failed to initialize the Earth imagery viewer. Please refresh the page.');
+    }
+  }
+
+  // Other pages link here with a date, a position and a zoom level
+  readLinkedView() {
+    const date = URLUtils.getQueryParam('date');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date || '') && date <= this.latestDate) {
+      this.anchorDate = date;
+      this.date = date;
+    }
+
+    const layer = URLUtils.getQueryParam('layer');
+    if (layer && GIBS_LAYERS.some(entry => entry.id === layer)) {
+      this.baseLayer = layer;
+    }
+
+    const lat = parseFloat(URLUtils.getQueryParam('lat'));
+    const lon = parseFloat(URLUtils.getQueryParam('lon'));
+    const zoom = parseInt(URLUtils.getQueryParam('zoom'), 10);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      this.view.lat = lat;
+      this.view.lon = lon;
+      this.view.zoom = Number.isFinite(zoom) ? zoom : IMAGERY_EVENT_ZOOM;
+    }
+  }
+
+  setupLayerSelects() {
+    const layers = APIManager.gibs.getLayers();
+    const options = layers.map(layer => `<option value="${layer.id}">${layer.title}</option>`).join('');
+
+    const baseSelect = document.getElementById('base-layer-select');
+    if (baseSelect) {
+      baseSelect.innerHTML = options;
+      baseSelect.value = this.baseLayer;
+    }
+
+    const overlaySelect = document.getElementById('overlay-layer-select');
+    if (overlaySelect) {
+      overlaySelect.innerHTML = `<option value="">None</option>${options}`;
+      overlaySelect.value = this.overlayLayer;
+    }
+
+    const opacityInput = document.getElementById('overlay-opacity');
+    if (opacityInput) {
+      opacityInput.value = Math.round(this.overlayOpacity * 100);
+      opacityInput.disabled = !this.overlayLayer;
+    }
+    this.updateOpacityLabel();
+  }
+
+  setupEventListeners() {
+    const baseSelect = document.getElementById('base-layer-select');
+    if (baseSelect) {
+      baseSelect.addEventListener('change', () => {
+        this.baseLayer = baseSelect.value;
+        this.render();
+      });
+    }
+
+    const overlaySelect = document.getElementById('overlay-layer-select');
+    const opacityInput = document.getElementById('overlay-opacity');
+    if (overlaySelect) {
+      overlaySelect.addEventListener('change', () => {
+        this.overlayLayer = overlaySelect.value;
+        if (opacityInput) opacityInput.disabled = !this.overlayLayer;
+        this.render();
+      });
+    }
+
+    // Blending only changes the overlay's opacity, so no tiles are reloaded
+    if (opacityInput) {
+      opacityInput.addEventListener('input', () => {
+        this.overlayOpacity = parseInt(opacityInput.value, 10) / 100;
+        this.updateOpacityLabel();
+        this.applyOverlayOpacity();
+      });
+    }
+
+    const zoomControls = {
+      'zoom-in-btn': () => this.setZoom(this.view.zoom + 1),
+      'zoom-out-btn': () => this.setZoom(this.view.zoom - 1),
+      'zoom-reset-btn': () => this.resetView()
+    };
+    Object.entries(zoomControls).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    const eventList = document.getElementById('imagery-events');
+    if (eventList) {
+      eventList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-event-index]');
+        if (button) {
+          this.showEvent(parseInt(button.dataset.eventIndex, 10));
+        }
+      });
+    }
+
+    if (this.mapElement) {
+      this.setupMapInteraction();
+    }
+
+    window.addEventListener('resize', () => this.scheduleRender());
+  }
+
+  // Drag to pan, wheel or +/- to zoom, arrow keys to pan
+  setupMapInteraction() {
+    let dragStart = null;
+
+    this.mapElement.addEventListener('pointerdown', (e) => {
+      if (e.target.closest('a, button')) return;
+      dragStart = { x: e.clientX, y: e.clientY, lon: this.view.lon, lat: this.view.lat };
+      this.mapElement.setPointerCapture(e.pointerId);
+      this.mapElement.classList.add('dragging');
+    });
+
+    this.mapElement.addEventListener('pointermove', (e) => {
+      if (!dragStart) return;
+      const degreesPerPixel = this.getDegreesPerPixel();
+      this.view.lon = dragStart.lon - (e.clientX - dragStart.x) * degreesPerPixel;
+      this.view.lat = dragStart.lat + (e.clientY - dragStart.y) * degreesPerPixel;
+      this.scheduleRender();
+    });
+
+    const endDrag = () => {
+      dragStart = null;
+      this.mapElement.classList.remove('dragging');
+    };
+    this.mapElement.addEventListener('pointerup', endDrag);
+    this.mapElement.addEventListener('pointercancel', endDrag);
+
+    // Trackpads fire a burst of wheel events per gesture, so take one step at a time
+    let lastWheel = 0;
+    this.mapElement.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      if (e.timeStamp - lastWheel < 250) return;
+      lastWheel = e.timeStamp;
+      this.setZoom(this.view.zoom + (e.deltaY < 0 ? 1 : -1));
+    }, { passive: false });
+
+    this.mapElement.addEventListener('keydown', (e) => {
+      const step = this.mapElement.clientWidth / 4 * this.getDegreesPerPixel();
+      const moves = {
+        ArrowLeft: () => { this.view.lon -= step; },
+        ArrowRight: () => { this.view.lon += step; },
+        ArrowUp: () => { this.view.lat += step; },
+        ArrowDown: () => { this.view.lat -= step; },
+        '+': () => { this.view.zoom++; },
+        '=': () => { this.view.zoom++; },
+        '-': () => { this.view.zoom--; }
+      };
+      if (moves[e.key]) {
+        e.preventDefault();
+        moves[e.key]();
+        this.render();
+      }
+    });
+  }
+
+  setupDateControls() {
+    const dateInput = document.getElementById('imagery-date-input');
+    if (dateInput) {
+      dateInput.max = this.latestDate;
+      dateInput.value = this.date;
+      dateInput.addEventListener('change', () => {
+        if (!dateInput.value || dateInput.value > this.latestDate) {
+          dateInput.value = this.date;
+          return;
+        }
+        this.anchorDate = dateInput.value;
+        this.setDate(dateInput.value);
+      });
+    }
+
+    const slider = document.getElementById('imagery-date-slider');
+    if (slider) {
+      // The label follows the thumb; imagery loads once it is released
+      slider.addEventListener('input', () => this.updateDateLabel(this.addDays(this.anchorDate, parseInt(slider.value, 10))));
+      slider.addEventListener('change', () => this.setDate(this.addDays(this.anchorDate, parseInt(slider.value, 10))));
+    }
+
+    const stepButtons = {
+      'prev-day-btn': -1,
+      'next-day-btn': 1
+    };
+    Object.entries(stepButtons).forEach(([id, days]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => {
+          const date = this.addDays(this.date, days);
+          if (date > this.latestDate) return;
+          // Re-center the slider when stepping past either end of it
+          if (Math.abs(this.daysBetween(this.anchorDate, date)) > IMAGERY_SLIDER_DAYS) {
+            this.anchorDate = date;
+          }
+          this.setDate(date);
+        });
+      }
+    });
+
+    this.updateDateControls();
+  }
+
+  setDate(date) {
+    this.date = date;
+    this.updateDateControls();
+    this.render();
+    this.loadLinkedData();
+  }
+
+  updateDateControls() {
+    const slider = document.getElementById('imagery-date-slider');
+    if (slider) {
+      slider.min = -IMAGERY_SLIDER_DAYS;
+      slider.max = Math.min(IMAGERY_SLIDER_DAYS, this.daysBetween(this.anchorDate, this.latestDate));
+      slider.value = this.daysBetween(this.anchorDate, this.date);
+    }
+
+    const dateInput = document.getElementById('imagery-date-input');
+    if (dateInput) {
+      dateInput.value = this.date;
+    }
+
+    const nextButton = document.getElementById('next-day-btn');
+    if (nextButton) {
+      nextButton.disabled = this.date >= this.latestDate;
+    }
+
+    this.updateDateLabel(this.date);
+  }
+
+  updateDateLabel(date) {
+    const label = document.getElementById('imagery-date-label');
+    if (label) {
+      label.textContent = DateUtils.formatDate(`${date}T12:00:00Z`);
+    }
+  }
+
+  updateOpacityLabel() {
+    const label = document.getElementById('overlay-opacity-label');
+    if (label) {
+      label.textContent = `${Math.round(this.overlayOpacity * 100)}%`;
+    }
+  }
+
+  applyOverlayOpacity() {
+    const overlay = this.mapElement && this.mapElement.querySelector('.imagery-layer-overlay');
+    if (overlay) {
+      overlay.style.opacity = this.overlayOpacity;
+    }
+  }
+
+  setZoom(zoom) {
+    this.view.zoom = zoom;
+    this.render();
+  }
+
+  resetView() {
+    this.view = { lon: 0, lat: 0, zoom: 0 };
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.renderFrame) return;
+    this.renderFrame = window.requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  // At zoom 0 the whole world fits the width of the map
+  getDegreesPerPixel() {
+    return 360 / (this.mapElement.clientWidth * 2 ** this.view.zoom);
+  }
+
+  // The coarsest tile level that is at least as sharp as the screen
+  getTileLevel(layerId, degreesPerPixel) {
+    const level = Math.ceil(Math.log2(GIBS_TILE_DEGREES / GIBS_TILE_SIZE / degreesPerPixel));
+    return Math.max(0, Math.min(level, APIManager.gibs.getMaxZoom(layerId)));
+  }
+
+  // Keep the view inside the world, centering it when the world is smaller than the map
+  clampView() {
+    this.view.zoom = Math.max(0, Math.min(this.view.zoom, APIManager.gibs.getMaxZoom(this.baseLayer)));
+
+    const degreesPerPixel = this.getDegreesPerPixel();
+    const halfWidth = this.mapElement.clientWidth / 2 * degreesPerPixel;
+    const halfHeight = this.mapElement.clientHeight / 2 * degreesPerPixel;
+
+    this.view.lon = halfWidth >= 180 ? 0 : Math.max(-180 + halfWidth, Math.min(180 - halfWidth, this.view.lon));
+    this.view.lat = halfHeight >= 90 ? 0 : Math.max(-90 + halfHeight, Math.min(90 - halfHeight, this.view.lat));
+  }
+
+  getBounds() {
+    const degreesPerPixel = this.getDegreesPerPixel();
+    const halfWidth = this.mapElement.clientWidth / 2 * degreesPerPixel;
+    const halfHeight = this.mapElement.clientHeight / 2 * degreesPerPixel;
+    return {
+      west: this.view.lon - halfWidth,
+      east: this.view.lon + halfWidth,
+      north: this.view.lat + halfHeight,
+      south: this.view.lat - halfHeight,
+      degreesPerPixel
+    };
+  }
+
+  render() {
+    if (!this.mapElement || !this.mapElement.clientWidth) return;
+
+    this.clampView();
+    const bounds = this.getBounds();
+
+    this.renderLayer('base', this.baseLayer, bounds);
+    this.renderLayer('overlay', this.overlayLayer, bounds);
+    this.applyOverlayOpacity();
+    this.renderEventMarkers(bounds);
+    this.updateViewInfo(bounds);
+
+    const zoomIn = document.getElementById('zoom-in-btn');
+    const zoomOut = document.getElementById('zoom-out-btn');
+    if (zoomIn) zoomIn.disabled = this.view.zoom >= APIManager.gibs.getMaxZoom(this.baseLayer);
+    if (zoomOut) zoomOut.disabled = this.view.zoom <= 0;
+  }
+
+  // Tiles are kept while they stay in view and their downloads cancelled once they leave it
+  renderLayer(role, layerId, bounds) {
+    const container = this.mapElement.querySelector(`.imagery-layer-${role}`);
+    const tiles = this.tiles[role];
+    if (!container) return;
+
+    const wanted = new Set();
+    if (layerId) {
+      const layer = APIManager.gibs.getLayer(layerId);
+      const zoom = this.getTileLevel(layerId, bounds.degreesPerPixel);
+      const { tileDegrees, columns, rows } = GIBSService.getTileMatrix(zoom);
+      const size = tileDegrees / bounds.degreesPerPixel;
+
+      const firstCol = Math.max(0, Math.floor((bounds.west + 180) / tileDegrees));
+      const lastCol = Math.min(columns - 1, Math.floor((Math.min(bounds.east, 180) + 180) / tileDegrees));
+      const firstRow = Math.max(0, Math.floor((90 - bounds.north) / tileDegrees));
+      const lastRow = Math.min(rows - 1, Math.floor((90 - Math.max(bounds.south, -90)) / tileDegrees));
+
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let col = firstCol; col <= lastCol; col++) {
+          const tile = { zoom, row, col, date: this.date };
+          const key = `${layer.id}/${layer.temporal ? this.date : 'static'}/${zoom}/${row}/${col}`;
+          wanted.add(key);
+
+          let entry = tiles.get(key);
+          if (!entry) {
+            entry = { image: document.createElement('img'), controller: new AbortController() };
+            entry.image.className = 'imagery-tile';
+            entry.image.alt = '';
+            entry.image.draggable = false;
+            container.appendChild(entry.image);
+            tiles.set(key, entry);
+            this.loadTile(entry, layer.id, tile);
+          }
+
+          entry.image.style.left = `${(-180 + col * tileDegrees - bounds.west) / bounds.degreesPerPixel}px`;
+          entry.image.style.top = `${(bounds.north - (90 - row * tileDegrees)) / bounds.degreesPerPixel}px`;
+          entry.image.style.width = `${size}px`;
+          entry.image.style.height = `${size}px`;
+        }
+      }
+    }
+
+    tiles.forEach((entry, key) => {
+      if (!wanted.has(key)) {
+        entry.controller.abort();
+        entry.image.remove();
+        tiles.delete(key);
+      }
+    });
+  }
+
+  async loadTile(entry, layerId, tile) {
+    try {
+      entry.image.src = await APIManager.gibs.getTile(layerId, tile, { signal: entry.controller.signal });
+    } catch (error) {
+      if (error.aborted) return;
+      // Without CORS access the browser can still show the tile, just not cache it
+      if (error.status === 0) {
+        entry.image.src = APIManager.gibs.buildTileURL(layerId, tile);
+        return;
+      }
+      entry.image.classList.add('missing');
+    }
+  }
+
+  updateViewInfo(bounds) {
+    const info = document.getElementById('imagery-view-info');
+    if (info) {
+      const west = Math.max(bounds.west, -180);
+      const east = Math.min(bounds.east, 180);
+      const north = Math.min(bounds.north, 90);
+      const south = Math.max(bounds.south, -90);
+      info.textContent = `Zoom ${this.view.zoom} · ${this.formatLatLon(south, west)} to ${this.formatLatLon(north, east)}`;
+    }
+  }
+
+  // EONET events and EPIC images for the same day, when there are any
+  async loadLinkedData() {
+    await Promise.all([this.loadEvents(), this.updateEpicLink()]);
+  }
+
+  async loadEvents() {
+    const container = document.getElementById('imagery-events');
+    if (!container) return;
+
+    if (this.eventsRequest) {
+      this.eventsRequest.abort();
+    }
+    this.eventsRequest = new AbortController();
+    const date = this.date;
+
+    try {
+      LoadingUtils.showLoading(container, 'Looking for natural events...');
+      const data = await APIManager.naturalEvents.getEvents({ status: 'all', start: date, end: date, limit: 100 }, { signal: this.eventsRequest.signal });
+
+      this.events = (data.events || [])
+        .map(event => ({ event, position: this.getEventPosition(event, date) }))
+        .filter(entry => entry.position);
+      this.renderEvents(container);
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to load natural events:', error);
+      this.events = [];
+      LoadingUtils.showError(container, ErrorUtils.handleAPIError(error, 'natural events'));
+    }
+
+    this.scheduleRender();
+  }
+
+  // Where the event was on the day shown: its last observation up to that day
+  getEventPosition(event, date) {
+    const geometry = event.geometry || [];
+    const observed = geometry.filter(entry => entry.date.split('T')[0] <= date);
+    const entry = observed[observed.length - 1] || geometry[0];
+    return EONETService.getGeometryPosition(entry);
+  }
+
+  renderEvents(container) {
+    const countBadge = document.getElementById('imagery-event-count');
+    if (countBadge) {
+      countBadge.textContent = this.events.length;
+    }
+
+    if (!this.events.length) {
+      LoadingUtils.showEmpty(container, 'No natural events were tracked on this day.');
+      return;
+    }
+
+    container.innerHTML = `
+      <ul class="list-unstyled imagery-event-list mb-0">
+        ${this.events.map(({ event, position }, index) => `
+          <li class="imagery-event-item">
+            <div>
+              <strong>${event.title}</strong>
+              <small class="d-block text-muted">${event.categories.map(category => category.title).join(', ')} · ${this.formatLatLon(position[1], position[0])}</small>
+            </div>
+            <div class="d-flex gap-2 mt-1">
+              <button type="button" class="btn btn-sm btn-outline-light" data-event-index="${index}">
+                <i class="fas fa-crosshairs me-1"></i>Show
+              </button>
+              <a class="btn btn-sm btn-outline-light" href="natural-events.html?event=${encodeURIComponent(event.id)}">
+                <i class="fas fa-info-circle me-1"></i>Details
+              </a>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  renderEventMarkers(bounds) {
+    const container = this.mapElement.querySelector('.imagery-markers');
+    if (!container) return;
+
+    container.innerHTML = this.events
+      .filter(({ position: [lon, lat] }) => lon >= bounds.west && lon <= bounds.east && lat >= bounds.south && lat <= bounds.north)
+      .map(({ event, position: [lon, lat] }) => `
+        <a class="imagery-marker" href="natural-events.html?event=${encodeURIComponent(event.id)}" title="${event.title}"
+           style="left: ${(lon - bounds.west) / bounds.degreesPerPixel}px; top: ${(bounds.north - lat) / bounds.degreesPerPixel}px;">
+          <i class="fas fa-location-dot" aria-hidden="true"></i>
+          <span class="visually-hidden">${event.title}</span>
+        </a>
+      `).join('');
+  }
+
+  showEvent(index) {
+    const entry = this.events[index];
+    if (!entry) return;
+
+    const [lon, lat] = entry.position;
+    this.view = { lon, lat, zoom: Math.max(this.view.zoom, IMAGERY_EVENT_ZOOM) };
+    this.render();
+    this.mapElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  async updateEpicLink() {
+    const container = document.getElementById('imagery-epic-link');
+    if (!container) return;
+
+    // The list of EPIC days is cached, so stepping through dates costs no extra requests
+    if (!this.epicDates) {
+      try {
+        this.epicDates = await APIManager.epic.getAvailableDates('natural');
+      } catch (error) {
+        console.error('Failed to load EPIC dates:', error);
+        container.innerHTML = '<small class="text-muted">EPIC availability is unknown right now.</small>';
+        return;
+      }
+    }
+
+    container.innerHTML = this.epicDates.includes(this.date)
+      ? `
+        <a class="btn btn-sm btn-outline-light" href="epic.html?date=${this.date}">
+          <i class="fas fa-earth-europe me-1"></i>Watch this day from DSCOVR/EPIC
+        </a>
+      `
+      : '<small class="text-muted">No EPIC full-disk images for this day.</small>';
+  }
+
+  addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+  }
+
+  daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+  }
+
+  formatLatLon(lat, lon) {
+    return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+  }
+
+  showError(message) {
+    const container = document.getElementById('imagery-map');
+    if (container) {
+      LoadingUtils.showError(container, message);
+    }
+  }
+}
+
+// Initialize Earth imagery app
+const earthImageryApp = new EarthImageryApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => earthImageryApp.init(), 500);
+  });
+} else {
+  setTimeout(() => earthImageryApp.init(), 500);
+}
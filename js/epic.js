@@ -0,0 +1,393 @@
+// Cosmos Connect - EPIC Earth Imagery Module
+
+class EPICApp {
+  constructor() {
+    this.collection = 'natural';
+    this.availableDates = [];
+    this.frames = [];
+    this.currentFrame = 0;
+    this.playTimer = null;
+    this.frameDelay = 500;
+    this.preloadedImages = [];
+    this.loadRequest = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.setupEventListeners();
+      await this.loadAvailableDates();
+      await this.loadDay(URLUtils.getQueryParam('date'));
+      this.initialized = true;
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize EPIC app:', error);
+      this.showError('Failed to initialize the EPIC viewer. Please refresh the page.');
+    }
+  }
+
+  setupEventListeners() {
+    const loadDayBtn = document.getElementById('load-day-btn');
+    if (loadDayBtn) {
+      loadDayBtn.addEventListener('click', () => this.applyFilters());
+    }
+
+    const refreshBtn = document.getElementById('refresh-data-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => this.refreshData());
+    }
+
+    // Available dates differ between collections
+    const collectionFilter = document.getElementById('collection-filter');
+    if (collectionFilter) {
+      collectionFilter.addEventListener('change', async () => {
+        this.collection = collectionFilter.value;
+        await this.loadAvailableDates();
+      });
+    }
+
+    const speedFilter = document.getElementById('speed-filter');
+    if (speedFilter) {
+      this.frameDelay = parseInt(speedFilter.value, 10);
+      speedFilter.addEventListener('change', () => {
+        this.frameDelay = parseInt(speedFilter.value, 10);
+        // Restart the timer so the new speed applies immediately
+        if (this.isPlaying()) {
+          this.pause();
+          this.play();
+        }
+      });
+    }
+
+    // Frame controls
+    const controls = {
+      'first-frame-btn': () => this.showFrame(0),
+      'prev-frame-btn': () => this.showFrame(this.currentFrame - 1),
+      'play-pause-btn': () => this.togglePlayback(),
+      'next-frame-btn': () => this.showFrame(this.currentFrame + 1),
+      'last-frame-btn': () => this.showFrame(this.frames.length - 1)
+    };
+    Object.entries(controls).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => {
+          if (id !== 'play-pause-btn') this.pause();
+          handler();
+        });
+      }
+    });
+
+    const slider = document.getElementById('frame-slider');
+    if (slider) {
+      slider.addEventListener('input', () => {
+        this.pause();
+        this.showFrame(parseInt(slider.value, 10));
+      });
+    }
+
+    const thumbnails = document.getElementById('epic-thumbnails');
+    if (thumbnails) {
+      thumbnails.addEventListener('click', (e) => {
+        const thumbnail = e.target.closest('[data-frame]');
+        if (thumbnail) {
+          this.pause();
+          this.showFrame(parseInt(thumbnail.dataset.frame, 10));
+        }
+      });
+    }
+
+    // Arrow keys step through frames, space toggles playback
+    document.addEventListener('keydown', (e) => {
+      if (!this.frames.length || e.target.matches('input, select, textarea')) return;
+      if (e.key === 'ArrowLeft') {
+        this.pause();
+        this.showFrame(this.currentFrame - 1);
+      } else if (e.key === 'ArrowRight') {
+        this.pause();
+        this.showFrame(this.currentFrame + 1);
+      } else if (e.key === ' ') {
+        e.preventDefault();
+        this.togglePlayback();
+      }
+    });
+  }
+
+  startLoadRequest() {
+    // Only the most recent load is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
+  async loadAvailableDates() {
+    const dateInput = document.getElementById('date-filter');
+
+    try {
+      this.availableDates = await APIManager.epic.getAvailableDates(this.collection);
+    } catch (error) {
+      console.error('Failed to load EPIC dates:', error);
+      this.availableDates = [];
+      return;
+    }
+
+    if (dateInput && this.availableDates.length) {
+      dateInput.min = this.availableDates[this.availableDates.length - 1];
+      dateInput.max = this.availableDates[0];
+      if (!dateInput.value || !this.availableDates.includes(dateInput.value)) {
+        dateInput.value = this.availableDates[0];
+      }
+    }
+  }
+
+  // EPIC skips some days, so fall back to the closest earlier day with images
+  resolveDate(date) {
+    if (!date || !this.availableDates.length || this.availableDates.includes(date)) {
+      return date;
+    }
+    return this.availableDates.find(available => available < date) || this.availableDates[this.availableDates.length - 1];
+  }
+
+  async loadDay(date = null) {
+    const frameContainer = document.getElementById('epic-frame-container');
+    const signal = this.startLoadRequest();
+    this.pause();
+
+    try {
+      LoadingUtils.showLoading(frameContainer, 'Downloading a day of Earth...');
+
+      const frames = await APIManager.epic.getImages(this.collection, date || null, { signal });
+
+      this.frames = frames;
+      this.preloadFrames();
+      this.renderThumbnails();
+
+      if (!frames.length) {
+        LoadingUtils.showEmpty(frameContainer, 'No EPIC images for this day.');
+        return;
+      }
+      this.renderViewer(frameContainer);
+      this.showFrame(0);
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to load EPIC images:', error);
+
+      const errorMessage = ErrorUtils.handleAPIError(error, 'EPIC imagery');
+      LoadingUtils.showError(frameContainer, errorMessage);
+    }
+  }
+
+  applyFilters() {
+    const requested = document.getElementById('date-filter').value;
+    const date = this.resolveDate(requested);
+
+    if (requested && date !== requested) {
+      document.getElementById('date-filter').value = date;
+      this.showToast(`No EPIC images for ${requested}, showing ${date} instead`, 'info');
+    }
+
+    this.loadDay(date);
+  }
+
+  async refreshData() {
+    // Clear cached metadata for the selected collection
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(`cache_epic_${this.collection}_`) || key === `cache_epic_dates_${this.collection}`)
+      .forEach(key => localStorage.removeItem(key));
+
+    await this.loadAvailableDates();
+    await this.loadDay(this.resolveDate(document.getElementById('date-filter').value));
+    this.showToast('EPIC imagery refreshed', 'success');
+  }
+
+  // Start downloading every frame so playback does not stall
+  preloadFrames() {
+    this.preloadedImages = this.frames.map(frame => {
+      const image = new Image();
+      image.src = frame.imageUrl;
+      return image;
+    });
+  }
+
+  renderViewer(container) {
+    container.innerHTML = `
+      <a id="epic-frame-link" href="#" target="_blank" rel="noopener" title="Open the full-resolution image">
+        <img id="epic-frame-image" class="epic-frame-image" alt="Full-disk image of Earth">
+      </a>
+    `;
+
+    const slider = document.getElementById('frame-slider');
+    if (slider) {
+      slider.max = Math.max(this.frames.length - 1, 0);
+    }
+  }
+
+  renderThumbnails() {
+    const container = document.getElementById('epic-thumbnails');
+    if (!container) return;
+
+    if (!this.frames.length) {
+      LoadingUtils.showEmpty(container, 'No EPIC images for this day.');
+      return;
+    }
+
+    container.innerHTML = this.frames.map((frame, index) => `
+      <button type="button" class="epic-thumbnail" data-frame="${index}" title="${this.formatTime(frame.date)} UTC">
+        <img src="${frame.thumbnailUrl}" alt="Earth at ${this.formatTime(frame.date)} UTC" loading="lazy">
+        <span>${this.formatTime(frame.date)}</span>
+      </button>
+    `).join('');
+  }
+
+  showFrame(index) {
+    if (!this.frames.length) return;
+
+    // Wrap around so playback loops
+    this.currentFrame = (index + this.frames.length) % this.frames.length;
+    const frame = this.frames[this.currentFrame];
+
+    const image = document.getElementById('epic-frame-image');
+    const link = document.getElementById('epic-frame-link');
+    if (image) {
+      image.src = frame.imageUrl;
+      image.alt = `Earth at ${frame.date} UTC`;
+    }
+    if (link) {
+      link.href = frame.fullImageUrl;
+    }
+
+    const slider = document.getElementById('frame-slider');
+    if (slider) {
+      slider.value = this.currentFrame;
+    }
+
+    const counter = document.getElementById('frame-counter');
+    if (counter) {
+      counter.textContent = `Frame ${this.currentFrame + 1} of ${this.frames.length}`;
+    }
+
+    document.querySelectorAll('#epic-thumbnails [data-frame]').forEach(thumbnail => {
+      thumbnail.classList.toggle('active', parseInt(thumbnail.dataset.frame, 10) === this.currentFrame);
+    });
+
+    this.renderFrameDetails(frame);
+  }
+
+  renderFrameDetails(frame) {
+    const container = document.getElementById('epic-frame-details');
+    if (!container) return;
+
+    // Newer metadata nests the positions under "coords"
+    const coords = frame.coords || {};
+    const centroid = frame.centroid_coordinates || coords.centroid_coordinates;
+    const dscovr = frame.dscovr_j2000_position || coords.dscovr_j2000_position;
+    const sun = frame.sun_j2000_position || coords.sun_j2000_position;
+    const moon = frame.lunar_j2000_position || coords.lunar_j2000_position;
+
+    container.innerHTML = `
+      <table class="table table-glass">
+        <tr><td><strong>Captured (UTC):</strong></td><td>${frame.date}</td></tr>
+        <tr><td><strong>Image Centroid:</strong></td><td>${centroid ? this.formatLatLon(centroid.lat, centroid.lon) : 'Unknown'}</td></tr>
+        <tr><td><strong>DSCOVR Distance:</strong></td><td>${this.formatDistance(dscovr)}</td></tr>
+        <tr><td><strong>DSCOVR Position:</strong></td><td>${this.formatPosition(dscovr)}</td></tr>
+        <tr><td><strong>Sun Distance:</strong></td><td>${this.formatDistance(sun)}</td></tr>
+        <tr><td><strong>Sun Position:</strong></td><td>${this.formatPosition(sun)}</td></tr>
+        <tr><td><strong>Moon Distance:</strong></td><td>${this.formatDistance(moon)}</td></tr>
+      </table>
+      <p class="small text-muted mb-1">Positions are J2000 coordinates in km, relative to Earth's center.</p>
+      ${frame.caption ? `<p class="small mb-0">${frame.caption}</p>` : ''}
+    `;
+  }
+
+  play() {
+    if (this.frames.length < 2 || this.isPlaying()) return;
+    this.playTimer = setInterval(() => this.showFrame(this.currentFrame + 1), this.frameDelay);
+    this.updatePlayButton();
+  }
+
+  pause() {
+    if (!this.isPlaying()) return;
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.updatePlayButton();
+  }
+
+  togglePlayback() {
+    if (this.isPlaying()) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  isPlaying() {
+    return this.playTimer !== null;
+  }
+
+  updatePlayButton() {
+    const button = document.getElementById('play-pause-btn');
+    if (!button) return;
+
+    const label = this.isPlaying() ? 'Pause' : 'Play';
+    button.innerHTML = `<i class="fas fa-${this.isPlaying() ? 'pause' : 'play'}"></i>`;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  formatTime(date) {
+    return date.split(' ')[1].slice(0, 5);
+  }
+
+  formatLatLon(lat, lon) {
+    return `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(2)}°${lon >= 0 ? 'E' : 'W'}`;
+  }
+
+  formatPosition(position) {
+    if (!position) return 'Unknown';
+    return ['x', 'y', 'z']
+      .map(axis => `${axis}: ${Math.round(position[axis]).toLocaleString()}`)
+      .join(', ');
+  }
+
+  formatDistance(position) {
+    const distance = EPICService.getDistance(position);
+    return distance === null ? 'Unknown' : `${NumberUtils.formatLargeNumber(Math.round(distance))} km`;
+  }
+
+  showToast(message, type = 'info') {
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(message, type);
+    } else {
+      console.log(`${type.toUpperCase()}: ${message}`);
+    }
+  }
+
+  showError(message) {
+    const frameContainer = document.getElementById('epic-frame-container');
+    if (frameContainer) {
+      LoadingUtils.showError(frameContainer, message);
+    }
+  }
+}
+
+// Initialize EPIC app
+const epicApp = new EPICApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => epicApp.init(), 500);
+  });
+} else {
+  setTimeout(() => epicApp.init(), 500);
+}
@@ -74,6 +74,15 @@ class ExoplanetsPage {
             this.setView('chart');
         });
 
+        // Raw data downloads
+        document.getElementById('downloadCsvBtn').addEventListener('click', (e) => {
+            this.downloadData('csv', e.currentTarget);
+        });
+
+        document.getElementById('downloadVotableBtn').addEventListener('click', (e) => {
+            this.downloadData('votable', e.currentTarget);
+        });
+
         // Sort controls
         document.getElementById('sortBy').addEventListener('change', (e) => {
             this.currentSort.field = e.target.value;
@@ -114,9 +123,11 @@ class ExoplanetsPage {
 
         try {
             const data = await this.apiService.getAllPlanets(500);
+            const source = this.apiService.lastSource;
             
             // Check if we received sample data (fallback scenario)
-            const isSampleData = data && data.length === 10 && data[0].pl_name === "Kepler-452b";
+            const isSampleData = source && source.type === 'sample';
+            this.renderDataSource(source);
             
             this.allExoplanets = data || [];
             this.filteredExoplanets = [...this.allExoplanets];
@@ -138,6 +149,45 @@ class ExoplanetsPage {
         }
     }
 
+    renderDataSource(source) {
+        const indicator = document.getElementById('dataSourceIndicator');
+        if (!indicator || !source) {
+            return;
+        }
+
+        const states = {
+            self: { badge: 'bg-success', icon: 'fa-server', label: `Live data via ${source.name}` },
+            proxy: { badge: 'bg-success', icon: 'fa-random', label: `Live data via CORS proxy ${source.name}` },
+            direct: { badge: 'bg-success', icon: 'fa-satellite-dish', label: `Live data from the ${source.name}` },
+            cache: { badge: 'bg-secondary', icon: 'fa-database', label: 'Cached data from the NASA Exoplanet Archive' },
+            sample: { badge: 'bg-warning text-dark', icon: 'fa-exclamation-triangle', label: 'Sample data - the NASA Exoplanet Archive could not be reached' }
+        };
+        const state = states[source.type] || states.direct;
+        const latency = source.latency !== undefined ? ` (${source.latency} ms)` : '';
+
+        indicator.innerHTML = `
+            <span class="badge ${state.badge}">
+                <i class="fas ${state.icon} me-1"></i>${state.label}${latency}
+            </span>
+        `;
+        indicator.title = source.error || '';
+    }
+
+    async downloadData(format, button) {
+        button.disabled = true;
+
+        try {
+            await this.apiService.downloadAllPlanets(500, format);
+        } catch (error) {
+            const message = ErrorUtils.handleAPIError(error, 'downloading exoplanet data');
+            if (window.CosmosConnect && window.CosmosConnect.app) {
+                window.CosmosConnect.app.showToast(message, 'error');
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     updateStatistics() {
         const stats = this.calculateStatistics();
         
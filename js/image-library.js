@@ -0,0 +1,413 @@
+// Cosmos Connect - NASA Image and Video Library Module
+
+class ImageLibraryApp {
+  constructor() {
+    this.results = null;
+    this.query = '';
+    this.currentFilters = {
+      mediaType: ['image', 'video'],
+      yearStart: '',
+      yearEnd: '',
+      page: 1,
+      pageSize: 24
+    };
+    this.currentItem = null;
+    this.loadRequest = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.setupEventListeners();
+      this.initialized = true;
+
+      // Searches and items linked from global search
+      const query = URLUtils.getQueryParam('q');
+      const nasaId = URLUtils.getQueryParam('nasa_id');
+      if (query) {
+        document.getElementById('library-query').value = query;
+        await this.search(query);
+      } else {
+        LoadingUtils.showEmpty(document.getElementById('library-results'), 'Search for a mission, spacecraft or topic to get started.');
+      }
+      if (nasaId) {
+        this.showItemDetailsById(nasaId);
+      }
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize Image Library app:', error);
+      this.showError('Failed to initialize the image library. Please refresh the page.');
+    }
+  }
+
+  setupEventListeners() {
+    const searchForm = document.getElementById('library-search-form');
+    if (searchForm) {
+      searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.applyFilters();
+      });
+    }
+
+    const resetFiltersBtn = document.getElementById('reset-filters-btn');
+    if (resetFiltersBtn) {
+      resetFiltersBtn.addEventListener('click', () => this.resetFilters());
+    }
+
+    const yearEndInput = document.getElementById('year-end');
+    if (yearEndInput) {
+      yearEndInput.max = new Date().getFullYear();
+    }
+
+    const pagination = document.getElementById('library-pagination');
+    if (pagination) {
+      pagination.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-page]');
+        if (button) {
+          this.goToPage(parseInt(button.dataset.page, 10));
+        }
+      });
+    }
+
+    const metadataBtn = document.getElementById('load-metadata-btn');
+    if (metadataBtn) {
+      metadataBtn.addEventListener('click', () => this.loadMetadata());
+    }
+  }
+
+  startLoadRequest() {
+    // Only the most recent search is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
+  async search(query = this.query) {
+    const resultsContainer = document.getElementById('library-results');
+    const signal = this.startLoadRequest();
+    this.query = query;
+
+    try {
+      LoadingUtils.showLoading(resultsContainer, 'Searching the NASA archives...');
+
+      const results = await APIManager.imageLibrary.search(query, this.currentFilters, { signal });
+
+      this.results = results;
+      this.renderResults(resultsContainer, results);
+      this.renderPagination(results);
+      this.updateDataCount(results);
+
+      // Keep the search in the URL so it can be shared
+      URLUtils.setQueryParam('q', query);
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to search the image library:', error);
+
+      const errorMessage = ErrorUtils.handleAPIError(error, 'library results');
+      LoadingUtils.showError(resultsContainer, errorMessage);
+      document.getElementById('library-pagination').innerHTML = '';
+    }
+  }
+
+  applyFilters() {
+    const query = document.getElementById('library-query').value.trim();
+    const yearStart = document.getElementById('year-start').value;
+    const yearEnd = document.getElementById('year-end').value;
+    const mediaType = ['image', 'video', 'audio']
+      .filter(type => document.getElementById(`media-${type}`).checked);
+
+    if (!query) {
+      this.showToast('Enter something to search for', 'warning');
+      return;
+    }
+    if (!mediaType.length) {
+      this.showToast('Choose at least one media type', 'warning');
+      return;
+    }
+    if (yearStart && yearEnd && Number(yearStart) > Number(yearEnd)) {
+      this.showToast('Start year must not be after end year', 'warning');
+      return;
+    }
+
+    this.currentFilters = { ...this.currentFilters, mediaType, yearStart, yearEnd, page: 1 };
+    this.search(query);
+  }
+
+  resetFilters() {
+    document.getElementById('library-query').value = '';
+    document.getElementById('year-start').value = '';
+    document.getElementById('year-end').value = '';
+    document.getElementById('media-image').checked = true;
+    document.getElementById('media-video').checked = true;
+    document.getElementById('media-audio').checked = false;
+
+    this.currentFilters = { ...this.currentFilters, mediaType: ['image', 'video'], yearStart: '', yearEnd: '', page: 1 };
+  }
+
+  goToPage(page) {
+    if (page < 1) return;
+    this.currentFilters.page = page;
+    this.search();
+    document.getElementById('library-results').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  renderResults(container, results) {
+    if (!results.items.length) {
+      LoadingUtils.showEmpty(container, `No library items found for "${this.query}".`);
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="row g-4">
+        ${results.items.map((item, index) => `
+          <div class="col-lg-3 col-md-4 col-sm-6">
+            <div class="library-card data-card glass-card h-100" onclick="imageLibraryApp.showItemDetails(${index})">
+              <div class="library-card-thumbnail">
+                ${item.thumbnail
+                  ? `<img src="${item.thumbnail}" alt="${item.title}" loading="lazy">`
+                  : `<i class="fas ${this.getMediaIcon(item.mediaType)} fa-3x"></i>`}
+                <span class="badge bg-dark library-media-badge">
+                  <i class="fas ${this.getMediaIcon(item.mediaType)} me-1"></i>${item.mediaType}
+                </span>
+              </div>
+              <div class="p-3">
+                <h6 class="library-card-title">${item.title}</h6>
+                <small class="text-muted">${item.dateCreated ? DateUtils.formatDate(item.dateCreated) : ''}${item.center ? ` · ${item.center}` : ''}</small>
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderPagination(results) {
+    const container = document.getElementById('library-pagination');
+    const totalPages = Math.ceil(results.totalHits / this.currentFilters.pageSize);
+
+    container.innerHTML = `
+      <button type="button" class="btn btn-outline-light btn-sm" data-page="${results.page - 1}" ${results.page > 1 ? '' : 'disabled'}>
+        <i class="fas fa-chevron-left me-1"></i>Previous
+      </button>
+      <span>Page ${results.page} of ${Math.max(totalPages, 1).toLocaleString()}</span>
+      <button type="button" class="btn btn-outline-light btn-sm" data-page="${results.page + 1}" ${results.hasNext ? '' : 'disabled'}>
+        Next<i class="fas fa-chevron-right ms-1"></i>
+      </button>
+    `;
+  }
+
+  showItemDetails(index) {
+    const item = this.results && this.results.items[index];
+    if (!item) return;
+    this.openItem(item);
+  }
+
+  async showItemDetailsById(nasaId) {
+    const contentContainer = document.getElementById('library-item-content');
+    const modal = new bootstrap.Modal(document.getElementById('libraryItemModal'));
+
+    try {
+      LoadingUtils.showLoading(contentContainer, 'Loading library item...');
+      modal.show();
+
+      const item = await APIManager.imageLibrary.getItem(nasaId);
+      this.openItem(item, modal);
+
+    } catch (error) {
+      console.error('Failed to load library item:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'library item');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  async openItem(item, modal = new bootstrap.Modal(document.getElementById('libraryItemModal'))) {
+    const contentContainer = document.getElementById('library-item-content');
+    this.currentItem = item;
+
+    document.getElementById('libraryItemModalLabel').innerHTML =
+      `<i class="fas ${this.getMediaIcon(item.mediaType)} me-2"></i>${item.title}`;
+    document.getElementById('load-metadata-btn').disabled = false;
+
+    LoadingUtils.showLoading(contentContainer, 'Loading media...');
+    modal.show();
+
+    try {
+      const assets = await APIManager.imageLibrary.getAsset(item.nasaId);
+
+      // Captions only exist for some videos
+      let captions = null;
+      if (item.mediaType === 'video') {
+        captions = await APIManager.imageLibrary.getCaptions(item.nasaId).catch(() => null);
+      }
+
+      // The user may have opened another item in the meantime
+      if (this.currentItem !== item) return;
+      this.renderItemDetails(contentContainer, item, assets, captions);
+
+    } catch (error) {
+      console.error('Failed to load library assets:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'library media');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  renderItemDetails(container, item, assets, captions) {
+    const original = assets.find(url => url.includes('~orig.')) || assets[0];
+
+    container.innerHTML = `
+      <div class="library-item-details">
+        <div class="library-media mb-4">
+          ${this.renderMedia(item, assets)}
+        </div>
+
+        <div class="row">
+          <div class="col-md-7">
+            <h5>Description</h5>
+            <div class="library-description">${item.description || 'No description available.'}</div>
+            ${item.keywords.length ? `
+              <div class="mt-3">
+                ${item.keywords.map(keyword => `<span class="badge bg-secondary me-1 mb-1">${keyword}</span>`).join('')}
+              </div>
+            ` : ''}
+          </div>
+
+          <div class="col-md-5">
+            <h5>Details</h5>
+            <table class="table table-glass">
+              <tr><td><strong>NASA ID:</strong></td><td>${item.nasaId}</td></tr>
+              <tr><td><strong>Media Type:</strong></td><td>${item.mediaType}</td></tr>
+              <tr><td><strong>Created:</strong></td><td>${item.dateCreated ? DateUtils.formatDate(item.dateCreated) : 'Unknown'}</td></tr>
+              <tr><td><strong>Center:</strong></td><td>${item.center || 'Unknown'}</td></tr>
+              ${item.photographer ? `<tr><td><strong>Credit:</strong></td><td>${item.photographer}</td></tr>` : ''}
+            </table>
+            ${original ? `
+              <a href="${original}" target="_blank" rel="noopener" class="btn btn-outline-light btn-sm">
+                <i class="fas fa-download me-1"></i>Original File
+              </a>
+            ` : ''}
+          </div>
+        </div>
+
+        ${captions && captions.cues.length ? `
+          <div class="mt-4">
+            <h5>Captions</h5>
+            <div class="library-captions">
+              ${captions.cues.map(cue => `
+                <p class="mb-1"><span class="text-muted me-2">${cue.start.split('.')[0]}</span>${cue.text}</p>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
+
+        <div id="library-metadata" class="mt-4"></div>
+      </div>
+    `;
+  }
+
+  // Picks a browser-friendly rendition: a medium image, a mobile-sized video or an MP3
+  renderMedia(item, assets) {
+    const pick = (...suffixes) => suffixes
+      .map(suffix => assets.find(url => url.toLowerCase().includes(suffix)))
+      .find(Boolean);
+
+    if (item.mediaType === 'video') {
+      const video = pick('~mobile.mp4', '~preview.mp4', '~small.mp4', '~orig.mp4', '.mp4');
+      return video
+        ? `<video class="library-video" controls preload="metadata" poster="${item.thumbnail || ''}" src="${video}"></video>`
+        : '<p class="text-muted">No playable video file is available.</p>';
+    }
+
+    if (item.mediaType === 'audio') {
+      const audio = pick('~128k.mp3', '~orig.mp3', '.mp3', '.m4a', '.wav');
+      return audio
+        ? `<audio class="w-100" controls preload="metadata" src="${audio}"></audio>`
+        : '<p class="text-muted">No playable audio file is available.</p>';
+    }
+
+    const image = pick('~medium.jpg', '~large.jpg', '~orig.jpg', '.jpg', '.png') || item.thumbnail;
+    return `<img class="library-image" src="${image}" alt="${item.title}">`;
+  }
+
+  async loadMetadata() {
+    if (!this.currentItem) return;
+
+    const container = document.getElementById('library-metadata');
+    const button = document.getElementById('load-metadata-btn');
+    if (!container) return;
+
+    try {
+      button.disabled = true;
+      LoadingUtils.showLoading(container, 'Loading metadata...');
+
+      const metadata = await APIManager.imageLibrary.getMetadata(this.currentItem.nasaId);
+      const entries = Object.entries(metadata).filter(([, value]) => value !== '' && value !== null);
+
+      container.innerHTML = `
+        <h5>Full Metadata</h5>
+        <div class="table-responsive library-metadata">
+          <table class="table table-glass table-sm">
+            ${entries.map(([key, value]) => `
+              <tr><td><strong>${key}</strong></td><td>${Array.isArray(value) ? value.join(', ') : value}</td></tr>
+            `).join('')}
+          </table>
+        </div>
+      `;
+
+    } catch (error) {
+      console.error('Failed to load library metadata:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'metadata');
+      LoadingUtils.showError(container, errorMessage);
+      button.disabled = false;
+    }
+  }
+
+  getMediaIcon(mediaType) {
+    const icons = { image: 'fa-image', video: 'fa-video', audio: 'fa-volume-high' };
+    return icons[mediaType] || 'fa-file';
+  }
+
+  updateDataCount(results) {
+    const countElement = document.getElementById('data-count');
+    if (countElement) {
+      countElement.textContent = `${results.totalHits.toLocaleString()} items`;
+    }
+  }
+
+  showToast(message, type = 'info') {
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(message, type);
+    } else {
+      console.log(`${type.toUpperCase()}: ${message}`);
+    }
+  }
+
+  showError(message) {
+    const resultsContainer = document.getElementById('library-results');
+    if (resultsContainer) {
+      LoadingUtils.showError(resultsContainer, message);
+    }
+  }
+}
+
+// Initialize Image Library app
+const imageLibraryApp = new ImageLibraryApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => imageLibraryApp.init(), 500);
+  });
+} else {
+  setTimeout(() => imageLibraryApp.init(), 500);
+}
@@ -80,6 +80,14 @@ class CosmosConnectApp {
 
     // Initialize API status monitor
     this.components.set('apiStatus', new APIStatusComponent());
+
+    // Initialize space weather alert checks
+    this.components.set('spaceWeatherAlerts', new SpaceWeatherAlertComponent());
+
+    // Initialize network inspector (developer panel)
+    if (typeof ENV_CONFIG !== 'undefined' && ENV_CONFIG.isDebugMode()) {
+      this.components.set('networkInspector', new NetworkInspectorComponent());
+    }
   }
 
   setupEventListeners() {
@@ -587,12 +595,16 @@ class APIStatusComponent {
       const statusDot = this.statusElement.querySelector('.status-dot');
       const statusText = this.statusElement.querySelector('.status-text');
       
+      // Mark numbers that are our own guess rather than NASA's count
+      const prefix = rateLimitInfo.source === 'server' ? '' : '~';
+      const quota = `${prefix}${rateLimitInfo.remaining}/${rateLimitInfo.limit}`;
+      
       if (rateLimitInfo.remaining > 10) {
         statusDot.className = 'status-dot status-good';
-        statusText.textContent = `API OK (${rateLimitInfo.remaining} remaining)`;
+        statusText.textContent = `API OK (${quota} remaining)`;
       } else if (rateLimitInfo.remaining > 0) {
         statusDot.className = 'status-dot status-warning';
-        statusText.textContent = `API Limited (${rateLimitInfo.remaining} remaining)`;
+        statusText.textContent = `API Limited (${quota} remaining)`;
       } else {
         statusDot.className = 'status-dot status-error';
         const resetTime = Math.ceil(rateLimitInfo.resetTime / 1000 / 60);
@@ -604,6 +616,334 @@ class APIStatusComponent {
   }
 }
 
+// Space weather alert rule kinds: the DONKI data each one checks and how thresholds are read.
+// threshold() returns null for a value the rule can't use; value() is the event's magnitude.
+const SPACE_WEATHER_ALERT_RULES = {
+  flare: {
+    label: 'Solar flare',
+    icon: 'fa-solar-panel',
+    id: 'flrID',
+    placeholder: 'M5',
+    hint: 'Flare class, e.g. C5, M1 or X2',
+    date: 'beginTime',
+    load: (service, startDate, endDate) => service.getSolarFlares(startDate, endDate),
+    threshold: value => SpaceWeatherService.getFlareFlux(value),
+    value: event => SpaceWeatherService.getFlareFlux(event.classType),
+    describe: value => `Class ${String(value).toUpperCase()} or stronger`,
+    message: event => `Class ${event.classType} solar flare${event.sourceLocation ? ` at ${event.sourceLocation}` : ''}`
+  },
+  kp: {
+    label: 'Geomagnetic storm',
+    icon: 'fa-globe',
+    id: 'gstID',
+    placeholder: '6',
+    hint: 'Kp index from 0 to 9; 5 and up is a storm',
+    date: 'startTime',
+    load: (service, startDate, endDate) => service.getGeomagneticStorms(startDate, endDate),
+    threshold: value => {
+      const kp = parseFloat(value);
+      return kp >= 0 && kp <= 9 ? kp : null;
+    },
+    value: event => SpaceWeatherService.getMaxKpIndex(event),
+    describe: value => `Kp ${value} or higher`,
+    message: event => `Geomagnetic storm reached Kp ${SpaceWeatherService.getMaxKpIndex(event)}`
+  },
+  cme: {
+    label: 'Coronal mass ejection',
+    icon: 'fa-wind',
+    id: 'activityID',
+    placeholder: '1000',
+    hint: 'CME speed in km/s',
+    date: 'startTime',
+    load: (service, startDate, endDate) => service.getCoronalMassEjections(startDate, endDate),
+    threshold: value => {
+      const speed = parseFloat(value);
+      return speed > 0 ? speed : null;
+    },
+    value: event => SpaceWeatherService.getCMESpeed(event),
+    describe: value => `${value} km/s or faster`,
+    message: event => `Coronal mass ejection at ${SpaceWeatherService.getCMESpeed(event)} km/s`
+  }
+};
+
+// Checks recent DONKI events against the user's alert rules in the background
+class SpaceWeatherAlertComponent {
+  constructor(checkInterval = 15 * 60 * 1000, lookbackDays = 3) {
+    this.checkInterval = checkInterval;
+    // DONKI entries are often posted hours after the event, so re-read the last few days
+    this.lookbackDays = lookbackDays;
+    this.checking = null;
+    this.timer = null;
+    this.onVisibilityChange = () => this.updateSchedule();
+    this.init();
+  }
+
+  init() {
+    if (typeof APIManager === 'undefined' || !APIManager || !window.userPreferences) return;
+
+    // Each check costs keyed DONKI requests, so only a visible tab with rules makes them
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    this.updateSchedule();
+  }
+
+  hasEnabledRules() {
+    return window.userPreferences.getAlertRules().some(rule => rule.enabled);
+  }
+
+  // Call when the rules change; starts or stops the timer to match
+  updateSchedule() {
+    if (document.hidden || !this.hasEnabledRules()) {
+      this.stop();
+      return;
+    }
+    if (this.timer) return;
+
+    this.checkIfDue();
+    this.timer = setInterval(() => {
+      // The rules may have been removed in another tab
+      if (this.hasEnabledRules()) {
+        this.checkIfDue();
+      } else {
+        this.stop();
+      }
+    }, 60000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  // The last check time is stored, so page loads and other tabs share one schedule
+  checkIfDue() {
+    const lastCheck = window.userPreferences.getPreference('alertLastCheck', 0);
+    if (Date.now() - lastCheck >= this.checkInterval) {
+      this.check();
+    }
+  }
+
+  static describeRule(rule) {
+    const kind = SPACE_WEATHER_ALERT_RULES[rule.type];
+    return kind ? `${kind.label}: ${kind.describe(rule.threshold)}` : 'Unknown rule';
+  }
+
+  static matches(rule, event) {
+    const kind = SPACE_WEATHER_ALERT_RULES[rule.type];
+    if (!kind) return false;
+    const value = kind.value(event);
+    const threshold = kind.threshold(rule.threshold);
+    return value !== null && threshold !== null && value >= threshold;
+  }
+
+  // Resolves to the alerts raised; concurrent calls share one check
+  check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    const rules = window.userPreferences.getAlertRules().filter(rule => rule.enabled);
+    if (rules.length === 0) return [];
+
+    window.userPreferences.updatePreference('alertLastCheck', Date.now());
+
+    // Real dates here: alerts are about what is happening now
+    const endDate = new Date().toISOString().split('T')[0];
+    const startDate = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const types = [...new Set(rules.map(rule => rule.type))].filter(type => SPACE_WEATHER_ALERT_RULES[type]);
+    const results = await Promise.allSettled(
+      types.map(type => SPACE_WEATHER_ALERT_RULES[type].load(APIManager.spaceWeather, startDate, endDate))
+    );
+
+    const alerts = [];
+    types.forEach((type, index) => {
+      if (results[index].status !== 'fulfilled') {
+        console.warn(`Space weather alert check for ${type} failed:`, results[index].reason);
+        return;
+      }
+
+      const kind = SPACE_WEATHER_ALERT_RULES[type];
+      (results[index].value || []).forEach(event => {
+        const eventId = event[kind.id];
+        // One alert per DONKI activity, however many rules it matches
+        if (!eventId || alerts.some(alert => alert.eventId === eventId) || window.userPreferences.hasAlertedEvent(eventId)) return;
+
+        const rule = rules.find(candidate => candidate.type === type && SpaceWeatherAlertComponent.matches(candidate, event));
+        if (rule) {
+          alerts.push({
+            eventId,
+            ruleId: rule.id,
+            type,
+            title: `Space weather alert: ${kind.label}`,
+            message: kind.message(event),
+            rule: SpaceWeatherAlertComponent.describeRule(rule),
+            eventTime: event[kind.date]
+          });
+        }
+      });
+    });
+
+    alerts.forEach(alert => this.raise(alert));
+    return alerts;
+  }
+
+  raise(alert) {
+    window.userPreferences.markEventAlerted(alert.eventId);
+    window.userPreferences.addToAlertHistory(alert);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+      const notification = new Notification(alert.title, {
+        body: `${alert.message}\n${alert.rule}`,
+        tag: alert.eventId
+      });
+      notification.onclick = () => {
+        window.focus();
+        window.location.href = `${SpaceWeatherAlertComponent.getPagePath()}?event=${encodeURIComponent(alert.eventId)}`;
+      };
+    }
+
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(DOMUtils.escapeHTML(alert.message), 'warning', 6000);
+    }
+
+    document.dispatchEvent(new CustomEvent('spaceWeatherAlert', { detail: alert }));
+  }
+
+  static getPagePath() {
+    return window.location.pathname.includes('/pages/') ? 'space-weather.html' : 'pages/space-weather.html';
+  }
+}
+
+// Lists API request events live (shown in debug mode)
+class NetworkInspectorComponent {
+  constructor(maxRows = 200) {
+    this.maxRows = maxRows;
+    this.panel = null;
+    this.list = null;
+    this.counter = null;
+    this.count = 0;
+    this.unsubscribe = null;
+    this.init();
+  }
+
+  init() {
+    if (typeof APIManager === 'undefined' || !APIManager) return;
+
+    this.createPanel();
+
+    // Include requests made before the panel existed
+    APIManager.getRequestHistory().forEach(event => this.addEvent(event));
+    this.unsubscribe = APIManager.on('*', event => this.addEvent(event));
+  }
+
+  createPanel() {
+    this.panel = document.createElement('section');
+    this.panel.className = 'network-inspector collapsed';
+    this.panel.setAttribute('aria-label', 'Network inspector');
+    this.panel.innerHTML = `
+      <div class="network-inspector-header">
+        <button type="button" class="network-inspector-toggle" aria-expanded="false">
+          <i class="fas fa-network-wired me-2"></i>Network
+          <span class="network-inspector-count">0</span>
+        </button>
+        <button type="button" class="network-inspector-clear" title="Clear events" aria-label="Clear events">
+          <i class="fas fa-trash-alt"></i>
+        </button>
+      </div>
+      <div class="network-inspector-body">
+        <table class="network-inspector-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Event</th>
+              <th>Service</th>
+              <th>Endpoint</th>
+              <th>Status</th>
+              <th>Duration</th>
+              <th>Size</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+
+    this.list = this.panel.querySelector('tbody');
+    this.counter = this.panel.querySelector('.network-inspector-count');
+
+    const toggle = this.panel.querySelector('.network-inspector-toggle');
+    toggle.addEventListener('click', () => {
+      const collapsed = this.panel.classList.toggle('collapsed');
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+    });
+
+    this.panel.querySelector('.network-inspector-clear').addEventListener('click', () => this.clear());
+
+    document.body.appendChild(this.panel);
+  }
+
+  addEvent(event) {
+    const row = document.createElement('tr');
+    row.className = `network-event network-event-${event.type.replace('request:', '')}`;
+
+    const cells = [
+      new Date(event.timestamp).toLocaleTimeString(),
+      event.type.replace('request:', ''),
+      event.service || '',
+      event.endpoint || '',
+      event.status ?? '',
+      event.duration !== null && event.duration !== undefined ? `${event.duration} ms` : '',
+      event.size !== null && event.size !== undefined ? NumberUtils.formatBytes(event.size) : ''
+    ];
+
+    // textContent keeps endpoints and error messages from being parsed as HTML
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const details = [event.message, event.source && `Source: ${event.source}`, event.delay && `Retrying in ${event.delay} ms`];
+    if (event.params && Object.keys(event.params).length > 0) {
+      details.push(JSON.stringify(event.params));
+    }
+    row.title = details.filter(Boolean).join('\n');
+
+    // Newest first
+    this.list.prepend(row);
+    while (this.list.children.length > this.maxRows) {
+      this.list.lastElementChild.remove();
+    }
+
+    this.count++;
+    this.counter.textContent = this.count;
+  }
+
+  clear() {
+    this.list.innerHTML = '';
+    this.count = 0;
+    this.counter.textContent = '0';
+    APIManager.clearRequestHistory();
+  }
+
+  destroy() {
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.panel) this.panel.remove();
+  }
+}
+
 // Initialize application
 const app = new CosmosConnectApp();
 
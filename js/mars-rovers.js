@@ -8,6 +8,8 @@ class MarsRoversPage {
         this.currentView = 'grid';
         this.currentRover = 'perseverance';
         this.currentSol = 1000;
+        this.photosRequest = null;
+        this.manifestRequest = null;
         
         this.roverInfo = {
             perseverance: {
@@ -155,8 +157,15 @@ class MarsRoversPage {
     }
 
     async loadRoverManifest() {
+        // Switching rovers quickly must not let an older manifest win
+        if (this.manifestRequest) {
+            this.manifestRequest.abort();
+        }
+        const request = new AbortController();
+        this.manifestRequest = request;
+
         try {
-            const manifest = await this.apiService.getRoverManifest(this.currentRover);
+            const manifest = await this.apiService.getRoverManifest(this.currentRover, { signal: request.signal });
             
             if (manifest && manifest.photo_manifest) {
                 document.getElementById('totalPhotos').textContent = 
@@ -165,11 +174,19 @@ class MarsRoversPage {
                     manifest.photo_manifest.max_sol.toLocaleString();
             }
         } catch (error) {
+            if (error.aborted) return;
             console.warn('Could not load rover manifest:', error);
         }
     }
 
     async loadPhotos() {
+        // Cancel the previous load so a late response can't overwrite this one
+        if (this.photosRequest) {
+            this.photosRequest.abort();
+        }
+        const request = new AbortController();
+        this.photosRequest = request;
+
         this.showLoading();
         this.hideStates();
 
@@ -180,7 +197,10 @@ class MarsRoversPage {
             const response = await this.apiService.getRoverPhotos(
                 this.currentRover,
                 this.currentSol,
-                camera
+                null,
+                camera,
+                1,
+                { signal: request.signal }
             );
 
             // Extract photos array from API response
@@ -202,10 +222,15 @@ class MarsRoversPage {
             }
             
         } catch (error) {
+            if (error.aborted) return;
             console.error('Error loading photos:', error);
             this.showError('Failed to load photos. Please try again.');
         } finally {
-            this.hideLoading();
+            // Leave the spinner up for the newer request that replaced this one
+            if (this.photosRequest === request) {
+                this.hideLoading();
+                this.photosRequest = null;
+            }
         }
     }
 
@@ -0,0 +1,498 @@
+// Cosmos Connect - Natural Events (EONET) Module
+
+// Icons for EONET category ids
+const EONET_CATEGORY_ICONS = {
+  drought: 'fa-sun-plant-wilt',
+  dustHaze: 'fa-smog',
+  earthquakes: 'fa-house-crack',
+  floods: 'fa-water',
+  landslides: 'fa-hill-rockslide',
+  manmade: 'fa-industry',
+  seaLakeIce: 'fa-icicles',
+  severeStorms: 'fa-hurricane',
+  snow: 'fa-snowflake',
+  tempExtremes: 'fa-temperature-high',
+  volcanoes: 'fa-volcano',
+  waterColor: 'fa-droplet',
+  wildfires: 'fa-fire'
+};
+
+class NaturalEventsApp {
+  constructor() {
+    this.events = [];
+    this.categories = [];
+    this.currentFilters = {
+      status: 'open',
+      category: [],
+      start: '',
+      end: '',
+      bbox: null
+    };
+    this.loadRequest = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.setupEventListeners();
+      await Promise.all([this.loadCategories(), this.loadEvents()]);
+      this.initialized = true;
+
+      // Open the event linked from global search
+      const eventId = URLUtils.getQueryParam('event');
+      if (eventId) {
+        this.showEventDetailsById(eventId);
+      }
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize Natural Events app:', error);
+      this.showError('Failed to initialize the natural event tracker. Please refresh the page.');
+    }
+  }
+
+  setupEventListeners() {
+    // Filter controls
+    const applyFiltersBtn = document.getElementById('apply-filters-btn');
+    if (applyFiltersBtn) {
+      applyFiltersBtn.addEventListener('click', () => this.applyFilters());
+    }
+
+    const resetFiltersBtn = document.getElementById('reset-filters-btn');
+    if (resetFiltersBtn) {
+      resetFiltersBtn.addEventListener('click', () => this.resetFilters());
+    }
+
+    // Refresh button
+    const refreshBtn = document.getElementById('refresh-data-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => this.refreshData());
+    }
+
+    // Bounding box inputs only show for a custom region
+    const regionFilter = document.getElementById('region-filter');
+    const bboxInputs = document.getElementById('bbox-inputs');
+    if (regionFilter && bboxInputs) {
+      regionFilter.addEventListener('change', () => {
+        bboxInputs.style.display = regionFilter.value === 'custom' ? 'block' : 'none';
+      });
+    }
+
+    // Category chips toggle on click
+    const categoryContainer = document.getElementById('category-filters');
+    if (categoryContainer) {
+      categoryContainer.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-category]');
+        if (chip) {
+          chip.classList.toggle('active');
+          chip.setAttribute('aria-pressed', chip.classList.contains('active'));
+        }
+      });
+    }
+
+    // Date input validation
+    const startDateInput = document.getElementById('start-date');
+    const endDateInput = document.getElementById('end-date');
+
+    if (startDateInput && endDateInput) {
+      startDateInput.addEventListener('change', () => {
+        endDateInput.min = startDateInput.value;
+      });
+      endDateInput.addEventListener('change', () => {
+        startDateInput.max = endDateInput.value;
+      });
+    }
+  }
+
+  startLoadRequest() {
+    // Only the most recent load is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
+  async loadCategories() {
+    const container = document.getElementById('category-filters');
+    if (!container) return;
+
+    try {
+      this.categories = await APIManager.naturalEvents.getCategories();
+      this.renderCategoryFilters(container);
+    } catch (error) {
+      console.error('Failed to load event categories:', error);
+      container.innerHTML = '<small class="text-muted">Categories are unavailable right now.</small>';
+    }
+  }
+
+  renderCategoryFilters(container) {
+    container.innerHTML = this.categories.map(category => `
+      <button type="button" class="btn btn-outline-light btn-sm category-chip${this.currentFilters.category.includes(category.id) ? ' active' : ''}"
+              data-category="${category.id}" aria-pressed="${this.currentFilters.category.includes(category.id)}" title="${category.description || category.title}">
+        <i class="fas ${this.getCategoryIcon(category.id)} me-1"></i>${category.title}
+      </button>
+    `).join('');
+  }
+
+  async loadEvents() {
+    const contentContainer = document.getElementById('natural-events-content');
+    const signal = this.startLoadRequest();
+
+    try {
+      LoadingUtils.showLoading(contentContainer, 'Scanning the planet for natural events...');
+
+      const data = await APIManager.naturalEvents.getEvents(this.currentFilters, { signal });
+
+      this.events = data.events || [];
+      this.renderEvents(contentContainer, this.events);
+      this.updateDataCount();
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to load natural events:', error);
+
+      const errorMessage = ErrorUtils.handleAPIError(error, 'natural events');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  applyFilters() {
+    const status = document.getElementById('status-filter').value;
+    const start = document.getElementById('start-date').value;
+    const end = document.getElementById('end-date').value;
+
+    // Validate dates
+    if (start && end && new Date(start) > new Date(end)) {
+      this.showToast('Start date must be before end date', 'warning');
+      return;
+    }
+
+    let bbox = null;
+    if (document.getElementById('region-filter').value === 'custom') {
+      bbox = {
+        west: document.getElementById('bbox-west').value,
+        north: document.getElementById('bbox-north').value,
+        east: document.getElementById('bbox-east').value,
+        south: document.getElementById('bbox-south').value
+      };
+
+      // Check the box here so the user gets a toast instead of a failed load
+      try {
+        EONETService.formatBoundingBox(bbox);
+      } catch (error) {
+        this.showToast(error.message, 'warning');
+        return;
+      }
+    }
+
+    const category = Array.from(document.querySelectorAll('#category-filters [data-category].active'))
+      .map(chip => chip.dataset.category);
+
+    this.currentFilters = { status, category, start, end, bbox };
+    this.loadEvents();
+  }
+
+  resetFilters() {
+    // Reset form inputs
+    document.getElementById('status-filter').value = 'open';
+    document.getElementById('start-date').value = '';
+    document.getElementById('end-date').value = '';
+    document.getElementById('region-filter').value = '';
+    document.getElementById('bbox-inputs').style.display = 'none';
+    ['west', 'south', 'east', 'north'].forEach(edge => {
+      document.getElementById(`bbox-${edge}`).value = '';
+    });
+    document.querySelectorAll('#category-filters [data-category]').forEach(chip => {
+      chip.classList.remove('active');
+      chip.setAttribute('aria-pressed', 'false');
+    });
+
+    // Reset filters
+    this.currentFilters = { status: 'open', category: [], start: '', end: '', bbox: null };
+
+    // Reload data
+    this.loadEvents();
+  }
+
+  async refreshData() {
+    // Clear cached event lists so the current filters are fetched again
+    Object.keys(localStorage)
+      .filter(key => key.startsWith('cache_eonet_event'))
+      .forEach(key => localStorage.removeItem(key));
+
+    await this.loadEvents();
+    this.showToast('Natural events refreshed', 'success');
+  }
+
+  renderEvents(container, events) {
+    if (!events.length) {
+      LoadingUtils.showEmpty(container, 'No natural events found for the selected criteria.');
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="natural-event-cards">
+        <div class="row g-4">
+          ${events.map((event, index) => {
+            const latest = EONETService.getLatestGeometry(event);
+            return `
+              <div class="col-lg-4 col-md-6">
+                <div class="natural-event-card data-card glass-card p-4 h-100" onclick="naturalEventsApp.showEventDetails(${index})">
+                  <div class="card-header mb-3">
+                    <div class="event-type-header">
+                      <i class="fas ${this.getCategoryIcon(event.categories[0]?.id)} fa-2x mb-2"></i>
+                      <h5>${event.title}</h5>
+                    </div>
+                    <span class="badge ${event.closed ? 'bg-secondary' : 'bg-success'}">${event.closed ? 'Closed' : 'Open'}</span>
+                  </div>
+
+                  <div class="event-details">
+                    <div class="detail-row">
+                      <span class="detail-label">
+                        <i class="fas fa-tag me-1"></i>Category:
+                      </span>
+                      <span class="detail-value">${event.categories.map(category => category.title).join(', ')}</span>
+                    </div>
+                    <div class="detail-row">
+                      <span class="detail-label">
+                        <i class="fas fa-calendar me-1"></i>Last Observed:
+                      </span>
+                      <span class="detail-value">${latest ? DateUtils.formatDateTime(latest.date) : 'Unknown'}</span>
+                    </div>
+                    <div class="detail-row">
+                      <span class="detail-label">
+                        <i class="fas fa-map-marker-alt me-1"></i>Observations:
+                      </span>
+                      <span class="detail-value">${event.geometry.length}</span>
+                    </div>
+                    ${latest && latest.magnitudeValue !== null && latest.magnitudeValue !== undefined ? `
+                      <div class="detail-row">
+                        <span class="detail-label">
+                          <i class="fas fa-gauge me-1"></i>Magnitude:
+                        </span>
+                        <span class="detail-value">${this.formatMagnitude(latest)}</span>
+                      </div>
+                    ` : ''}
+                  </div>
+
+                  <div class="card-actions mt-3">
+                    <button class="btn btn-sm btn-primary w-100" onclick="event.stopPropagation(); naturalEventsApp.showEventDetails(${index})">
+                      <i class="fas fa-info-circle me-1"></i>View Details
+                    </button>
+                  </div>
+                </div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  showEventDetails(index) {
+    const event = this.events[index];
+    if (!event) return;
+
+    const modal = new bootstrap.Modal(document.getElementById('naturalEventModal'));
+    this.renderEventDetails(document.getElementById('natural-event-details-content'), event);
+    modal.show();
+  }
+
+  async showEventDetailsById(eventId) {
+    const modal = new bootstrap.Modal(document.getElementById('naturalEventModal'));
+    const contentContainer = document.getElementById('natural-event-details-content');
+
+    try {
+      LoadingUtils.showLoading(contentContainer, 'Loading event details...');
+      modal.show();
+
+      const event = this.events.find(item => item.id === eventId) || await APIManager.naturalEvents.getEvent(eventId);
+      this.renderEventDetails(contentContainer, event);
+
+    } catch (error) {
+      console.error('Failed to load natural event details:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'event details');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  renderEventDetails(container, event) {
+    const geometry = event.geometry || [];
+
+    container.innerHTML = `
+      <div class="natural-event-details">
+        <h4 class="mb-3">${event.title}</h4>
+        ${event.description ? `<p>${event.description}</p>` : ''}
+
+        <div class="row">
+          <div class="col-md-6">
+            <h5>Event Information</h5>
+            <table class="table table-glass">
+              <tr><td><strong>EONET ID:</strong></td><td>${event.id}</td></tr>
+              <tr><td><strong>Categories:</strong></td><td>${event.categories.map(category => category.title).join(', ')}</td></tr>
+              <tr><td><strong>Status:</strong></td><td>${event.closed ? `Closed ${DateUtils.formatDate(event.closed)}` : 'Open'}</td></tr>
+              <tr><td><strong>First Observed:</strong></td><td>${geometry.length ? DateUtils.formatDateTime(geometry[0].date) : 'Unknown'}</td></tr>
+            </table>
+          </div>
+
+          <div class="col-md-6">
+            <h5>Sources</h5>
+            <ul class="list-unstyled">
+              ${event.sources.map(source => `
+                <li class="mb-1">
+                  <a href="${source.url}" target="_blank" rel="noopener">
+                    <i class="fas fa-external-link-alt me-1"></i>${source.id}
+                  </a>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        </div>
+
+        <div class="row mt-4">
+          <div class="col-12">
+            <h5>Location</h5>
+            ${this.renderGeometryMap(geometry)}
+            ${this.renderImageryLink(geometry)}
+          </div>
+        </div>
+
+        <div class="row mt-4">
+          <div class="col-12">
+            <h5>Observations (${geometry.length})</h5>
+            <div class="table-responsive natural-event-geometry">
+              <table class="table table-glass table-sm">
+                <thead>
+                  <tr>
+                    <th>Date (UTC)</th>
+                    <th>Type</th>
+                    <th>Coordinates</th>
+                    <th>Magnitude</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${geometry.slice().reverse().map(entry => `
+                    <tr>
+                      <td>${DateUtils.formatDateTime(entry.date)}</td>
+                      <td>${entry.type}</td>
+                      <td>${this.formatPosition(EONETService.getGeometryPosition(entry))}${entry.type === 'Polygon' ? ' (center)' : ''}</td>
+                      <td>${this.formatMagnitude(entry)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Plots the observations on an equirectangular world grid (x = lon, y = -lat)
+  renderGeometryMap(geometry) {
+    const positions = geometry.map(entry => EONETService.getGeometryPosition(entry)).filter(Boolean);
+    if (!positions.length) {
+      return '<p class="text-muted">No location data for this event.</p>';
+    }
+
+    const gridLines = [];
+    for (let lon = -150; lon < 180; lon += 30) {
+      gridLines.push(`<line x1="${lon}" y1="-90" x2="${lon}" y2="90"/>`);
+    }
+    for (let lat = -60; lat < 90; lat += 30) {
+      gridLines.push(`<line x1="-180" y1="${lat}" x2="180" y2="${lat}"/>`);
+    }
+
+    const polygons = geometry
+      .filter(entry => entry.type === 'Polygon')
+      .map(entry => `<polygon points="${entry.coordinates[0].map(([lon, lat]) => `${lon},${-lat}`).join(' ')}"/>`);
+
+    const track = positions.map(([lon, lat]) => `${lon},${-lat}`).join(' ');
+    const [lastLon, lastLat] = positions[positions.length - 1];
+
+    return `
+      <svg class="natural-event-map" viewBox="-180 -90 360 180" preserveAspectRatio="xMidYMid meet" role="img" aria-label="Event location map">
+        <rect x="-180" y="-90" width="360" height="180" class="map-background"/>
+        <g class="map-grid">${gridLines.join('')}</g>
+        <g class="map-polygons">${polygons.join('')}</g>
+        ${positions.length > 1 ? `<polyline class="map-track" points="${track}"/>` : ''}
+        <g class="map-points">${positions.map(([lon, lat]) => `<circle cx="${lon}" cy="${-lat}" r="1.2"/>`).join('')}</g>
+        <circle class="map-latest" cx="${lastLon}" cy="${-lastLat}" r="2.5"/>
+      </svg>
+      <small class="text-muted">Latest position: ${this.formatPosition([lastLon, lastLat])}</small>
+    `;
+  }
+
+  // Opens the GIBS viewer on the day and place of the latest observation
+  renderImageryLink(geometry) {
+    const latest = geometry[geometry.length - 1];
+    const position = EONETService.getGeometryPosition(latest);
+    if (!position) return '';
+
+    const [lon, lat] = position;
+    return `
+      <div class="mt-2">
+        <a class="btn btn-sm btn-outline-light" href="earth-imagery.html?date=${latest.date.split('T')[0]}&lat=${lat.toFixed(2)}&lon=${lon.toFixed(2)}">
+          <i class="fas fa-layer-group me-1"></i>View satellite imagery of this day
+        </a>
+      </div>
+    `;
+  }
+
+  formatPosition(position) {
+    if (!position) return 'Unknown';
+    const [lon, lat] = position;
+    return `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(2)}°${lon >= 0 ? 'E' : 'W'}`;
+  }
+
+  formatMagnitude(entry) {
+    if (entry.magnitudeValue === null || entry.magnitudeValue === undefined) return '—';
+    return `${NumberUtils.formatLargeNumber(entry.magnitudeValue)} ${entry.magnitudeUnit || ''}`.trim();
+  }
+
+  getCategoryIcon(categoryId) {
+    return EONET_CATEGORY_ICONS[categoryId] || 'fa-earth-americas';
+  }
+
+  updateDataCount() {
+    const countElement = document.getElementById('data-count');
+    if (countElement) {
+      countElement.textContent = `${this.events.length} events`;
+    }
+  }
+
+  showToast(message, type = 'info') {
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(message, type);
+    } else {
+      console.log(`${type.toUpperCase()}: ${message}`);
+    }
+  }
+
+  showError(message) {
+    const contentContainer = document.getElementById('natural-events-content');
+    if (contentContainer) {
+      LoadingUtils.showError(contentContainer, message);
+    }
+  }
+}
+
+// Initialize Natural Events app
+const naturalEventsApp = new NaturalEventsApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => naturalEventsApp.init(), 500);
+  });
+} else {
+  setTimeout(() => naturalEventsApp.init(), 500);
+}
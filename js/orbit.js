@@ -0,0 +1,1219 @@
+// Cosmos Connect - Orbit Propagation (SGP4/SDP4)
+// Port of the Vallado/Crawford/Hujsak/Kelso reference implementation ("Revisiting Spacetrack Report #3", 2006)
+
+// WGS-72 constants, which the published element sets are fitted with
+const SGP4_CONSTANTS = (() => {
+  const mu = 398600.8;                              // km^3/s^2
+  const earthRadius = 6378.135;                     // km
+  const xke = 60.0 / Math.sqrt(earthRadius * earthRadius * earthRadius / mu);
+  const j2 = 0.001082616;
+  const j3 = -0.00000253881;
+  const j4 = -0.00000165597;
+  return {
+    mu,
+    earthRadius,
+    xke,
+    tumin: 1.0 / xke,
+    vkmpersec: earthRadius * xke / 60.0,
+    j2,
+    j3,
+    j4,
+    j3oj2: j3 / j2,
+    x2o3: 2.0 / 3.0,
+    twoPi: 2.0 * Math.PI,
+    deg2rad: Math.PI / 180.0,
+    minutesPerDay: 1440.0
+  };
+})();
+
+// WGS-84 ellipsoid for geodetic conversions
+const WGS84 = {
+  radius: 6378.137,                                 // km
+  flattening: 1 / 298.257223563
+};
+
+const SGP4 = {
+  // Messages for the error codes set on satrec.error
+  errors: {
+    1: 'Mean eccentricity is out of range',
+    2: 'Mean motion is below zero',
+    3: 'Perturbed eccentricity is out of range',
+    4: 'Semi-latus rectum is below zero',
+    6: 'Satellite has decayed'
+  },
+
+  /**
+   * Parse a two-line element set into a propagation record
+   * @param {string} line1
+   * @param {string} line2
+   * @returns {object} satrec, with `error` set when initialization fails
+   */
+  twoline2satrec(line1, line2) {
+    const { deg2rad, minutesPerDay, twoPi } = SGP4_CONSTANTS;
+    const xpdotp = minutesPerDay / twoPi;           // rev/day -> rad/min
+
+    const satrec = {
+      error: 0,
+      satnum: line1.substring(2, 7).trim(),
+      epochyr: parseInt(line1.substring(18, 20), 10),
+      epochdays: parseFloat(line1.substring(20, 32)),
+      ndot: parseFloat(line1.substring(33, 43)),
+      nddot: SGP4.parseExponential(line1.substring(44, 52)),
+      bstar: SGP4.parseExponential(line1.substring(53, 61)),
+      inclo: parseFloat(line2.substring(8, 16)) * deg2rad,
+      nodeo: parseFloat(line2.substring(17, 25)) * deg2rad,
+      ecco: parseFloat(`.${line2.substring(26, 33).trim()}`),
+      argpo: parseFloat(line2.substring(34, 42)) * deg2rad,
+      mo: parseFloat(line2.substring(43, 51)) * deg2rad,
+      no: parseFloat(line2.substring(52, 63)) / xpdotp
+    };
+    satrec.ndot /= xpdotp * minutesPerDay;
+    satrec.nddot /= xpdotp * minutesPerDay * minutesPerDay;
+
+    // Two-digit years: 57-99 are 1900s, 00-56 are 2000s
+    const year = satrec.epochyr < 57 ? satrec.epochyr + 2000 : satrec.epochyr + 1900;
+    satrec.jdsatepoch = SGP4.jday(year, 1, 0, 0, 0, 0) + satrec.epochdays;
+
+    SGP4.sgp4init(satrec, satrec.jdsatepoch - 2433281.5);
+    return satrec;
+  },
+
+  // TLE exponent fields such as " 28098-4" mean 0.28098e-4
+  parseExponential(field) {
+    const match = /^([ +-])?(\d{1,5})([+-]\d)$/.exec(field.trim().padStart(7, ' '));
+    if (!match) return parseFloat(field) || 0;
+    const sign = match[1] === '-' ? -1 : 1;
+    return sign * parseFloat(`0.${match[2]}`) * Math.pow(10, parseInt(match[3], 10));
+  },
+
+  // Julian date from a calendar date (valid 1900-2100)
+  jday(year, month, day, hours, minutes, seconds) {
+    return 367.0 * year -
+      Math.floor(7 * (year + Math.floor((month + 9) / 12.0)) * 0.25) +
+      Math.floor(275 * month / 9.0) +
+      day + 1721013.5 +
+      ((seconds / 60.0 + minutes) / 60.0 + hours) / 24.0;
+  },
+
+  dateToJulian(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+  },
+
+  // Greenwich mean sidereal time in radians (IAU-82)
+  gstime(jdut1) {
+    const { deg2rad, twoPi } = SGP4_CONSTANTS;
+    const tut1 = (jdut1 - 2451545.0) / 36525.0;
+    let temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1 +
+      (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841;
+    temp = (temp * deg2rad / 240.0) % twoPi;
+    return temp < 0 ? temp + twoPi : temp;
+  },
+
+  /**
+   * Position and velocity at a moment in time
+   * @param {object} satrec - From twoline2satrec
+   * @param {Date} date
+   * @returns {{position: {x: number, y: number, z: number}, velocity: {x: number, y: number, z: number}}|null}
+   *   TEME coordinates in km and km/s, or null when the model fails (see satrec.error)
+   */
+  propagate(satrec, date) {
+    const tsince = (SGP4.dateToJulian(date) - satrec.jdsatepoch) * SGP4_CONSTANTS.minutesPerDay;
+    return SGP4.sgp4(satrec, tsince);
+  },
+
+  initl(satrec, epoch) {
+    const { xke, j2, x2o3 } = SGP4_CONSTANTS;
+    const eccsq = satrec.ecco * satrec.ecco;
+    const omeosq = 1.0 - eccsq;
+    const rteosq = Math.sqrt(omeosq);
+    const cosio = Math.cos(satrec.inclo);
+    const cosio2 = cosio * cosio;
+
+    // Un-Kozai the mean motion
+    const ak = Math.pow(xke / satrec.no, x2o3);
+    const d1 = 0.75 * j2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+    let delPrime = d1 / (ak * ak);
+    const adel = ak * (1.0 - delPrime * delPrime - delPrime * (1.0 / 3.0 + 134.0 * delPrime * delPrime / 81.0));
+    delPrime = d1 / (adel * adel);
+    const no = satrec.no / (1.0 + delPrime);
+
+    const ao = Math.pow(xke / no, x2o3);
+    const po = ao * omeosq;
+    const con42 = 1.0 - 5.0 * cosio2;
+
+    return {
+      no,
+      ao,
+      eccsq,
+      omeosq,
+      rteosq,
+      cosio,
+      cosio2,
+      sinio: Math.sin(satrec.inclo),
+      con41: -con42 - cosio2 - cosio2,
+      con42,
+      posq: po * po,
+      rp: ao * (1.0 - satrec.ecco),
+      gsto: SGP4.gstime(epoch + 2433281.5)
+    };
+  },
+
+  sgp4init(satrec, epoch) {
+    const { earthRadius, j2, j3oj2, j4, x2o3, twoPi } = SGP4_CONSTANTS;
+    const temp4 = 1.5e-12;
+
+    Object.assign(satrec, {
+      isimp: 0, method: 'n', aycof: 0, con41: 0, cc1: 0, cc4: 0, cc5: 0, d2: 0, d3: 0, d4: 0,
+      delmo: 0, eta: 0, argpdot: 0, omgcof: 0, sinmao: 0, t: 0, t2cof: 0, t3cof: 0, t4cof: 0,
+      t5cof: 0, x1mth2: 0, x7thm1: 0, mdot: 0, nodedot: 0, xlcof: 0, xmcof: 0, nodecf: 0,
+      irez: 0, d2201: 0, d2211: 0, d3210: 0, d3222: 0, d4410: 0, d4422: 0, d5220: 0, d5232: 0,
+      d5421: 0, d5433: 0, dedt: 0, del1: 0, del2: 0, del3: 0, didt: 0, dmdt: 0, dnodt: 0, domdt: 0,
+      e3: 0, ee2: 0, peo: 0, pgho: 0, pho: 0, pinco: 0, plo: 0, se2: 0, se3: 0, sgh2: 0, sgh3: 0,
+      sgh4: 0, sh2: 0, sh3: 0, si2: 0, si3: 0, sl2: 0, sl3: 0, sl4: 0, gsto: 0, xfact: 0, xgh2: 0,
+      xgh3: 0, xgh4: 0, xh2: 0, xh3: 0, xi2: 0, xi3: 0, xl2: 0, xl3: 0, xl4: 0, xlamo: 0, zmol: 0,
+      zmos: 0, atime: 0, xli: 0, xni: 0, init: 'y'
+    });
+
+    const ss = 78.0 / earthRadius + 1.0;
+    const qzms2t = Math.pow((120.0 - 78.0) / earthRadius, 4);
+
+    const init = SGP4.initl(satrec, epoch);
+    const { ao, cosio, cosio2, sinio, omeosq, posq, rp, rteosq, eccsq } = init;
+    satrec.no = init.no;
+    satrec.con41 = init.con41;
+    satrec.gsto = init.gsto;
+
+    if (omeosq >= 0.0 || satrec.no >= 0.0) {
+      satrec.isimp = rp < 220.0 / earthRadius + 1.0 ? 1 : 0;
+
+      // Lower the atmospheric density reference for low perigees
+      let sfour = ss;
+      let qzms24 = qzms2t;
+      const perige = (rp - 1.0) * earthRadius;
+      if (perige < 156.0) {
+        sfour = perige < 98.0 ? 20.0 : perige - 78.0;
+        qzms24 = Math.pow((120.0 - sfour) / earthRadius, 4);
+        sfour = sfour / earthRadius + 1.0;
+      }
+
+      const pinvsq = 1.0 / posq;
+      const tsi = 1.0 / (ao - sfour);
+      satrec.eta = ao * satrec.ecco * tsi;
+      const etasq = satrec.eta * satrec.eta;
+      const eeta = satrec.ecco * satrec.eta;
+      const psisq = Math.abs(1.0 - etasq);
+      const coef = qzms24 * Math.pow(tsi, 4.0);
+      const coef1 = coef / Math.pow(psisq, 3.5);
+      const cc2 = coef1 * satrec.no * (ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq)) +
+        0.375 * j2 * tsi / psisq * satrec.con41 * (8.0 + 3.0 * etasq * (8.0 + etasq)));
+      satrec.cc1 = satrec.bstar * cc2;
+      const cc3 = satrec.ecco > 1.0e-4 ? -2.0 * coef * tsi * j3oj2 * satrec.no * sinio / satrec.ecco : 0.0;
+      satrec.x1mth2 = 1.0 - cosio2;
+      satrec.cc4 = 2.0 * satrec.no * coef1 * ao * omeosq * (satrec.eta * (2.0 + 0.5 * etasq) +
+        satrec.ecco * (0.5 + 2.0 * etasq) - j2 * tsi / (ao * psisq) *
+        (-3.0 * satrec.con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+        0.75 * satrec.x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * satrec.argpo)));
+      satrec.cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+      const cosio4 = cosio2 * cosio2;
+      const temp1 = 1.5 * j2 * pinvsq * satrec.no;
+      const temp2 = 0.5 * temp1 * j2 * pinvsq;
+      const temp3 = -0.46875 * j4 * pinvsq * pinvsq * satrec.no;
+      satrec.mdot = satrec.no + 0.5 * temp1 * rteosq * satrec.con41 +
+        0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+      satrec.argpdot = -0.5 * temp1 * init.con42 + 0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+        temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+      const xhdot1 = -temp1 * cosio;
+      satrec.nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+      const xpidot = satrec.argpdot + satrec.nodedot;
+      satrec.omgcof = satrec.bstar * cc3 * Math.cos(satrec.argpo);
+      satrec.xmcof = satrec.ecco > 1.0e-4 ? -x2o3 * coef * satrec.bstar / eeta : 0.0;
+      satrec.nodecf = 3.5 * omeosq * xhdot1 * satrec.cc1;
+      satrec.t2cof = 1.5 * satrec.cc1;
+      satrec.xlcof = Math.abs(cosio + 1.0) > 1.5e-12
+        ? -0.25 * j3oj2 * sinio * (3.0 + 5.0 * cosio) / (1.0 + cosio)
+        : -0.25 * j3oj2 * sinio * (3.0 + 5.0 * cosio) / temp4;
+      satrec.aycof = -0.5 * j3oj2 * sinio;
+      satrec.delmo = Math.pow(1.0 + satrec.eta * Math.cos(satrec.mo), 3);
+      satrec.sinmao = Math.sin(satrec.mo);
+      satrec.x7thm1 = 7.0 * cosio2 - 1.0;
+
+      // Deep space (SDP4) for periods of 225 minutes or more
+      if (twoPi / satrec.no >= 225.0) {
+        satrec.method = 'd';
+        satrec.isimp = 1;
+        const tc = 0.0;
+        const inclm = satrec.inclo;
+
+        const com = SGP4.dscom(epoch, satrec.ecco, satrec.argpo, tc, satrec.inclo, satrec.nodeo, satrec.no);
+        ['e3', 'ee2', 'peo', 'pgho', 'pho', 'pinco', 'plo', 'se2', 'se3', 'sgh2', 'sgh3', 'sgh4', 'sh2', 'sh3',
+          'si2', 'si3', 'sl2', 'sl3', 'sl4', 'xgh2', 'xgh3', 'xgh4', 'xh2', 'xh3', 'xi2', 'xi3', 'xl2', 'xl3',
+          'xl4', 'zmol', 'zmos'].forEach(key => { satrec[key] = com[key]; });
+
+        const periodics = SGP4.dpper(satrec, {
+          init: satrec.init,
+          ep: satrec.ecco,
+          inclp: satrec.inclo,
+          nodep: satrec.nodeo,
+          argpp: satrec.argpo,
+          mp: satrec.mo
+        });
+        satrec.ecco = periodics.ep;
+        satrec.inclo = periodics.inclp;
+        satrec.nodeo = periodics.nodep;
+        satrec.argpo = periodics.argpp;
+        satrec.mo = periodics.mp;
+
+        const resonance = SGP4.dsinit(satrec, {
+          ...com,
+          xpidot,
+          tc,
+          eccsq,
+          inclm,
+          argpm: 0.0,
+          nodem: 0.0,
+          mm: 0.0
+        });
+        ['irez', 'atime', 'd2201', 'd2211', 'd3210', 'd3222', 'd4410', 'd4422', 'd5220', 'd5232', 'd5421',
+          'd5433', 'dedt', 'didt', 'dmdt', 'dnodt', 'domdt', 'del1', 'del2', 'del3', 'xfact', 'xlamo', 'xli',
+          'xni'].forEach(key => { satrec[key] = resonance[key]; });
+      }
+
+      if (satrec.isimp !== 1) {
+        const cc1sq = satrec.cc1 * satrec.cc1;
+        satrec.d2 = 4.0 * ao * tsi * cc1sq;
+        const temp = satrec.d2 * tsi * satrec.cc1 / 3.0;
+        satrec.d3 = (17.0 * ao + sfour) * temp;
+        satrec.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * satrec.cc1;
+        satrec.t3cof = satrec.d2 + 2.0 * cc1sq;
+        satrec.t4cof = 0.25 * (3.0 * satrec.d3 + satrec.cc1 * (12.0 * satrec.d2 + 10.0 * cc1sq));
+        satrec.t5cof = 0.2 * (3.0 * satrec.d4 + 12.0 * satrec.cc1 * satrec.d3 + 6.0 * satrec.d2 * satrec.d2 +
+          15.0 * cc1sq * (2.0 * satrec.d2 + cc1sq));
+      }
+    }
+
+    SGP4.sgp4(satrec, 0.0);
+    satrec.init = 'n';
+    return satrec;
+  },
+
+  // Lunar and solar terms for deep-space orbits
+  dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+    const { twoPi } = SGP4_CONSTANTS;
+    const zes = 0.01675;
+    const zel = 0.05490;
+    const c1ss = 2.9864797e-6;
+    const c1l = 4.7968065e-7;
+    const zsinis = 0.39785416;
+    const zcosis = 0.91744867;
+    const zcosgs = 0.1945905;
+    const zsings = -0.98088458;
+
+    const nm = np;
+    const em = ep;
+    const snodm = Math.sin(nodep);
+    const cnodm = Math.cos(nodep);
+    const sinomm = Math.sin(argpp);
+    const cosomm = Math.cos(argpp);
+    const sinim = Math.sin(inclp);
+    const cosim = Math.cos(inclp);
+    const emsq = em * em;
+    const betasq = 1.0 - emsq;
+    const rtemsq = Math.sqrt(betasq);
+
+    const day = epoch + 18261.5 + tc / 1440.0;
+    const xnodce = (4.5236020 - 9.2422029e-4 * day) % twoPi;
+    const stem = Math.sin(xnodce);
+    const ctem = Math.cos(xnodce);
+    const zcosil = 0.91375164 - 0.03568096 * ctem;
+    const zsinil = Math.sqrt(1.0 - zcosil * zcosil);
+    const zsinhl = 0.089683511 * stem / zsinil;
+    const zcoshl = Math.sqrt(1.0 - zsinhl * zsinhl);
+    const gam = 5.8351514 + 0.0019443680 * day;
+    let zx = 0.39785416 * stem / zsinil;
+    const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+    zx = Math.atan2(zx, zy);
+    zx = gam + zx - xnodce;
+    const zcosgl = Math.cos(zx);
+    const zsingl = Math.sin(zx);
+
+    // First pass is the sun, second the moon
+    let zcosg = zcosgs;
+    let zsing = zsings;
+    let zcosi = zcosis;
+    let zsini = zsinis;
+    let zcosh = cnodm;
+    let zsinh = snodm;
+    let cc = c1ss;
+    const xnoi = 1.0 / nm;
+    const terms = [];
+
+    for (let lsflg = 1; lsflg <= 2; lsflg++) {
+      const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+      const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+      const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+      const a8 = zsing * zsini;
+      const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+      const a10 = zcosg * zsini;
+      const a2 = cosim * a7 + sinim * a8;
+      const a4 = cosim * a9 + sinim * a10;
+      const a5 = -sinim * a7 + cosim * a8;
+      const a6 = -sinim * a9 + cosim * a10;
+
+      const x1 = a1 * cosomm + a2 * sinomm;
+      const x2 = a3 * cosomm + a4 * sinomm;
+      const x3 = -a1 * sinomm + a2 * cosomm;
+      const x4 = -a3 * sinomm + a4 * cosomm;
+      const x5 = a5 * sinomm;
+      const x6 = a6 * sinomm;
+      const x7 = a5 * cosomm;
+      const x8 = a6 * cosomm;
+
+      const z31 = 12.0 * x1 * x1 - 3.0 * x3 * x3;
+      const z32 = 24.0 * x1 * x2 - 6.0 * x3 * x4;
+      const z33 = 12.0 * x2 * x2 - 3.0 * x4 * x4;
+      let z1 = 3.0 * (a1 * a1 + a2 * a2) + z31 * emsq;
+      let z2 = 6.0 * (a1 * a3 + a2 * a4) + z32 * emsq;
+      let z3 = 3.0 * (a3 * a3 + a4 * a4) + z33 * emsq;
+      const z11 = -6.0 * a1 * a5 + emsq * (-24.0 * x1 * x7 - 6.0 * x3 * x5);
+      const z12 = -6.0 * (a1 * a6 + a3 * a5) + emsq * (-24.0 * (x2 * x7 + x1 * x8) - 6.0 * (x3 * x6 + x4 * x5));
+      const z13 = -6.0 * a3 * a6 + emsq * (-24.0 * x2 * x8 - 6.0 * x4 * x6);
+      const z21 = 6.0 * a2 * a5 + emsq * (24.0 * x1 * x5 - 6.0 * x3 * x7);
+      const z22 = 6.0 * (a4 * a5 + a2 * a6) + emsq * (24.0 * (x2 * x5 + x1 * x6) - 6.0 * (x4 * x7 + x3 * x8));
+      const z23 = 6.0 * a4 * a6 + emsq * (24.0 * x2 * x6 - 6.0 * x4 * x8);
+      z1 = z1 + z1 + betasq * z31;
+      z2 = z2 + z2 + betasq * z32;
+      z3 = z3 + z3 + betasq * z33;
+
+      const s3 = cc * xnoi;
+      const s2 = -0.5 * s3 / rtemsq;
+      const s4 = s3 * rtemsq;
+      const s1 = -15.0 * em * s4;
+      const s5 = x1 * x3 + x2 * x4;
+      const s6 = x2 * x3 + x1 * x4;
+      const s7 = x2 * x4 - x1 * x3;
+
+      terms.push({ s1, s2, s3, s4, s5, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 });
+
+      zcosg = zcosgl;
+      zsing = zsingl;
+      zcosi = zcosil;
+      zsini = zsinil;
+      zcosh = zcoshl * cnodm + zsinhl * snodm;
+      zsinh = snodm * zcoshl - cnodm * zsinhl;
+      cc = c1l;
+    }
+
+    const [sun, moon] = terms;
+    const zmol = (4.7199672 + (0.22997150 * day - gam)) % twoPi;
+    const zmos = (6.2565837 + 0.017201977 * day) % twoPi;
+
+    return {
+      snodm, cnodm, sinim, cosim, sinomm, cosomm, day, em, emsq, gam, rtemsq, nm, zmol, zmos,
+      peo: 0.0, pinco: 0.0, plo: 0.0, pgho: 0.0, pho: 0.0,
+      // Solar terms
+      ss1: sun.s1, ss2: sun.s2, ss3: sun.s3, ss4: sun.s4, ss5: sun.s5, ss6: sun.s6, ss7: sun.s7,
+      sz1: sun.z1, sz2: sun.z2, sz3: sun.z3, sz11: sun.z11, sz12: sun.z12, sz13: sun.z13,
+      sz21: sun.z21, sz22: sun.z22, sz23: sun.z23, sz31: sun.z31, sz32: sun.z32, sz33: sun.z33,
+      se2: 2.0 * sun.s1 * sun.s6,
+      se3: 2.0 * sun.s1 * sun.s7,
+      si2: 2.0 * sun.s2 * sun.z12,
+      si3: 2.0 * sun.s2 * (sun.z13 - sun.z11),
+      sl2: -2.0 * sun.s3 * sun.z2,
+      sl3: -2.0 * sun.s3 * (sun.z3 - sun.z1),
+      sl4: -2.0 * sun.s3 * (-21.0 - 9.0 * emsq) * zes,
+      sgh2: 2.0 * sun.s4 * sun.z32,
+      sgh3: 2.0 * sun.s4 * (sun.z33 - sun.z31),
+      sgh4: -18.0 * sun.s4 * zes,
+      sh2: -2.0 * sun.s2 * sun.z22,
+      sh3: -2.0 * sun.s2 * (sun.z23 - sun.z21),
+      // Lunar terms
+      ...moon,
+      ee2: 2.0 * moon.s1 * moon.s6,
+      e3: 2.0 * moon.s1 * moon.s7,
+      xi2: 2.0 * moon.s2 * moon.z12,
+      xi3: 2.0 * moon.s2 * (moon.z13 - moon.z11),
+      xl2: -2.0 * moon.s3 * moon.z2,
+      xl3: -2.0 * moon.s3 * (moon.z3 - moon.z1),
+      xl4: -2.0 * moon.s3 * (-21.0 - 9.0 * emsq) * zel,
+      xgh2: 2.0 * moon.s4 * moon.z32,
+      xgh3: 2.0 * moon.s4 * (moon.z33 - moon.z31),
+      xgh4: -18.0 * moon.s4 * zel,
+      xh2: -2.0 * moon.s2 * moon.z22,
+      xh3: -2.0 * moon.s2 * (moon.z23 - moon.z21)
+    };
+  },
+
+  // Lunar and solar periodics
+  dpper(satrec, { init, ep, inclp, nodep, argpp, mp }) {
+    const { twoPi } = SGP4_CONSTANTS;
+    const zns = 1.19459e-5;
+    const zes = 0.01675;
+    const znl = 1.5835218e-4;
+    const zel = 0.05490;
+
+    const periodic = (zmean, rate, eccentricity) => {
+      const zm = init === 'y' ? zmean : zmean + rate * satrec.t;
+      const zf = zm + 2.0 * eccentricity * Math.sin(zm);
+      const sinzf = Math.sin(zf);
+      return { sinzf, f2: 0.5 * sinzf * sinzf - 0.25, f3: -0.5 * sinzf * Math.cos(zf) };
+    };
+
+    const sun = periodic(satrec.zmos, zns, zes);
+    const ses = satrec.se2 * sun.f2 + satrec.se3 * sun.f3;
+    const sis = satrec.si2 * sun.f2 + satrec.si3 * sun.f3;
+    const sls = satrec.sl2 * sun.f2 + satrec.sl3 * sun.f3 + satrec.sl4 * sun.sinzf;
+    const sghs = satrec.sgh2 * sun.f2 + satrec.sgh3 * sun.f3 + satrec.sgh4 * sun.sinzf;
+    const shs = satrec.sh2 * sun.f2 + satrec.sh3 * sun.f3;
+
+    const moon = periodic(satrec.zmol, znl, zel);
+    const sel = satrec.ee2 * moon.f2 + satrec.e3 * moon.f3;
+    const sil = satrec.xi2 * moon.f2 + satrec.xi3 * moon.f3;
+    const sll = satrec.xl2 * moon.f2 + satrec.xl3 * moon.f3 + satrec.xl4 * moon.sinzf;
+    const sghl = satrec.xgh2 * moon.f2 + satrec.xgh3 * moon.f3 + satrec.xgh4 * moon.sinzf;
+    const shll = satrec.xh2 * moon.f2 + satrec.xh3 * moon.f3;
+
+    // Periodics are zero at epoch, so only apply them afterwards
+    if (init !== 'n') {
+      return { ep, inclp, nodep, argpp, mp };
+    }
+
+    const pe = ses + sel - satrec.peo;
+    const pinc = sis + sil - satrec.pinco;
+    const pl = sls + sll - satrec.plo;
+    let pgh = sghs + sghl - satrec.pgho;
+    let ph = shs + shll - satrec.pho;
+
+    inclp += pinc;
+    ep += pe;
+    const sinip = Math.sin(inclp);
+    const cosip = Math.cos(inclp);
+
+    if (inclp >= 0.2) {
+      ph /= sinip;
+      pgh -= cosip * ph;
+      argpp += pgh;
+      nodep += ph;
+      mp += pl;
+    } else {
+      // Lyddane modification for low inclinations
+      const sinop = Math.sin(nodep);
+      const cosop = Math.cos(nodep);
+      let alfdp = sinip * sinop;
+      let betdp = sinip * cosop;
+      const dalf = ph * cosop + pinc * cosip * sinop;
+      const dbet = -ph * sinop + pinc * cosip * cosop;
+      alfdp += dalf;
+      betdp += dbet;
+      nodep %= twoPi;
+
+      let xls = mp + argpp + cosip * nodep;
+      const dls = pl + pgh - pinc * nodep * sinip;
+      xls += dls;
+      const xnoh = nodep;
+      nodep = Math.atan2(alfdp, betdp);
+      if (Math.abs(xnoh - nodep) > Math.PI) {
+        nodep = nodep < xnoh ? nodep + twoPi : nodep - twoPi;
+      }
+      mp += pl;
+      argpp = xls - mp - cosip * nodep;
+    }
+
+    return { ep, inclp, nodep, argpp, mp };
+  },
+
+  // Deep-space secular effects and resonance setup
+  dsinit(satrec, options) {
+    const { xke, x2o3, twoPi } = SGP4_CONSTANTS;
+    const q22 = 1.7891679e-6;
+    const q31 = 2.1460748e-6;
+    const q33 = 2.2123015e-7;
+    const root22 = 1.7891679e-6;
+    const root44 = 7.3636953e-9;
+    const root52 = 1.1428639e-7;
+    const root32 = 3.7393792e-7;
+    const root54 = 2.1765803e-9;
+    const rptim = 4.3752690880113e-3;         // rad/min
+    const znl = 1.5835218e-4;
+    const zns = 1.19459e-5;
+
+    const {
+      cosim, sinim, s1, s2, s3, s4, s5, ss1, ss2, ss3, ss4, ss5, sz1, sz3, sz11, sz13, sz21, sz23, sz31, sz33,
+      z1, z3, z11, z13, z21, z23, z31, z33, tc, xpidot, eccsq
+    } = options;
+    let { em, emsq, argpm, inclm, mm, nm, nodem } = options;
+    const { t, gsto, mo, mdot, no, nodeo, nodedot, argpo, ecco } = satrec;
+
+    const result = {
+      irez: 0, atime: 0, d2201: 0, d2211: 0, d3210: 0, d3222: 0, d4410: 0, d4422: 0, d5220: 0, d5232: 0,
+      d5421: 0, d5433: 0, del1: 0, del2: 0, del3: 0, xfact: 0, xlamo: 0, xli: 0, xni: 0
+    };
+
+    if (nm < 0.0052359877 && nm > 0.0034906585) result.irez = 1;
+    if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) result.irez = 2;
+
+    const lowInclination = inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2;
+
+    // Solar terms
+    const ses = ss1 * zns * ss5;
+    const sis = ss2 * zns * (sz11 + sz13);
+    const sls = -zns * ss3 * (sz1 + sz3 - 14.0 - 6.0 * emsq);
+    const sghs = ss4 * zns * (sz31 + sz33 - 6.0);
+    let shs = -zns * ss2 * (sz21 + sz23);
+    if (lowInclination) shs = 0.0;
+    if (sinim !== 0.0) shs /= sinim;
+    const sgs = sghs - cosim * shs;
+
+    // Lunar terms
+    result.dedt = ses + s1 * znl * s5;
+    result.didt = sis + s2 * znl * (z11 + z13);
+    result.dmdt = sls - znl * s3 * (z1 + z3 - 14.0 - 6.0 * emsq);
+    const sghl = s4 * znl * (z31 + z33 - 6.0);
+    let shll = -znl * s2 * (z21 + z23);
+    if (lowInclination) shll = 0.0;
+    result.domdt = sgs + sghl;
+    result.dnodt = shs;
+    if (sinim !== 0.0) {
+      result.domdt -= cosim / sinim * shll;
+      result.dnodt += shll / sinim;
+    }
+
+    // Deep-space resonance effects
+    const theta = (gsto + tc * rptim) % twoPi;
+    em += result.dedt * t;
+    inclm += result.didt * t;
+    argpm += result.domdt * t;
+    nodem += result.dnodt * t;
+    mm += result.dmdt * t;
+
+    if (result.irez !== 0) {
+      const aonv = Math.pow(nm / xke, x2o3);
+
+      // Geopotential resonance for 12 hour orbits
+      if (result.irez === 2) {
+        const cosisq = cosim * cosim;
+        const emo = em;
+        em = ecco;
+        const emsqo = emsq;
+        emsq = eccsq;
+        const eoc = em * emsq;
+        const g201 = -0.306 - (em - 0.64) * 0.440;
+        let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+
+        if (em <= 0.65) {
+          g211 = 3.616 - 13.2470 * em + 16.2900 * emsq;
+          g310 = -19.302 + 117.3900 * em - 228.4190 * emsq + 156.5910 * eoc;
+          g322 = -18.9068 + 109.7927 * em - 214.6334 * emsq + 146.5816 * eoc;
+          g410 = -41.122 + 242.6940 * em - 471.0940 * emsq + 313.9530 * eoc;
+          g422 = -146.407 + 841.8800 * em - 1629.014 * emsq + 1083.4350 * eoc;
+          g520 = -532.114 + 3017.977 * em - 5740.032 * emsq + 3708.2760 * eoc;
+        } else {
+          g211 = -72.099 + 331.819 * em - 508.738 * emsq + 266.724 * eoc;
+          g310 = -346.844 + 1582.851 * em - 2415.925 * emsq + 1246.113 * eoc;
+          g322 = -342.585 + 1554.908 * em - 2366.899 * emsq + 1215.972 * eoc;
+          g410 = -1052.797 + 4758.686 * em - 7193.992 * emsq + 3651.957 * eoc;
+          g422 = -3581.690 + 16178.110 * em - 24462.770 * emsq + 12422.520 * eoc;
+          g520 = em > 0.715
+            ? -5149.66 + 29936.92 * em - 54087.36 * emsq + 31324.56 * eoc
+            : 1464.74 - 4664.75 * em + 3763.64 * emsq;
+        }
+        if (em < 0.7) {
+          g533 = -919.22770 + 4988.6100 * em - 9064.7700 * emsq + 5542.21 * eoc;
+          g521 = -822.71072 + 4568.6173 * em - 8491.4146 * emsq + 5337.524 * eoc;
+          g532 = -853.66600 + 4690.2500 * em - 8624.7700 * emsq + 5341.4 * eoc;
+        } else {
+          g533 = -37995.780 + 161616.52 * em - 229838.20 * emsq + 109377.94 * eoc;
+          g521 = -51752.104 + 218913.95 * em - 309468.16 * emsq + 146349.42 * eoc;
+          g532 = -40023.880 + 170470.89 * em - 242699.48 * emsq + 115605.82 * eoc;
+        }
+
+        const sini2 = sinim * sinim;
+        const f220 = 0.75 * (1.0 + 2.0 * cosim + cosisq);
+        const f221 = 1.5 * sini2;
+        const f321 = 1.875 * sinim * (1.0 - 2.0 * cosim - 3.0 * cosisq);
+        const f322 = -1.875 * sinim * (1.0 + 2.0 * cosim - 3.0 * cosisq);
+        const f441 = 35.0 * sini2 * f220;
+        const f442 = 39.3750 * sini2 * sini2;
+        const f522 = 9.84375 * sinim * (sini2 * (1.0 - 2.0 * cosim - 5.0 * cosisq) +
+          0.33333333 * (-2.0 + 4.0 * cosim + 6.0 * cosisq));
+        const f523 = sinim * (4.92187512 * sini2 * (-2.0 - 4.0 * cosim + 10.0 * cosisq) +
+          6.56250012 * (1.0 + 2.0 * cosim - 3.0 * cosisq));
+        const f542 = 29.53125 * sinim * (2.0 - 8.0 * cosim + cosisq * (-12.0 + 8.0 * cosim + 10.0 * cosisq));
+        const f543 = 29.53125 * sinim * (-2.0 - 8.0 * cosim + cosisq * (12.0 + 8.0 * cosim - 10.0 * cosisq));
+
+        const xno2 = nm * nm;
+        const ainv2 = aonv * aonv;
+        let temp1 = 3.0 * xno2 * ainv2;
+        let temp = temp1 * root22;
+        result.d2201 = temp * f220 * g201;
+        result.d2211 = temp * f221 * g211;
+        temp1 *= aonv;
+        temp = temp1 * root32;
+        result.d3210 = temp * f321 * g310;
+        result.d3222 = temp * f322 * g322;
+        temp1 *= aonv;
+        temp = 2.0 * temp1 * root44;
+        result.d4410 = temp * f441 * g410;
+        result.d4422 = temp * f442 * g422;
+        temp1 *= aonv;
+        temp = temp1 * root52;
+        result.d5220 = temp * f522 * g520;
+        result.d5232 = temp * f523 * g532;
+        temp = 2.0 * temp1 * root54;
+        result.d5421 = temp * f542 * g521;
+        result.d5433 = temp * f543 * g533;
+        result.xlamo = (mo + nodeo + nodeo - (theta + theta)) % twoPi;
+        result.xfact = mdot + result.dmdt + 2.0 * (nodedot + result.dnodt - rptim) - no;
+        em = emo;
+        emsq = emsqo;
+      }
+
+      // Synchronous resonance terms
+      if (result.irez === 1) {
+        const g200 = 1.0 + emsq * (-2.5 + 0.8125 * emsq);
+        const g310 = 1.0 + 2.0 * emsq;
+        const g300 = 1.0 + emsq * (-6.0 + 6.60937 * emsq);
+        const f220 = 0.75 * (1.0 + cosim) * (1.0 + cosim);
+        const f311 = 0.9375 * sinim * sinim * (1.0 + 3.0 * cosim) - 0.75 * (1.0 + cosim);
+        const f330 = 1.875 * Math.pow(1.0 + cosim, 3);
+        const del1 = 3.0 * nm * nm * aonv * aonv;
+        result.del2 = 2.0 * del1 * f220 * g200 * q22;
+        result.del3 = 3.0 * del1 * f330 * g300 * q33 * aonv;
+        result.del1 = del1 * f311 * g310 * q31 * aonv;
+        result.xlamo = (mo + nodeo + argpo - theta) % twoPi;
+        result.xfact = mdot + xpidot - rptim + result.dmdt + result.domdt + result.dnodt - no;
+      }
+
+      // Initialize the integrator
+      result.xli = result.xlamo;
+      result.xni = no;
+      result.atime = 0.0;
+      nm = no;
+    }
+
+    return { ...result, em, argpm, inclm, mm, nm, nodem };
+  },
+
+  // Deep-space contributions to the mean elements, integrating resonance effects
+  dspace(satrec, t, tc, elements) {
+    const { twoPi } = SGP4_CONSTANTS;
+    const fasx2 = 0.13130908;
+    const fasx4 = 2.8843198;
+    const fasx6 = 0.37448087;
+    const g22 = 5.7686396;
+    const g32 = 0.95240898;
+    const g44 = 1.8014998;
+    const g52 = 1.0508330;
+    const g54 = 4.4108898;
+    const rptim = 4.3752690880113e-3;
+    const stepp = 720.0;
+    const stepn = -720.0;
+    const step2 = 259200.0;
+
+    let { em, argpm, inclm, mm, nodem, nm } = elements;
+    const s = satrec;
+    let dndt = 0.0;
+    const theta = (s.gsto + tc * rptim) % twoPi;
+
+    em += s.dedt * t;
+    inclm += s.didt * t;
+    argpm += s.domdt * t;
+    nodem += s.dnodt * t;
+    mm += s.dmdt * t;
+
+    if (s.irez !== 0) {
+      // Restart the integrator when propagating back through epoch or in the other direction
+      if (s.atime === 0.0 || t * s.atime <= 0.0 || Math.abs(t) < Math.abs(s.atime)) {
+        s.atime = 0.0;
+        s.xni = s.no;
+        s.xli = s.xlamo;
+      }
+
+      const delt = t > 0.0 ? stepp : stepn;
+      let ft = 0.0;
+      let xndt = 0.0;
+      let xldot = 0.0;
+      let xnddt = 0.0;
+      let integrating = true;
+
+      while (integrating) {
+        if (s.irez !== 2) {
+          // Near-synchronous resonance terms
+          xndt = s.del1 * Math.sin(s.xli - fasx2) + s.del2 * Math.sin(2.0 * (s.xli - fasx4)) +
+            s.del3 * Math.sin(3.0 * (s.xli - fasx6));
+          xldot = s.xni + s.xfact;
+          xnddt = s.del1 * Math.cos(s.xli - fasx2) + 2.0 * s.del2 * Math.cos(2.0 * (s.xli - fasx4)) +
+            3.0 * s.del3 * Math.cos(3.0 * (s.xli - fasx6));
+          xnddt *= xldot;
+        } else {
+          // Near half-day resonance terms
+          const xomi = s.argpo + s.argpdot * s.atime;
+          const x2omi = xomi + xomi;
+          const x2li = s.xli + s.xli;
+          xndt = s.d2201 * Math.sin(x2omi + s.xli - g22) + s.d2211 * Math.sin(s.xli - g22) +
+            s.d3210 * Math.sin(xomi + s.xli - g32) + s.d3222 * Math.sin(-xomi + s.xli - g32) +
+            s.d4410 * Math.sin(x2omi + x2li - g44) + s.d4422 * Math.sin(x2li - g44) +
+            s.d5220 * Math.sin(xomi + s.xli - g52) + s.d5232 * Math.sin(-xomi + s.xli - g52) +
+            s.d5421 * Math.sin(xomi + x2li - g54) + s.d5433 * Math.sin(-xomi + x2li - g54);
+          xldot = s.xni + s.xfact;
+          xnddt = s.d2201 * Math.cos(x2omi + s.xli - g22) + s.d2211 * Math.cos(s.xli - g22) +
+            s.d3210 * Math.cos(xomi + s.xli - g32) + s.d3222 * Math.cos(-xomi + s.xli - g32) +
+            s.d5220 * Math.cos(xomi + s.xli - g52) + s.d5232 * Math.cos(-xomi + s.xli - g52) +
+            2.0 * (s.d4410 * Math.cos(x2omi + x2li - g44) + s.d4422 * Math.cos(x2li - g44) +
+            s.d5421 * Math.cos(xomi + x2li - g54) + s.d5433 * Math.cos(-xomi + x2li - g54));
+          xnddt *= xldot;
+        }
+
+        if (Math.abs(t - s.atime) >= stepp) {
+          s.xli += xldot * delt + xndt * step2;
+          s.xni += xndt * delt + xnddt * step2;
+          s.atime += delt;
+        } else {
+          ft = t - s.atime;
+          integrating = false;
+        }
+      }
+
+      nm = s.xni + xndt * ft + xnddt * ft * ft * 0.5;
+      const xl = s.xli + xldot * ft + xndt * ft * ft * 0.5;
+      mm = s.irez !== 1 ? xl - 2.0 * nodem + 2.0 * theta : xl - nodem - argpm + theta;
+      dndt = nm - s.no;
+      nm = s.no + dndt;
+    }
+
+    return { em, argpm, inclm, mm, nodem, nm };
+  },
+
+  /**
+   * Propagate to minutes since epoch
+   * @returns {{position: object, velocity: object}|null} TEME km and km/s, or null with satrec.error set
+   */
+  sgp4(satrec, tsince) {
+    const { earthRadius, xke, j2, j3oj2, x2o3, vkmpersec, twoPi } = SGP4_CONSTANTS;
+    const temp4 = 1.5e-12;
+    const t = tsince;
+
+    satrec.t = t;
+    satrec.error = 0;
+
+    // Secular gravity and atmospheric drag
+    const xmdf = satrec.mo + satrec.mdot * t;
+    const argpdf = satrec.argpo + satrec.argpdot * t;
+    const nodedf = satrec.nodeo + satrec.nodedot * t;
+    let argpm = argpdf;
+    let mm = xmdf;
+    const t2 = t * t;
+    let nodem = nodedf + satrec.nodecf * t2;
+    let tempa = 1.0 - satrec.cc1 * t;
+    let tempe = satrec.bstar * satrec.cc4 * t;
+    let templ = satrec.t2cof * t2;
+
+    if (satrec.isimp !== 1) {
+      const delomg = satrec.omgcof * t;
+      const delm = satrec.xmcof * (Math.pow(1.0 + satrec.eta * Math.cos(xmdf), 3) - satrec.delmo);
+      const temp = delomg + delm;
+      mm = xmdf + temp;
+      argpm = argpdf - temp;
+      const t3 = t2 * t;
+      const t4 = t3 * t;
+      tempa = tempa - satrec.d2 * t2 - satrec.d3 * t3 - satrec.d4 * t4;
+      tempe += satrec.bstar * satrec.cc5 * (Math.sin(mm) - satrec.sinmao);
+      templ = templ + satrec.t3cof * t3 + t4 * (satrec.t4cof + t * satrec.t5cof);
+    }
+
+    let nm = satrec.no;
+    let em = satrec.ecco;
+    let inclm = satrec.inclo;
+
+    if (satrec.method === 'd') {
+      ({ em, argpm, inclm, mm, nodem, nm } = SGP4.dspace(satrec, t, t, { em, argpm, inclm, mm, nodem, nm }));
+    }
+
+    if (nm <= 0.0) {
+      satrec.error = 2;
+      return null;
+    }
+
+    const am = Math.pow(xke / nm, x2o3) * tempa * tempa;
+    nm = xke / Math.pow(am, 1.5);
+    em -= tempe;
+
+    if (em >= 1.0 || em < -0.001) {
+      satrec.error = 1;
+      return null;
+    }
+    if (em < 1.0e-6) em = 1.0e-6;
+
+    mm += satrec.no * templ;
+    let xlm = mm + argpm + nodem;
+    nodem %= twoPi;
+    argpm %= twoPi;
+    xlm %= twoPi;
+    mm = (xlm - argpm - nodem) % twoPi;
+
+    // Lunar-solar periodics
+    let ep = em;
+    let xincp = inclm;
+    let argpp = argpm;
+    let nodep = nodem;
+    let mp = mm;
+    let sinip = Math.sin(inclm);
+    let cosip = Math.cos(inclm);
+
+    if (satrec.method === 'd') {
+      ({ ep, inclp: xincp, nodep, argpp, mp } = SGP4.dpper(satrec, { init: 'n', ep, inclp: xincp, nodep, argpp, mp }));
+      if (xincp < 0.0) {
+        xincp = -xincp;
+        nodep += Math.PI;
+        argpp -= Math.PI;
+      }
+      if (ep < 0.0 || ep > 1.0) {
+        satrec.error = 3;
+        return null;
+      }
+
+      sinip = Math.sin(xincp);
+      cosip = Math.cos(xincp);
+      satrec.aycof = -0.5 * j3oj2 * sinip;
+      satrec.xlcof = Math.abs(cosip + 1.0) > 1.5e-12
+        ? -0.25 * j3oj2 * sinip * (3.0 + 5.0 * cosip) / (1.0 + cosip)
+        : -0.25 * j3oj2 * sinip * (3.0 + 5.0 * cosip) / temp4;
+    }
+
+    // Long period periodics
+    const axnl = ep * Math.cos(argpp);
+    let temp = 1.0 / (am * (1.0 - ep * ep));
+    const aynl = ep * Math.sin(argpp) + temp * satrec.aycof;
+    const xl = mp + argpp + nodep + temp * satrec.xlcof * axnl;
+
+    // Solve Kepler's equation
+    const u = (xl - nodep) % twoPi;
+    let eo1 = u;
+    let tem5 = 9999.9;
+    let sineo1 = 0.0;
+    let coseo1 = 0.0;
+    for (let ktr = 1; Math.abs(tem5) >= 1.0e-12 && ktr <= 10; ktr++) {
+      sineo1 = Math.sin(eo1);
+      coseo1 = Math.cos(eo1);
+      tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+      tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+      if (Math.abs(tem5) >= 0.95) {
+        tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+      }
+      eo1 += tem5;
+    }
+
+    // Short period preliminary quantities
+    const ecose = axnl * coseo1 + aynl * sineo1;
+    const esine = axnl * sineo1 - aynl * coseo1;
+    const el2 = axnl * axnl + aynl * aynl;
+    const pl = am * (1.0 - el2);
+    if (pl < 0.0) {
+      satrec.error = 4;
+      return null;
+    }
+
+    const rl = am * (1.0 - ecose);
+    const rdotl = Math.sqrt(am) * esine / rl;
+    const rvdotl = Math.sqrt(pl) / rl;
+    const betal = Math.sqrt(1.0 - el2);
+    temp = esine / (1.0 + betal);
+    const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+    const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+    let su = Math.atan2(sinu, cosu);
+    const sin2u = (cosu + cosu) * sinu;
+    const cos2u = 1.0 - 2.0 * sinu * sinu;
+    temp = 1.0 / pl;
+    const temp1 = 0.5 * j2 * temp;
+    const temp2 = temp1 * temp;
+
+    if (satrec.method === 'd') {
+      const cosisq = cosip * cosip;
+      satrec.con41 = 3.0 * cosisq - 1.0;
+      satrec.x1mth2 = 1.0 - cosisq;
+      satrec.x7thm1 = 7.0 * cosisq - 1.0;
+    }
+
+    // Update for short period periodics
+    const mrt = rl * (1.0 - 1.5 * temp2 * betal * satrec.con41) + 0.5 * temp1 * satrec.x1mth2 * cos2u;
+    su -= 0.25 * temp2 * satrec.x7thm1 * sin2u;
+    const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+    const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+    const mvt = rdotl - nm * temp1 * satrec.x1mth2 * sin2u / xke;
+    const rvdot = rvdotl + nm * temp1 * (satrec.x1mth2 * cos2u + 1.5 * satrec.con41) / xke;
+
+    // Orientation vectors
+    const sinsu = Math.sin(su);
+    const cossu = Math.cos(su);
+    const snod = Math.sin(xnode);
+    const cnod = Math.cos(xnode);
+    const sini = Math.sin(xinc);
+    const cosi = Math.cos(xinc);
+    const xmx = -snod * cosi;
+    const xmy = cnod * cosi;
+    const ux = xmx * sinsu + cnod * cossu;
+    const uy = xmy * sinsu + snod * cossu;
+    const uz = sini * sinsu;
+    const vx = xmx * cossu - cnod * sinsu;
+    const vy = xmy * cossu - snod * sinsu;
+    const vz = sini * cossu;
+
+    if (mrt < 1.0) {
+      satrec.error = 6;
+      return null;
+    }
+
+    return {
+      position: {
+        x: mrt * ux * earthRadius,
+        y: mrt * uy * earthRadius,
+        z: mrt * uz * earthRadius
+      },
+      velocity: {
+        x: (mvt * ux + rvdot * vx) * vkmpersec,
+        y: (mvt * uy + rvdot * vy) * vkmpersec,
+        z: (mvt * uz + rvdot * vz) * vkmpersec
+      }
+    };
+  }
+};
+
+// Coordinate conversions, ground tracks and pass prediction built on SGP4
+const OrbitUtils = {
+  toDegrees(radians) {
+    return radians * 180 / Math.PI;
+  },
+
+  toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  },
+
+  // Wrap a longitude in degrees to -180..180
+  normalizeLongitude(longitude) {
+    return ((longitude + 540) % 360) - 180;
+  },
+
+  // Orbital period in minutes from the un-Kozaied mean motion
+  getPeriod(satrec) {
+    return SGP4_CONSTANTS.twoPi / satrec.no;
+  },
+
+  // Rotate inertial (TEME) coordinates into Earth-fixed ones
+  eciToEcf(position, gmst) {
+    return {
+      x: position.x * Math.cos(gmst) + position.y * Math.sin(gmst),
+      y: -position.x * Math.sin(gmst) + position.y * Math.cos(gmst),
+      z: position.z
+    };
+  },
+
+  /**
+   * Geodetic point below an inertial position
+   * @returns {{latitude: number, longitude: number, height: number}} Degrees and km above the WGS-84 ellipsoid
+   */
+  eciToGeodetic(position, gmst) {
+    const a = WGS84.radius;
+    const e2 = WGS84.flattening * (2 - WGS84.flattening);
+    const r = Math.sqrt(position.x * position.x + position.y * position.y);
+    const longitude = Math.atan2(position.y, position.x) - gmst;
+
+    // Iterate to the geodetic latitude, which converges within a few steps
+    let latitude = Math.atan2(position.z, r);
+    let c = 1;
+    for (let i = 0; i < 20; i++) {
+      const previous = latitude;
+      c = 1 / Math.sqrt(1 - e2 * Math.sin(latitude) * Math.sin(latitude));
+      latitude = Math.atan2(position.z + a * c * e2 * Math.sin(latitude), r);
+      if (Math.abs(latitude - previous) < 1e-12) break;
+    }
+
+    return {
+      latitude: OrbitUtils.toDegrees(latitude),
+      longitude: OrbitUtils.normalizeLongitude(OrbitUtils.toDegrees(longitude)),
+      height: r / Math.cos(latitude) - a * c
+    };
+  },
+
+  // Earth-fixed position of an observer given in degrees and km
+  geodeticToEcf({ latitude, longitude, height = 0 }) {
+    const a = WGS84.radius;
+    const e2 = WGS84.flattening * (2 - WGS84.flattening);
+    const lat = OrbitUtils.toRadians(latitude);
+    const lon = OrbitUtils.toRadians(longitude);
+    const n = a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
+
+    return {
+      x: (n + height) * Math.cos(lat) * Math.cos(lon),
+      y: (n + height) * Math.cos(lat) * Math.sin(lon),
+      z: (n * (1 - e2) + height) * Math.sin(lat)
+    };
+  },
+
+  /**
+   * Where to look from the observer
+   * @returns {{azimuth: number, elevation: number, range: number}} Degrees (azimuth clockwise from north) and km
+   */
+  lookAngles(observer, satelliteEcf) {
+    const observerEcf = OrbitUtils.geodeticToEcf(observer);
+    const lat = OrbitUtils.toRadians(observer.latitude);
+    const lon = OrbitUtils.toRadians(observer.longitude);
+    const rx = satelliteEcf.x - observerEcf.x;
+    const ry = satelliteEcf.y - observerEcf.y;
+    const rz = satelliteEcf.z - observerEcf.z;
+
+    // South-east-zenith topocentric frame
+    const south = Math.sin(lat) * Math.cos(lon) * rx + Math.sin(lat) * Math.sin(lon) * ry - Math.cos(lat) * rz;
+    const east = -Math.sin(lon) * rx + Math.cos(lon) * ry;
+    const zenith = Math.cos(lat) * Math.cos(lon) * rx + Math.cos(lat) * Math.sin(lon) * ry + Math.sin(lat) * rz;
+    const range = Math.sqrt(south * south + east * east + zenith * zenith);
+
+    return {
+      azimuth: (OrbitUtils.toDegrees(Math.atan2(east, -south)) + 360) % 360,
+      elevation: OrbitUtils.toDegrees(Math.asin(zenith / range)),
+      range
+    };
+  },
+
+  /**
+   * Point on the ground directly below the satellite
+   * @returns {{time: Date, latitude: number, longitude: number, height: number, speed: number}|null}
+   */
+  getSubSatellitePoint(satrec, date) {
+    const state = SGP4.propagate(satrec, date);
+    if (!state) return null;
+    const gmst = SGP4.gstime(SGP4.dateToJulian(date));
+    const { x, y, z } = state.velocity;
+
+    return {
+      time: date,
+      ...OrbitUtils.eciToGeodetic(state.position, gmst),
+      speed: Math.sqrt(x * x + y * y + z * z)    // km/s
+    };
+  },
+
+  getLookAngles(satrec, observer, date) {
+    const state = SGP4.propagate(satrec, date);
+    if (!state) return null;
+    const gmst = SGP4.gstime(SGP4.dateToJulian(date));
+    return OrbitUtils.lookAngles(observer, OrbitUtils.eciToEcf(state.position, gmst));
+  },
+
+  /**
+   * Sub-satellite points from start for the given number of minutes
+   * @param {object} satrec
+   * @param {Date} start
+   * @param {object} [options]
+   * @param {number} [options.minutes] - Defaults to one orbital period
+   * @param {number} [options.stepSeconds] - Defaults to 60
+   */
+  getGroundTrack(satrec, start, { minutes = OrbitUtils.getPeriod(satrec), stepSeconds = 60 } = {}) {
+    const points = [];
+    for (let offset = 0; offset <= minutes * 60; offset += stepSeconds) {
+      const point = OrbitUtils.getSubSatellitePoint(satrec, new Date(start.getTime() + offset * 1000));
+      if (!point) break;
+      points.push(point);
+    }
+    return points;
+  },
+
+  // Split a ground track wherever it crosses the antimeridian so maps don't draw a line across the globe
+  splitGroundTrack(points) {
+    const segments = [];
+    let segment = [];
+    points.forEach((point, index) => {
+      if (index > 0 && Math.abs(point.longitude - points[index - 1].longitude) > 180) {
+        segments.push(segment);
+        segment = [];
+      }
+      segment.push(point);
+    });
+    if (segment.length) segments.push(segment);
+    return segments;
+  },
+
+  /**
+   * Passes over an observer, found by stepping through time and refining each horizon crossing to a second
+   * @param {object} satrec
+   * @param {{latitude: number, longitude: number, height: number}} observer - Degrees and km
+   * @param {object} [options]
+   * @param {Date} [options.start] - Defaults to now; pass a fixed date for repeatable results
+   * @param {number} [options.hours] - Search window, defaults to 24
+   * @param {number} [options.minElevation] - Degrees a pass must peak above, defaults to 10
+   * @param {number} [options.stepSeconds] - Coarse search step, defaults to 60
+   * @returns {Array<{rise: object, culmination: object, set: object, duration: number}>}
+   *   Each point has time, azimuth, elevation and range; duration is in seconds
+   */
+  predictPasses(satrec, observer, { start = new Date(), hours = 24, minElevation = 10, stepSeconds = 60 } = {}) {
+    const startTime = start.getTime();
+    const endTime = startTime + hours * 3600000;
+    const stepMs = stepSeconds * 1000;
+    const elevationAt = time => {
+      const angles = OrbitUtils.getLookAngles(satrec, observer, new Date(time));
+      return angles ? angles.elevation : null;
+    };
+    const pointAt = time => ({ time: new Date(time), ...OrbitUtils.getLookAngles(satrec, observer, new Date(time)) });
+
+    // Bisect to the moment elevation crosses zero between a and b
+    const findCrossing = (a, b) => {
+      const rising = elevationAt(a) < 0;
+      while (b - a > 1000) {
+        const mid = (a + b) / 2;
+        if ((elevationAt(mid) < 0) === rising) a = mid; else b = mid;
+      }
+      return Math.round(b / 1000) * 1000;
+    };
+
+    // Ternary search for the highest point, since elevation has a single peak within a step of the coarse maximum
+    const findPeak = (a, b) => {
+      while (b - a > 1000) {
+        const m1 = a + (b - a) / 3;
+        const m2 = b - (b - a) / 3;
+        if (elevationAt(m1) < elevationAt(m2)) a = m1; else b = m2;
+      }
+      return Math.round((a + b) / 2000) * 1000;
+    };
+
+    const passes = [];
+    let previousTime = startTime;
+    let previousElevation = elevationAt(startTime);
+    if (previousElevation === null) return passes;
+
+    // A satellite already overhead at the start has its rise clamped to the start
+    let riseTime = previousElevation >= 0 ? startTime : null;
+    let peakTime = startTime;
+    let peakElevation = previousElevation;
+
+    for (let time = startTime + stepMs; time <= endTime + stepMs; time += stepMs) {
+      const elevation = elevationAt(time);
+      if (elevation === null) break;
+
+      if (riseTime === null && previousElevation < 0 && elevation >= 0) {
+        riseTime = findCrossing(previousTime, time);
+        peakTime = time;
+        peakElevation = elevation;
+      } else if (riseTime !== null && elevation >= 0 && elevation > peakElevation) {
+        peakTime = time;
+        peakElevation = elevation;
+      } else if (riseTime !== null && elevation < 0) {
+        const setTime = findCrossing(previousTime, time);
+        const culminationTime = findPeak(Math.max(riseTime, peakTime - stepMs), Math.min(setTime, peakTime + stepMs));
+        const culmination = pointAt(culminationTime);
+
+        if (culmination.elevation >= minElevation && riseTime <= endTime) {
+          passes.push({
+            rise: pointAt(riseTime),
+            culmination,
+            set: pointAt(setTime),
+            duration: (setTime - riseTime) / 1000
+          });
+        }
+        riseTime = null;
+      }
+
+      previousTime = time;
+      previousElevation = elevation;
+    }
+
+    return passes;
+  }
+};
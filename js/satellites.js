@@ -0,0 +1,508 @@
+// Cosmos Connect - Satellite Tracker Module
+
+// NORAD catalog numbers offered as one-click choices
+const FEATURED_SATELLITES = [
+  { id: 25544, name: 'ISS' },
+  { id: 20580, name: 'Hubble' },
+  { id: 48274, name: 'Tiangong' },
+  { id: 25994, name: 'Terra' },
+  { id: 49260, name: 'Landsat 9' },
+  { id: 33591, name: 'NOAA 19' }
+];
+
+const TRACK_COLORS = ['#ffd700', '#4a90e2', '#ff6b35', '#4ade80', '#c084fc', '#f472b6', '#22d3ee', '#f87171'];
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+class SatellitesApp {
+  constructor() {
+    this.trackedIds = StorageUtils.get('tracked_satellites', [25544, 20580]);
+    this.satellites = new Map();
+    this.observer = StorageUtils.get('satellite_observer', null);
+    this.updateTimer = null;
+    this.updateInterval = 5000;
+    this.loadRequest = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.renderFeaturedSatellites();
+      this.restoreObserver();
+      this.setupEventListeners();
+      await this.loadSatellites();
+      this.startUpdates();
+      this.initialized = true;
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize Satellite tracker:', error);
+      this.showError('Failed to initialize the Satellite tracker. Please refresh the page.');
+    }
+  }
+
+  setupEventListeners() {
+    const featured = document.getElementById('featured-satellites');
+    if (featured) {
+      featured.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-satellite-id]');
+        if (button) this.toggleSatellite(parseInt(button.dataset.satelliteId, 10));
+      });
+    }
+
+    const searchForm = document.getElementById('satellite-search-form');
+    if (searchForm) {
+      searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.searchSatellites(document.getElementById('satellite-search').value);
+      });
+    }
+
+    const searchResults = document.getElementById('satellite-search-results');
+    if (searchResults) {
+      searchResults.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-satellite-id]');
+        if (button) this.toggleSatellite(parseInt(button.dataset.satelliteId, 10));
+      });
+    }
+
+    const satelliteList = document.getElementById('satellite-list');
+    if (satelliteList) {
+      satelliteList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-satellite]');
+        if (button) this.toggleSatellite(parseInt(button.dataset.removeSatellite, 10));
+      });
+    }
+
+    const passForm = document.getElementById('pass-form');
+    if (passForm) {
+      passForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.predictPasses();
+      });
+    }
+
+    const locationBtn = document.getElementById('use-location-btn');
+    if (locationBtn) {
+      locationBtn.addEventListener('click', () => this.useCurrentLocation());
+    }
+
+    // No point propagating while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.stopUpdates();
+      } else if (this.initialized) {
+        this.startUpdates();
+      }
+    });
+  }
+
+  startLoadRequest() {
+    // Only the most recent load is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
+  async loadSatellites() {
+    const mapContainer = document.getElementById('satellite-map');
+    const signal = this.startLoadRequest();
+    const missing = this.trackedIds.filter(id => !this.satellites.has(id));
+
+    if (missing.length) {
+      LoadingUtils.showLoading(mapContainer, 'Fetching orbital elements...');
+    }
+
+    const results = await Promise.allSettled(missing.map(id => APIManager.tle.getElementSet(id, { signal })));
+    if (signal.aborted) return;
+
+    results.forEach((result, index) => {
+      const id = missing[index];
+      if (!this.trackedIds.includes(id)) return;
+      if (result.status === 'rejected') {
+        console.error(`Failed to load TLE for ${id}:`, result.reason);
+        this.showToast(ErrorUtils.handleAPIError(result.reason, `orbital elements for satellite ${id}`), 'error');
+        return;
+      }
+
+      const elementSet = result.value;
+      const satrec = SGP4.twoline2satrec(elementSet.line1, elementSet.line2);
+      if (satrec.error) {
+        this.showToast(`${elementSet.name}: ${SGP4.errors[satrec.error]}`, 'warning');
+        return;
+      }
+      this.satellites.set(id, { ...elementSet, satrec });
+    });
+
+    this.render();
+  }
+
+  toggleSatellite(id) {
+    if (this.trackedIds.includes(id)) {
+      this.trackedIds = this.trackedIds.filter(trackedId => trackedId !== id);
+      this.satellites.delete(id);
+    } else {
+      this.trackedIds.push(id);
+    }
+    StorageUtils.set('tracked_satellites', this.trackedIds);
+
+    this.renderFeaturedSatellites();
+    this.renderSearchResultButtons();
+    this.loadSatellites();
+  }
+
+  async searchSatellites(query) {
+    const container = document.getElementById('satellite-search-results');
+
+    try {
+      LoadingUtils.showLoading(container, 'Searching satellites...');
+      const results = await APIManager.tle.search(query, { pageSize: 12 });
+
+      if (!results.items.length) {
+        LoadingUtils.showEmpty(container, `No satellites found for "${query.trim()}".`);
+        return;
+      }
+
+      container.innerHTML = `
+        <div class="satellite-results">
+          ${results.items.map(item => `
+            <button type="button" class="btn btn-sm btn-outline-light" data-satellite-id="${item.satelliteId}">
+              <i class="fas fa-plus me-1"></i>${item.name} <small class="text-muted">#${item.satelliteId}</small>
+            </button>
+          `).join('')}
+        </div>
+        ${results.totalItems > results.items.length ? `<small class="text-muted">Showing ${results.items.length} of ${results.totalItems} matches.</small>` : ''}
+      `;
+      this.renderSearchResultButtons();
+    } catch (error) {
+      console.error('Satellite search failed:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'satellite search');
+      LoadingUtils.showError(container, errorMessage);
+    }
+  }
+
+  renderFeaturedSatellites() {
+    const container = document.getElementById('featured-satellites');
+    if (!container) return;
+
+    container.innerHTML = FEATURED_SATELLITES.map(satellite => {
+      const tracked = this.trackedIds.includes(satellite.id);
+      return `
+        <button type="button" class="btn btn-sm ${tracked ? 'btn-primary' : 'btn-outline-light'}" data-satellite-id="${satellite.id}" aria-pressed="${tracked}">
+          <i class="fas ${tracked ? 'fa-check' : 'fa-satellite'} me-1"></i>${satellite.name}
+        </button>
+      `;
+    }).join('');
+  }
+
+  // Search results are toggle buttons too, so keep their state in step with the tracked list
+  renderSearchResultButtons() {
+    document.querySelectorAll('#satellite-search-results [data-satellite-id]').forEach(button => {
+      const tracked = this.trackedIds.includes(parseInt(button.dataset.satelliteId, 10));
+      button.classList.toggle('btn-primary', tracked);
+      button.classList.toggle('btn-outline-light', !tracked);
+      button.querySelector('i').className = `fas ${tracked ? 'fa-check' : 'fa-plus'} me-1`;
+    });
+  }
+
+  startUpdates() {
+    this.stopUpdates();
+    this.updateTimer = setInterval(() => this.render(), this.updateInterval);
+  }
+
+  stopUpdates() {
+    clearInterval(this.updateTimer);
+    this.updateTimer = null;
+  }
+
+  render(now = new Date()) {
+    const clock = document.getElementById('tracker-clock');
+    if (clock) {
+      clock.textContent = `${now.toISOString().slice(11, 19)} UTC`;
+    }
+
+    this.renderMap(now);
+    this.renderSatelliteList(now);
+    this.updatePassSatelliteOptions();
+  }
+
+  getTrackColor(id) {
+    return TRACK_COLORS[this.trackedIds.indexOf(id) % TRACK_COLORS.length];
+  }
+
+  // Equirectangular world grid (x = lon, y = -lat), as on the natural events map
+  renderMap(now) {
+    const container = document.getElementById('satellite-map');
+    if (!container) return;
+
+    if (!this.satellites.size) {
+      LoadingUtils.showEmpty(container, 'Choose a satellite above to see its ground track.');
+      return;
+    }
+
+    const gridLines = [];
+    for (let lon = -150; lon < 180; lon += 30) {
+      gridLines.push(`<line x1="${lon}" y1="-90" x2="${lon}" y2="90"/>`);
+    }
+    for (let lat = -60; lat < 90; lat += 30) {
+      gridLines.push(`<line x1="-180" y1="${lat}" x2="180" y2="${lat}"/>`);
+    }
+
+    const toPolyline = (points, className, color) => OrbitUtils.splitGroundTrack(points)
+      .filter(segment => segment.length > 1)
+      .map(segment => `<polyline class="${className}" stroke="${color}" points="${segment.map(point => `${point.longitude.toFixed(2)},${(-point.latitude).toFixed(2)}`).join(' ')}"/>`)
+      .join('');
+
+    const tracks = [];
+    const markers = [];
+    this.satellites.forEach((satellite, id) => {
+      const color = this.getTrackColor(id);
+      const period = OrbitUtils.getPeriod(satellite.satrec);
+      // Roughly 180 points per orbit keeps long-period orbits cheap to draw
+      const stepSeconds = Math.max(30, Math.round(period * 60 / 180));
+      const past = OrbitUtils.getGroundTrack(satellite.satrec, new Date(now.getTime() - period * 30000), { minutes: period / 2, stepSeconds });
+      const future = OrbitUtils.getGroundTrack(satellite.satrec, now, { minutes: period, stepSeconds });
+      tracks.push(toPolyline(past, 'map-track-past', color), toPolyline(future, 'map-track', color));
+
+      const position = future[0];
+      if (position) {
+        markers.push(`
+          <g class="map-satellite">
+            <circle cx="${position.longitude.toFixed(2)}" cy="${(-position.latitude).toFixed(2)}" r="2.5" fill="${color}"/>
+            <text x="${(position.longitude + 3.5).toFixed(2)}" y="${(-position.latitude + 1.5).toFixed(2)}">${satellite.name}</text>
+          </g>
+        `);
+      }
+    });
+
+    const observer = this.observer
+      ? `<path class="map-observer" d="M${this.observer.longitude},${-this.observer.latitude} m-2,0 h4 m-2,-2 v4"/>`
+      : '';
+
+    container.innerHTML = `
+      <svg class="satellite-map" viewBox="-180 -90 360 180" preserveAspectRatio="xMidYMid meet" role="img" aria-label="Satellite ground track map">
+        <rect x="-180" y="-90" width="360" height="180" class="map-background"/>
+        <g class="map-grid">${gridLines.join('')}</g>
+        <g class="map-tracks">${tracks.join('')}</g>
+        ${observer}
+        ${markers.join('')}
+      </svg>
+    `;
+  }
+
+  renderSatelliteList(now) {
+    const container = document.getElementById('satellite-list');
+    if (!container) return;
+
+    if (!this.satellites.size) {
+      container.innerHTML = '<p class="text-muted mb-0">No satellites tracked yet.</p>';
+      return;
+    }
+
+    container.innerHTML = [...this.satellites.entries()].map(([id, satellite]) => {
+      const point = OrbitUtils.getSubSatellitePoint(satellite.satrec, now);
+      const look = this.observer ? OrbitUtils.getLookAngles(satellite.satrec, this.observer, now) : null;
+      const epochAge = (now - new Date(satellite.date)) / 86400000;
+
+      return `
+        <div class="satellite-item" style="border-left-color: ${this.getTrackColor(id)};">
+          <div class="d-flex justify-content-between align-items-start">
+            <div>
+              <strong>${satellite.name}</strong><br>
+              <small class="text-muted">NORAD ${id}</small>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline-light" data-remove-satellite="${id}" title="Stop tracking" aria-label="Stop tracking ${satellite.name}">
+              <i class="fas fa-times"></i>
+            </button>
+          </div>
+          ${point ? `
+            <div class="satellite-details">
+              <div class="detail-item">
+                <span class="detail-label">Position:</span>
+                <span class="detail-value">${this.formatCoordinates(point.latitude, point.longitude)}</span>
+              </div>
+              <div class="detail-item">
+                <span class="detail-label">Altitude:</span>
+                <span class="detail-value">${Math.round(point.height).toLocaleString()} km</span>
+              </div>
+              <div class="detail-item">
+                <span class="detail-label">Speed:</span>
+                <span class="detail-value">${point.speed.toFixed(2)} km/s</span>
+              </div>
+              ${look ? `
+                <div class="detail-item">
+                  <span class="detail-label">From you:</span>
+                  <span class="detail-value">${look.elevation >= 0 ? `${look.elevation.toFixed(0)}&deg; up, ${this.getCompassPoint(look.azimuth)}` : 'Below the horizon'}</span>
+                </div>
+              ` : ''}
+            </div>
+          ` : `
+            <p class="text-warning small mb-0">${SGP4.errors[satellite.satrec.error] || 'Propagation failed'}</p>
+          `}
+          <small class="${epochAge > 7 ? 'text-warning' : 'text-muted'}">Elements from ${DateUtils.formatRelativeTime(satellite.date)}</small>
+        </div>
+      `;
+    }).join('');
+  }
+
+  updatePassSatelliteOptions() {
+    const select = document.getElementById('pass-satellite');
+    if (!select) return;
+
+    const ids = [...this.satellites.keys()];
+    // Rebuilding the options on every tick would reset the user's choice
+    if (select.dataset.ids === ids.join(',')) return;
+
+    const selected = parseInt(select.value, 10);
+    select.innerHTML = ids.map(id => `
+      <option value="${id}" ${id === selected ? 'selected' : ''}>${this.satellites.get(id).name}</option>
+    `).join('');
+    select.dataset.ids = ids.join(',');
+  }
+
+  restoreObserver() {
+    if (!this.observer) return;
+    document.getElementById('observer-latitude').value = this.observer.latitude;
+    document.getElementById('observer-longitude').value = this.observer.longitude;
+    document.getElementById('observer-altitude').value = Math.round(this.observer.height * 1000);
+  }
+
+  useCurrentLocation() {
+    if (!window.navigator.geolocation) {
+      this.showToast('Your browser cannot share its location.', 'warning');
+      return;
+    }
+
+    window.navigator.geolocation.getCurrentPosition(
+      (position) => {
+        document.getElementById('observer-latitude').value = position.coords.latitude.toFixed(4);
+        document.getElementById('observer-longitude').value = position.coords.longitude.toFixed(4);
+        document.getElementById('observer-altitude').value = Math.round(position.coords.altitude || 0);
+        this.predictPasses();
+      },
+      (error) => {
+        console.error('Geolocation failed:', error);
+        this.showToast('Could not get your location. Please enter it instead.', 'warning');
+      },
+      { timeout: 10000 }
+    );
+  }
+
+  predictPasses() {
+    const container = document.getElementById('pass-results');
+    const latitude = parseFloat(document.getElementById('observer-latitude').value);
+    const longitude = parseFloat(document.getElementById('observer-longitude').value);
+    const altitude = parseFloat(document.getElementById('observer-altitude').value) || 0;
+
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      LoadingUtils.showError(container, 'Enter a latitude between -90 and 90 and a longitude between -180 and 180.');
+      return;
+    }
+
+    this.observer = { latitude, longitude, height: altitude / 1000 };
+    StorageUtils.set('satellite_observer', this.observer);
+
+    const satellite = this.satellites.get(parseInt(document.getElementById('pass-satellite').value, 10));
+    if (!satellite) {
+      LoadingUtils.showError(container, 'Track a satellite first to predict its passes.');
+      return;
+    }
+
+    const start = new Date();
+    const hours = parseInt(document.getElementById('pass-window').value, 10);
+    const minElevation = parseInt(document.getElementById('pass-min-elevation').value, 10);
+    const passes = OrbitUtils.predictPasses(satellite.satrec, this.observer, { start, hours, minElevation });
+
+    this.renderPasses(container, satellite, passes, { start, hours });
+    this.render();
+  }
+
+  renderPasses(container, satellite, passes, { start, hours }) {
+    if (!passes.length) {
+      // Geostationary satellites never rise or set
+      const look = OrbitUtils.getLookAngles(satellite.satrec, this.observer, start);
+      const message = look && look.elevation >= 0
+        ? `${satellite.name} stays above your horizon (${look.elevation.toFixed(0)}&deg; up, ${this.getCompassPoint(look.azimuth)}) for the whole period.`
+        : `${satellite.name} does not pass over your location in the next ${hours} hours at that elevation.`;
+      container.innerHTML = `<p class="text-muted mb-0">${message}</p>`;
+      return;
+    }
+
+    const formatPoint = point => `
+      ${point.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}<br>
+      <small class="text-muted">${Math.max(0, point.elevation).toFixed(0)}&deg; ${this.getCompassPoint(point.azimuth)}</small>
+    `;
+
+    container.innerHTML = `
+      <p class="text-muted">${passes.length} passes of ${satellite.name} in the next ${hours} hours. Times are in your time zone.</p>
+      <div class="table-responsive pass-table">
+        <table class="table table-glass table-sm">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Rises</th>
+              <th>Highest</th>
+              <th>Sets</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${passes.map(pass => `
+              <tr>
+                <td>${pass.rise.time.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                <td>${formatPoint(pass.rise)}</td>
+                <td>${formatPoint(pass.culmination)}</td>
+                <td>${formatPoint(pass.set)}</td>
+                <td>${Math.floor(pass.duration / 60)}m ${String(Math.round(pass.duration % 60)).padStart(2, '0')}s</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  getCompassPoint(azimuth) {
+    return COMPASS_POINTS[Math.round(azimuth / 22.5) % 16];
+  }
+
+  formatCoordinates(latitude, longitude) {
+    return `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+  }
+
+  showToast(message, type = 'info') {
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(message, type);
+    } else {
+      console.log(`${type.toUpperCase()}: ${message}`);
+    }
+  }
+
+  showError(message) {
+    const mapContainer = document.getElementById('satellite-map');
+    if (mapContainer) {
+      LoadingUtils.showError(mapContainer, message);
+    }
+  }
+}
+
+// Initialize Satellites app
+const satellitesApp = new SatellitesApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => satellitesApp.init(), 500);
+  });
+} else {
+  setTimeout(() => satellitesApp.init(), 500);
+}
@@ -5,7 +5,10 @@ class GlobalSearchService {
             asteroids: new AsteroidSearchProvider(),
             rovers: new RoverSearchProvider(),
             exoplanets: new ExoplanetSearchProvider(),
-            spaceWeather: new SpaceWeatherSearchProvider()
+            spaceWeather: new SpaceWeatherSearchProvider(),
+            naturalEvents: new NaturalEventSearchProvider(),
+            imageLibrary: new ImageLibrarySearchProvider(),
+            technology: new TechTransferSearchProvider()
         };
         
         this.searchHistory = [];
@@ -309,7 +312,10 @@ class GlobalSearchService {
             asteroids: 'Near Earth Objects',
             rovers: 'Mars Rover Photos',
             exoplanets: 'Exoplanets',
-            spaceWeather: 'Space Weather'
+            spaceWeather: 'Space Weather',
+            naturalEvents: 'Natural Events',
+            imageLibrary: 'NASA Image Library',
+            technology: 'NASA Technology'
         };
         return displayNames[type] || type;
     }
@@ -403,7 +409,10 @@ class GlobalSearchService {
             asteroids: `pages/asteroids.html#${id}`,
             rovers: `pages/mars-rovers.html?photo=${id}`,
             exoplanets: `pages/exoplanets.html?planet=${id}`,
-            spaceWeather: `pages/space-weather.html?event=${id}`
+            spaceWeather: `pages/space-weather.html?event=${id}`,
+            naturalEvents: `pages/natural-events.html?event=${encodeURIComponent(id)}`,
+            imageLibrary: `pages/image-library.html?nasa_id=${encodeURIComponent(id)}`,
+            technology: `pages/technology.html?item=${encodeURIComponent(id)}`
         };
 
         if (urls[type]) {
@@ -602,6 +611,97 @@ class SpaceWeatherSearchProvider extends SearchProvider {
     }
 }
 
+// Natural Event Search Provider (EONET)
+class NaturalEventSearchProvider extends SearchProvider {
+    constructor() {
+        super('Natural Events');
+        this.eonetService = new EONETService();
+    }
+
+    async search(query) {
+        // EONET has no text search, so match against recent events (cached by the service)
+        const queryLower = query.toLowerCase();
+        const data = await this.eonetService.getEvents({ status: 'all', days: 60 });
+
+        return (data.events || [])
+            .filter(event => this.matchesQuery(event, queryLower))
+            .map(event => {
+                const latest = EONETService.getLatestGeometry(event);
+                const categories = (event.categories || []).map(category => category.title);
+                return {
+                    id: event.id,
+                    title: event.title,
+                    description: event.description || `${categories.join(', ')} event${event.closed ? ' (closed)' : ''}`,
+                    date: latest ? latest.date.split('T')[0] : null,
+                    thumbnail: null,
+                    tags: categories
+                };
+            });
+    }
+
+    matchesQuery(event, query) {
+        return (event.title && event.title.toLowerCase().includes(query)) ||
+               (event.categories || []).some(category => category.title.toLowerCase().includes(query));
+    }
+}
+
+// NASA Image and Video Library Search Provider
+class ImageLibrarySearchProvider extends SearchProvider {
+    constructor() {
+        super('NASA Image Library');
+        this.imageLibraryService = new ImageLibraryService();
+    }
+
+    async search(query, filters) {
+        const data = await this.imageLibraryService.search(query, { pageSize: filters.resultsPerPage });
+
+        return data.items.map(item => ({
+            id: item.nasaId,
+            title: item.title,
+            // Library descriptions can run to several paragraphs
+            description: item.description.length > 200 ? `${item.description.slice(0, 200)}...` : item.description,
+            date: item.dateCreated ? item.dateCreated.split('T')[0] : null,
+            thumbnail: item.thumbnail,
+            tags: item.keywords
+        }));
+    }
+}
+
+// NASA TechTransfer Search Provider (patents, software and spinoffs)
+class TechTransferSearchProvider extends SearchProvider {
+    constructor() {
+        super('NASA Technology');
+        this.techTransferService = new TechTransferService();
+        this.minQueryLength = 4;
+    }
+
+    async search(query, filters) {
+        // Each search costs three keyed requests, so short prefixes typed on the way aren't sent
+        if (query.length < this.minQueryLength) {
+            return [];
+        }
+
+        // One collection failing should not hide hits from the others
+        const responses = await Promise.allSettled(
+            TECHTRANSFER_ENGINES.map(engine => this.techTransferService.search(engine, query))
+        );
+        const perEngine = Math.ceil(filters.resultsPerPage / TECHTRANSFER_ENGINES.length);
+
+        return responses
+            .filter(response => response.status === 'fulfilled')
+            .flatMap(response => response.value.items.slice(0, perEngine))
+            .map(item => ({
+                // The technology page looks items up again by collection and case number
+                id: `${item.engine}:${item.caseNumber}`,
+                title: item.title,
+                description: item.description.length > 200 ? `${item.description.slice(0, 200)}...` : item.description,
+                date: null,
+                thumbnail: item.image,
+                tags: [item.engine, item.center, item.category].filter(Boolean)
+            }));
+    }
+}
+
 // Initialize global search
 document.addEventListener('DOMContentLoaded', () => {
     if (!window.globalSearch) {
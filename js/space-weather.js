@@ -1,13 +1,87 @@
 // Cosmos Connect - Space Weather Module
 
+// NOAA space weather scales (https://www.swpc.noaa.gov/noaa-scales-explanation).
+// Thresholds start levels 1-5; base anchors level 0 for the fractional activity index.
+const NOAA_SCALES = {
+  R: { name: 'Radio Blackout', base: 1e-6, thresholds: [1e-5, 5e-5, 1e-4, 1e-3, 2e-3], log: true },  // Peak X-ray flux, W/m²
+  S: { name: 'Solar Radiation Storm', base: 1, thresholds: [10, 100, 1e3, 1e4, 1e5], log: true },   // ≥10 MeV protons, pfu
+  G: { name: 'Geomagnetic Storm', base: 0, thresholds: [14 / 3, 17 / 3, 20 / 3, 23 / 3, 9] }          // Kp in thirds: 5- is G1, 9- only G4
+};
+
+// NOAA has no CME scale; the CME types (C, O, R, ER) band the speed into a potential G level
+const CME_SPEED_BANDS = { base: 0, thresholds: [500, 1000, 2000, 3000] };
+const CME_TYPE_LEVELS = { S: 0, C: 1, O: 2, R: 3, ER: 4 };
+
+// Level names, from below the scales (0) to 5
+const ACTIVITY_LEVELS = ['Low', 'Minor', 'Moderate', 'Strong', 'Severe', 'Extreme'];
+
+// Chart colors per level, matching the .badge-scale-* styles
+const SCALE_COLORS = ['#2ecc71', '#f6eb14', '#ffc800', '#ff9600', '#ff0000', '#c80000'];
+
+// Drag-based model (Vršnak et al. 2013) for CME transit: ambient solar wind speed (km/s) and
+// drag parameter (1/km); low and high bound the arrival window
+const DRAG_MODEL = {
+  windSpeed: { low: 350, nominal: 400, high: 450 },
+  gamma: { low: 0.1e-7, nominal: 0.2e-7, high: 0.5e-7 },
+  startDistance: 21.5 * 695700,  // CME analyses time the front at 21.5 solar radii (km)
+  earthDistance: 1.496e8         // 1 AU (km)
+};
+
+// Typical WSA-Enlil shock arrival error, either way
+const ENLIL_ARRIVAL_ERROR = 7 * 60 * 60 * 1000;
+
+// Geomagnetic north pole (IGRF dipole, 2020), for converting locations to magnetic latitude
+const GEOMAGNETIC_POLE = { latitude: 80.65, longitude: -72.68 };
+
+// Equatorward edge of the auroral oval in magnetic latitude: about 66.5° when quiet, moving
+// about 2° towards the equator per Kp step. Aurora high in the sky still shows low on the
+// horizon from a few degrees further out.
+const AURORA_OVAL = { quietLatitude: 66.5, degreesPerKp: 2.05, horizonReach: 5 };
+
+// Flare class letters for the decades of the X-ray flux axis
+const FLARE_CLASS_DECADES = { '-8': 'A', '-7': 'B', '-6': 'C', '-5': 'M', '-4': 'X', '-3': 'X10' };
+
+// Fixed levels for DONKI event types no NOAA scale measures
+const DONKI_EVENT_LEVELS = {
+  magnetopauseCrossings: 3,      // Geostationary satellites left outside the magnetosphere
+  radiationBeltEnhancements: 2,  // Spacecraft charging risk
+  notifications: 2,
+  highSpeedStreams: 1            // Often enough for a G1 storm
+};
+
+// How each DONKI data set is listed; date and id name the fields with the event time and ID
+const DONKI_EVENT_TYPES = {
+  solarFlares: { type: 'Solar Flare', typeClass: 'solar-flare', icon: 'fa-solar-panel', color: 'text-solar-orange', date: 'beginTime', id: 'flrID' },
+  geomagneticStorms: { type: 'Geomagnetic Storm', typeClass: 'geomagnetic-storm', icon: 'fa-globe', color: 'text-earth-blue', date: 'startTime', id: 'gstID' },
+  coronalMassEjections: { type: 'Coronal Mass Ejection', typeClass: 'coronal-mass-ejection', icon: 'fa-wind', color: 'text-cosmic-purple', date: 'startTime', id: 'activityID' },
+  notifications: { type: 'Space Weather Alert', typeClass: 'notification', icon: 'fa-exclamation-triangle', color: 'text-saturn-gold', date: 'messageIssueTime', id: 'messageID' },
+  solarEnergeticParticles: { type: 'Solar Energetic Particles', typeClass: 'solar-energetic-particles', icon: 'fa-atom', color: 'text-supernova-pink', date: 'eventTime', id: 'sepID' },
+  interplanetaryShocks: { type: 'Interplanetary Shock', typeClass: 'interplanetary-shock', icon: 'fa-burst', color: 'text-asteroid-orange', date: 'eventTime', id: 'activityID' },
+  highSpeedStreams: { type: 'High Speed Stream', typeClass: 'high-speed-stream', icon: 'fa-gauge-high', color: 'text-comet-cyan', date: 'eventTime', id: 'hssID' },
+  magnetopauseCrossings: { type: 'Magnetopause Crossing', typeClass: 'magnetopause-crossing', icon: 'fa-shield-halved', color: 'text-galaxy-violet', date: 'eventTime', id: 'mpcID' },
+  radiationBeltEnhancements: { type: 'Radiation Belt Enhancement', typeClass: 'radiation-belt-enhancement', icon: 'fa-radiation', color: 'text-aurora-green', date: 'eventTime', id: 'rbeID' },
+  wsaEnlilSimulations: { type: 'WSA-Enlil Simulation', typeClass: 'wsa-enlil-simulation', icon: 'fa-chart-line', color: 'text-moonlight-silver', date: 'modelCompletionTime', id: 'simulationID' }
+};
+
+// Most events shown in one linked-event graph
+const LINKED_EVENT_LIMIT = 12;
+
 class SpaceWeatherApp {
   constructor() {
     this.weatherData = {
       solarFlares: [],
       geomagneticStorms: [],
       coronalMassEjections: [],
-      notifications: []
+      notifications: [],
+      solarEnergeticParticles: [],
+      interplanetaryShocks: [],
+      highSpeedStreams: [],
+      magnetopauseCrossings: [],
+      radiationBeltEnhancements: [],
+      wsaEnlilSimulations: [],
+      failed: []
     };
+    this.loadedTypes = [];
     this.currentFilters = {
       eventType: '',
       timePeriod: '30',
@@ -16,6 +90,12 @@ class SpaceWeatherApp {
       endDate: null
     };
     this.viewMode = 'timeline';
+    this.charts = {};
+    this.countdownTimer = null;
+    this.displayedEvents = [];
+    this.eventIndex = new Map();
+    this.eventHistory = [];
+    this.currentEvent = null;
     this.initialized = false;
   }
 
@@ -26,6 +106,12 @@ class SpaceWeatherApp {
       this.setupEventListeners();
       await this.loadSpaceWeatherData();
       this.initialized = true;
+
+      // Events linked from global search
+      const eventId = URLUtils.getQueryParam('event');
+      if (eventId) {
+        this.showEventById(eventId);
+      }
       
       // Hide loading screen
       const loadingScreen = document.getElementById('loading-screen');
@@ -68,11 +154,92 @@ class SpaceWeatherApp {
       btn.addEventListener('click', (e) => this.setViewMode(e.target.closest('button').dataset.view));
     });
 
-    // Subscribe to alerts button
+    // Subscribe to alerts button, starting from the event being viewed
     const subscribeBtn = document.getElementById('subscribe-alerts-btn');
     if (subscribeBtn) {
-      subscribeBtn.addEventListener('click', () => this.subscribeToAlerts());
+      subscribeBtn.addEventListener('click', () => this.subscribeToAlerts(this.currentEvent));
+    }
+
+    // Alert rules modal
+    const ruleForm = document.getElementById('alert-rule-form');
+    if (ruleForm) {
+      ruleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addAlertRule();
+      });
+    }
+
+    const ruleType = document.getElementById('alert-rule-type');
+    if (ruleType) {
+      ruleType.addEventListener('change', () => this.updateAlertRuleHint());
+    }
+
+    const checkAlertsBtn = document.getElementById('check-alerts-btn');
+    if (checkAlertsBtn) {
+      checkAlertsBtn.addEventListener('click', () => this.checkAlerts());
+    }
+
+    const clearHistoryBtn = document.getElementById('clear-alert-history-btn');
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => {
+        window.userPreferences.clearAlertHistory();
+        this.renderAlerts();
+      });
+    }
+
+    // Aurora location form
+    const locationForm = document.getElementById('aurora-location-form');
+    if (locationForm) {
+      locationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveAuroraLocation();
+      });
+    }
+
+    const useLocationBtn = document.getElementById('aurora-use-location-btn');
+    if (useLocationBtn) {
+      useLocationBtn.addEventListener('click', () => this.useCurrentLocation());
+    }
+
+    // Rendered lists carry DONKI and rule IDs in data attributes, handled by one listener per container
+    const statusContainer = document.getElementById('current-status');
+    if (statusContainer) {
+      statusContainer.addEventListener('click', (e) => {
+        const arrival = e.target.closest('[data-cme-id]');
+        if (arrival) this.showEventById(arrival.dataset.cmeId);
+      });
+    }
+
+    const eventDetails = document.getElementById('event-details-content');
+    if (eventDetails) {
+      eventDetails.addEventListener('click', (e) => {
+        const node = e.target.closest('[data-linked-event]');
+        if (node) this.followLinkedEvent(node.dataset.linkedEvent);
+      });
+    }
+
+    const rulesList = document.getElementById('alert-rules-list');
+    if (rulesList) {
+      rulesList.addEventListener('change', (e) => {
+        const toggle = e.target.closest('[data-toggle-rule]');
+        if (toggle) this.toggleAlertRule(toggle.dataset.toggleRule, toggle.checked);
+      });
+      rulesList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-rule]');
+        if (button) this.removeAlertRule(button.dataset.removeRule);
+      });
+    }
+
+    const historyList = document.getElementById('alert-history-list');
+    if (historyList) {
+      historyList.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-alert-event]');
+        if (item) this.showAlertEvent(item.dataset.alertEvent);
+      });
     }
+
+    // Alerts raised in the background while the page is open
+    document.addEventListener('spaceWeatherAlert', () => this.renderAlerts());
   }
 
   toggleCustomDateRange() {
@@ -104,13 +271,16 @@ class SpaceWeatherApp {
       // Calculate date range based on current filters
       const dateRange = this.getDateRange();
       
-      // Load all space weather data
+      // Load the core data sets, plus the one picked in the type filter
+      const include = this.getExtraEventTypes();
       const data = await APIManager.spaceWeather.getAllSpaceWeatherEvents(
         dateRange.startDate,
-        dateRange.endDate
+        dateRange.endDate,
+        { include }
       );
       
       this.weatherData = data;
+      this.loadedTypes = [...DONKI_CORE_EVENT_TYPES, ...include].filter(key => !data.failed.includes(key));
       this.renderCurrentStatus(statusContainer, data);
       this.renderSpaceWeatherEvents(contentContainer, data);
       
@@ -122,6 +292,13 @@ class SpaceWeatherApp {
     }
   }
 
+  // Every extra DONKI data set costs a keyed request, so only the filtered one is loaded
+  getExtraEventTypes() {
+    const key = Object.keys(DONKI_EVENT_TYPES)
+      .find(type => type.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`) === this.currentFilters.eventType);
+    return key && !DONKI_CORE_EVENT_TYPES.includes(key) ? [key] : [];
+  }
+
   getDateRange() {
     const timePeriod = this.currentFilters.timePeriod;
     
@@ -200,7 +377,13 @@ class SpaceWeatherApp {
       `cme_${dateRange.startDate}_${dateRange.endDate}`,
       `gst_${dateRange.startDate}_${dateRange.endDate}`,
       `flr_${dateRange.startDate}_${dateRange.endDate}`,
-      `notifications_${dateRange.startDate}_${dateRange.endDate}`
+      `notifications_${dateRange.startDate}_${dateRange.endDate}`,
+      `sep_${dateRange.startDate}_${dateRange.endDate}`,
+      `ips_${dateRange.startDate}_${dateRange.endDate}_ALL_ALL`,
+      `hss_${dateRange.startDate}_${dateRange.endDate}`,
+      `mpc_${dateRange.startDate}_${dateRange.endDate}`,
+      `rbe_${dateRange.startDate}_${dateRange.endDate}`,
+      `wsa_enlil_${dateRange.startDate}_${dateRange.endDate}`
     ];
     
     cacheKeys.forEach(key => StorageUtils.remove(`cache_${key}`));
@@ -212,6 +395,10 @@ class SpaceWeatherApp {
   renderCurrentStatus(container, data) {
     const recentEvents = this.getRecentEvents(data);
     const currentActivity = this.assessCurrentActivity(recentEvents);
+    const { solar, geomagnetic, cme, radiation, overall } = currentActivity;
+    const fastestCME = cme.event ? SpaceWeatherService.getCMESpeed(cme.event) : null;
+    // Radiation storms are only rated when the SEP data set was loaded
+    const radiationRated = this.loadedTypes.includes('solarEnergeticParticles');
     
     container.innerHTML = `
       <div class="current-status-grid">
@@ -219,47 +406,69 @@ class SpaceWeatherApp {
           <div class="col-lg-3 col-md-6">
             <div class="status-card glass-card p-4 text-center">
               <div class="status-icon mb-3">
-                <i class="fas fa-solar-panel fa-2x ${this.getActivityColor(currentActivity.solar)}"></i>
+                <i class="fas fa-solar-panel fa-2x ${this.getActivityColor(solar.level)}"></i>
               </div>
               <h5>Solar Activity</h5>
-              <div class="status-level ${this.getActivityColor(currentActivity.solar)}">${currentActivity.solar}</div>
-              <small class="text-muted">${recentEvents.solarFlares.length} recent flares</small>
+              <div class="status-level ${this.getActivityColor(solar.level)}">${ACTIVITY_LEVELS[solar.level]}</div>
+              ${this.renderScaleBadge(solar)}
+              <small class="text-muted d-block">
+                ${solar.event ? `Peak class ${DOMUtils.escapeHTML(solar.event.classType)} &middot; ` : ''}${recentEvents.solarFlares.length} recent flares
+              </small>
             </div>
           </div>
           
           <div class="col-lg-3 col-md-6">
             <div class="status-card glass-card p-4 text-center">
               <div class="status-icon mb-3">
-                <i class="fas fa-globe fa-2x ${this.getActivityColor(currentActivity.geomagnetic)}"></i>
+                <i class="fas fa-globe fa-2x ${this.getActivityColor(geomagnetic.level)}"></i>
               </div>
               <h5>Geomagnetic Field</h5>
-              <div class="status-level ${this.getActivityColor(currentActivity.geomagnetic)}">${currentActivity.geomagnetic}</div>
-              <small class="text-muted">${recentEvents.geomagneticStorms.length} recent storms</small>
+              <div class="status-level ${this.getActivityColor(geomagnetic.level)}">${ACTIVITY_LEVELS[geomagnetic.level]}</div>
+              ${this.renderScaleBadge(geomagnetic)}
+              <small class="text-muted d-block">
+                ${geomagnetic.event ? `Peak Kp ${SpaceWeatherService.getMaxKpIndex(geomagnetic.event)} &middot; ` : ''}${recentEvents.geomagneticStorms.length} recent storms
+              </small>
             </div>
           </div>
           
           <div class="col-lg-3 col-md-6">
             <div class="status-card glass-card p-4 text-center">
               <div class="status-icon mb-3">
-                <i class="fas fa-wind fa-2x ${this.getActivityColor(currentActivity.cme)}"></i>
+                <i class="fas fa-wind fa-2x ${this.getActivityColor(cme.level)}"></i>
               </div>
               <h5>Solar Wind</h5>
-              <div class="status-level ${this.getActivityColor(currentActivity.cme)}">${currentActivity.cme}</div>
-              <small class="text-muted">${recentEvents.coronalMassEjections.length} recent CMEs</small>
+              <div class="status-level ${this.getActivityColor(cme.level)}">${ACTIVITY_LEVELS[cme.level]}</div>
+              ${this.renderScaleBadge(cme)}
+              <small class="text-muted d-block">
+                ${fastestCME ? `Fastest ${NumberUtils.formatLargeNumber(fastestCME)} km/s &middot; ` : ''}${recentEvents.coronalMassEjections.length} recent CMEs
+              </small>
             </div>
           </div>
           
           <div class="col-lg-3 col-md-6">
             <div class="status-card glass-card p-4 text-center">
               <div class="status-icon mb-3">
-                <i class="fas fa-exclamation-triangle fa-2x ${this.getActivityColor(currentActivity.overall)}"></i>
+                <i class="fas fa-exclamation-triangle fa-2x ${this.getActivityColor(overall.level)}"></i>
               </div>
               <h5>Overall Alert Level</h5>
-              <div class="status-level ${this.getActivityColor(currentActivity.overall)}">${currentActivity.overall}</div>
-              <small class="text-muted">${recentEvents.notifications.length} active alerts</small>
+              <div class="status-level ${this.getActivityColor(overall.level)}">${ACTIVITY_LEVELS[overall.level]}</div>
+              <div class="noaa-scale-summary">
+                <span class="${this.getActivityColor(solar.level)}">R${solar.level}</span>
+                ${radiationRated
+                  ? `<span class="${this.getActivityColor(radiation.level)}" title="DONKI does not report proton peak flux, so S1 is the highest radiation storm level it can confirm">S${radiation.level}${radiation.minimum ? '+' : ''}</span>`
+                  : '<span class="text-muted" title="Solar energetic particle data could not be loaded, so radiation storms are not rated">S&ndash;</span>'}
+                <span class="${this.getActivityColor(geomagnetic.level)}">G${geomagnetic.level}</span>
+              </div>
+              <small class="text-muted d-block">
+                Activity index ${overall.index.toFixed(1)} of 5 &middot; ${recentEvents.notifications.length} active alerts
+              </small>
             </div>
           </div>
         </div>
+
+        ${this.renderUpcomingArrivals(data.coronalMassEjections || [])}
+
+        ${this.renderAuroraVisibility(data)}
         
         <div class="row mt-4">
           <div class="col-12">
@@ -281,6 +490,294 @@ class SpaceWeatherApp {
         </div>
       </div>
     `;
+
+    this.startArrivalCountdowns(container);
+  }
+
+  // Earth-directed CMEs whose arrival window has not yet closed
+  renderUpcomingArrivals(cmes) {
+    const now = Date.now();
+    const upcoming = cmes
+      .map(cme => ({ cme, arrival: this.estimateCMEArrival(cme) }))
+      .filter(({ arrival }) => arrival && arrival.latest > now)
+      .sort((a, b) => a.arrival.estimate - b.arrival.estimate);
+
+    if (upcoming.length === 0) return '';
+
+    return `
+      <div class="row mt-4">
+        <div class="col-12">
+          <div class="cme-arrivals glass-card p-4">
+            <h5 class="mb-3"><i class="fas fa-meteor me-2 text-cosmic-purple"></i>Incoming CMEs</h5>
+            ${upcoming.map(({ cme, arrival }) => `
+              <div class="cme-arrival d-flex flex-wrap justify-content-between align-items-center"
+                   data-cme-id="${DOMUtils.escapeHTML(cme.activityID)}">
+                <div>
+                  <strong>CME ${DateUtils.formatDateTime(cme.startTime)}</strong>
+                  <small class="text-muted d-block">
+                    ${arrival.source} estimate: ${DateUtils.formatDateTime(arrival.earliest)} to ${DateUtils.formatDateTime(arrival.latest)}
+                  </small>
+                </div>
+                <div class="arrival-countdown text-scale-${this.getCMEScale(cme).level}"
+                     data-earliest="${arrival.earliest}" data-estimate="${arrival.estimate}" data-latest="${arrival.latest}">
+                  ${this.formatArrivalCountdown(arrival)}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  startArrivalCountdowns(container) {
+    clearInterval(this.countdownTimer);
+    const countdowns = container.querySelectorAll('.arrival-countdown');
+    if (countdowns.length === 0) return;
+
+    this.countdownTimer = setInterval(() => {
+      countdowns.forEach(element => {
+        element.textContent = this.formatArrivalCountdown({
+          earliest: Number(element.dataset.earliest),
+          estimate: Number(element.dataset.estimate),
+          latest: Number(element.dataset.latest)
+        });
+      });
+    }, 60000);
+  }
+
+  renderAuroraVisibility(data) {
+    const location = this.getAuroraLocation();
+
+    if (!location) {
+      // The tracker's observer is only offered, since it may not be where the user watches the sky from
+      const tracker = this.getTrackerLocation();
+      return `
+        <div class="row mt-4">
+          <div class="col-12">
+            <div class="aurora-visibility glass-card p-4 d-flex flex-wrap justify-content-between align-items-center gap-2">
+              <div>
+                <h5 class="mb-1"><i class="fas fa-moon me-2 text-aurora-green"></i>Aurora Visibility</h5>
+                <p class="text-muted mb-0">
+                  ${tracker
+                    ? `The satellite tracker has a saved location (${this.formatCoordinates(tracker.latitude, tracker.longitude)}). Use it to see whether aurora could be visible from there.`
+                    : 'Set your location to see whether aurora could be visible from there.'}
+                </p>
+              </div>
+              <div class="d-flex gap-2">
+                ${tracker ? `
+                  <button type="button" class="btn btn-outline-light btn-sm" onclick="spaceWeatherApp.useTrackerLocation()">
+                    <i class="fas fa-check me-1"></i>Use It
+                  </button>
+                ` : ''}
+                <button type="button" class="btn btn-outline-light btn-sm" onclick="spaceWeatherApp.openLocationForm()">
+                  <i class="fas fa-location-dot me-1"></i>Set Location
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      `;
+    }
+
+    const magneticLatitude = this.getMagneticLatitude(location);
+    const current = this.getCurrentKp(data.geomagneticStorms || []);
+    // Storms are only logged from about Kp 5, so without one Kp 4 is the most it can be
+    const now = this.assessAurora(magneticLatitude, current ? current.kp : 4);
+    const forecast = this.getKpForecast(data);
+    const later = forecast ? this.assessAurora(magneticLatitude, forecast.kp) : null;
+    const kpNeeded = this.getKpNeeded(magneticLatitude);
+
+    return `
+      <div class="row mt-4">
+        <div class="col-12">
+          <div class="aurora-visibility glass-card p-4">
+            <div class="d-flex flex-wrap justify-content-between align-items-start mb-3">
+              <div>
+                <h5 class="mb-1"><i class="fas fa-moon me-2 text-aurora-green"></i>Aurora Visibility</h5>
+                <small class="text-muted">
+                  ${this.formatCoordinates(location.latitude, location.longitude)}
+                  &middot; magnetic latitude ${magneticLatitude.toFixed(1)}°
+                </small>
+              </div>
+              <button class="btn btn-outline-light btn-sm" onclick="spaceWeatherApp.openLocationForm()">
+                <i class="fas fa-location-dot me-1"></i>Change Location
+              </button>
+            </div>
+            <div class="row g-3">
+              <div class="col-md-6">
+                <div class="aurora-outlook">
+                  <h6>Now</h6>
+                  <div class="status-level ${this.getAuroraColor(now.visibility)}">
+                    ${current ? now.summary : `At best, ${now.summary.charAt(0).toLowerCase()}${now.summary.slice(1)}`}
+                  </div>
+                  <small class="text-muted d-block">
+                    ${current ? `Kp ${current.kp} at ${DateUtils.formatDateTime(current.time)}` : 'No geomagnetic storm in progress (Kp below 5)'};
+                    the oval reaches ${current ? '' : 'at most '}${now.boundary.toFixed(1)}° magnetic latitude
+                  </small>
+                </div>
+              </div>
+              <div class="col-md-6">
+                <div class="aurora-outlook">
+                  <h6>Forecast</h6>
+                  ${later ? `
+                    <div class="status-level ${this.getAuroraColor(later.visibility)}">${later.summary}</div>
+                    <small class="text-muted d-block">
+                      WSA-Enlil predicts up to Kp ${forecast.kp} with the CME arriving ${DateUtils.formatDateTime(forecast.time)};
+                      the oval would reach ${later.boundary.toFixed(1)}° magnetic latitude
+                    </small>
+                  ` : '<p class="text-muted mb-0">No CME arrivals with a Kp prediction are forecast.</p>'}
+                </div>
+              </div>
+            </div>
+            <small class="text-muted d-block mt-3">
+              ${kpNeeded <= 0 ? 'You are under the auroral zone, so aurora can be seen on most clear, dark nights.'
+                : kpNeeded > 9 ? 'You are too far from the auroral zone for even an extreme storm to bring aurora into view.'
+                : `Aurora reaches your horizon from about Kp ${Math.ceil(kpNeeded)}.`}
+              Seeing it also needs a dark, clear sky.
+            </small>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  getAuroraLocation() {
+    return window.userPreferences ? window.userPreferences.getPreference('location') : null;
+  }
+
+  // Observer saved on the satellite tracker, offered as a starting point
+  getTrackerLocation() {
+    const observer = StorageUtils.get('satellite_observer', null);
+    return observer ? { latitude: observer.latitude, longitude: observer.longitude } : null;
+  }
+
+  // Dipole approximation: angular distance from the geomagnetic equator
+  getMagneticLatitude({ latitude, longitude }) {
+    const radians = Math.PI / 180;
+    const pole = GEOMAGNETIC_POLE;
+    const sine = Math.sin(latitude * radians) * Math.sin(pole.latitude * radians) +
+      Math.cos(latitude * radians) * Math.cos(pole.latitude * radians) * Math.cos((longitude - pole.longitude) * radians);
+    return Math.asin(sine) / radians;
+  }
+
+  // Latest Kp reading from the last 6 hours (readings are 3-hourly)
+  getCurrentKp(storms) {
+    const now = Date.now();
+    const readings = storms
+      .flatMap(storm => storm.allKpIndex || [])
+      .map(reading => ({ kp: reading.kpIndex, time: reading.observedTime }))
+      .filter(reading => Date.parse(reading.time) <= now && now - Date.parse(reading.time) <= 6 * 60 * 60 * 1000)
+      .sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+    return readings[0] || null;
+  }
+
+  // Highest Kp WSA-Enlil predicts for a CME arrival that is still to come
+  getKpForecast(data) {
+    const runs = [
+      ...(data.wsaEnlilSimulations || []),
+      ...(data.coronalMassEjections || []).flatMap(cme => (cme.cmeAnalyses || []).flatMap(analysis => analysis.enlilList || []))
+    ];
+
+    return runs
+      .filter(run => run.estimatedShockArrivalTime && Date.parse(run.estimatedShockArrivalTime) + ENLIL_ARRIVAL_ERROR > Date.now())
+      .map(run => ({ kp: this.getSimulationKp(run), time: run.estimatedShockArrivalTime }))
+      .filter(forecast => forecast.kp)
+      .sort((a, b) => b.kp - a.kp)[0] || null;
+  }
+
+  assessAurora(magneticLatitude, kp) {
+    const boundary = AURORA_OVAL.quietLatitude - AURORA_OVAL.degreesPerKp * kp;
+    const margin = Math.abs(magneticLatitude) - boundary;
+    const horizon = magneticLatitude >= 0 ? 'northern' : 'southern';
+
+    if (margin >= 0) {
+      return { kp, boundary, visibility: 'overhead', summary: 'Likely visible overhead' };
+    }
+    if (margin >= -AURORA_OVAL.horizonReach) {
+      return { kp, boundary, visibility: 'horizon', summary: `Possible low on the ${horizon} horizon` };
+    }
+    return { kp, boundary, visibility: 'none', summary: 'Unlikely to be visible' };
+  }
+
+  // Kp at which the oval comes within horizon reach of the location
+  getKpNeeded(magneticLatitude) {
+    return (AURORA_OVAL.quietLatitude - Math.abs(magneticLatitude) - AURORA_OVAL.horizonReach) / AURORA_OVAL.degreesPerKp;
+  }
+
+  getAuroraColor(visibility) {
+    switch (visibility) {
+      case 'overhead': return 'text-scale-0';
+      case 'horizon': return 'text-scale-2';
+      default: return 'text-muted';
+    }
+  }
+
+  formatCoordinates(latitude, longitude) {
+    return `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+  }
+
+  openLocationForm() {
+    const location = this.getAuroraLocation() || this.getTrackerLocation();
+    document.getElementById('aurora-latitude').value = location ? location.latitude : '';
+    document.getElementById('aurora-longitude').value = location ? location.longitude : '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('auroraLocationModal')).show();
+  }
+
+  useCurrentLocation() {
+    if (!window.navigator.geolocation) {
+      this.showToast('Your browser cannot share its location.', 'warning');
+      return;
+    }
+
+    window.navigator.geolocation.getCurrentPosition(
+      (position) => {
+        document.getElementById('aurora-latitude').value = position.coords.latitude.toFixed(4);
+        document.getElementById('aurora-longitude').value = position.coords.longitude.toFixed(4);
+      },
+      (error) => {
+        console.error('Geolocation failed:', error);
+        this.showToast('Could not get your location. Please enter it instead.', 'warning');
+      },
+      { timeout: 10000 }
+    );
+  }
+
+  saveAuroraLocation() {
+    const latitude = parseFloat(document.getElementById('aurora-latitude').value);
+    const longitude = parseFloat(document.getElementById('aurora-longitude').value);
+
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      this.showToast('Enter a latitude between -90 and 90 and a longitude between -180 and 180.', 'error');
+      return;
+    }
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('auroraLocationModal')).hide();
+    this.setAuroraLocation(latitude, longitude);
+  }
+
+  useTrackerLocation() {
+    const tracker = this.getTrackerLocation();
+    if (tracker) {
+      this.setAuroraLocation(tracker.latitude, tracker.longitude);
+    }
+  }
+
+  setAuroraLocation(latitude, longitude) {
+    window.userPreferences.updatePreference('location', { latitude, longitude });
+    this.renderCurrentStatus(document.getElementById('current-status'), this.weatherData);
+    this.showToast('Location saved', 'success');
+  }
+
+  formatArrivalCountdown(arrival, now = Date.now()) {
+    if (now > arrival.latest) return 'Arrival window closed';
+    if (now >= arrival.earliest) return 'Arrival window open';
+
+    const minutes = Math.floor((arrival.estimate - now) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `Arrives in ${days}d ${hours}h`;
+    return `Arrives in ${hours}h ${minutes % 60}m`;
   }
 
   getRecentEvents(data) {
@@ -297,131 +794,202 @@ class SpaceWeatherApp {
       coronalMassEjections: data.coronalMassEjections.filter(event => 
         new Date(event.startTime) > threeDaysAgo
       ),
+      solarEnergeticParticles: (data.solarEnergeticParticles || []).filter(event =>
+        new Date(event.eventTime) > threeDaysAgo
+      ),
       notifications: data.notifications.filter(event => 
         new Date(event.messageIssueTime) > threeDaysAgo
       )
     };
   }
 
+  // Each area is rated by its strongest recent event, so one X flare outweighs any number of C flares
   assessCurrentActivity(recentEvents) {
-    // Simple activity assessment based on recent events
-    const solarActivity = recentEvents.solarFlares.length > 5 ? 'High' : 
-                         recentEvents.solarFlares.length > 2 ? 'Moderate' : 'Low';
-    
-    const geomagneticActivity = recentEvents.geomagneticStorms.length > 2 ? 'High' : 
-                               recentEvents.geomagneticStorms.length > 0 ? 'Moderate' : 'Low';
-    
-    const cmeActivity = recentEvents.coronalMassEjections.length > 3 ? 'High' : 
-                       recentEvents.coronalMassEjections.length > 1 ? 'Moderate' : 'Low';
-    
-    const overallActivity = [solarActivity, geomagneticActivity, cmeActivity].includes('High') ? 'High' :
-                           [solarActivity, geomagneticActivity, cmeActivity].includes('Moderate') ? 'Moderate' : 'Low';
+    const strongest = (key, scale) => recentEvents[key]
+      .map(event => ({ ...this.getEventScale(key, event), event }))
+      .reduce((top, rating) => rating.index > top.index ? rating : top,
+        { scale, level: 0, index: 0, potential: key === 'coronalMassEjections', event: null });
+
+    const solar = strongest('solarFlares', 'R');
+    const radiation = strongest('solarEnergeticParticles', 'S');
+    const geomagnetic = strongest('geomagneticStorms', 'G');
+    const cme = strongest('coronalMassEjections', 'G');
+
+    // A CME only threatens a storm, so it counts one level below observed conditions
+    const overallIndex = Math.max(solar.index, radiation.index, geomagnetic.index, cme.index - 1, 0);
     
     return {
-      solar: solarActivity,
-      geomagnetic: geomagneticActivity,
-      cme: cmeActivity,
-      overall: overallActivity
+      solar,
+      radiation,
+      geomagnetic,
+      cme,
+      overall: { level: Math.floor(overallIndex), index: overallIndex }
     };
   }
 
   getActivityColor(level) {
-    switch (level) {
-      case 'High': return 'text-danger';
-      case 'Moderate': return 'text-warning';
-      case 'Low': return 'text-success';
-      default: return 'text-muted';
-    }
+    return level >= 0 && level <= 5 ? `text-scale-${level}` : 'text-muted';
   }
 
   generateStatusSummary(activity, events) {
     const totalEvents = Object.values(events).reduce((sum, arr) => sum + arr.length, 0);
+    const reached = [activity.solar, activity.radiation, activity.geomagnetic]
+      .filter(rating => rating.level > 0)
+      .map(rating => `${this.getScaleLabel(rating)} (${rating.minimum ? 'at least ' : ''}${ACTIVITY_LEVELS[rating.level].toLowerCase()} ${NOAA_SCALES[rating.scale].name.toLowerCase()})`);
+    const scales = reached.length ? ` NOAA scale levels reached: ${reached.join(', ')}.` : '';
+    const radiationNote = activity.radiation.minimum
+      ? ' DONKI does not report proton peak flux, so S1 is the highest radiation storm level it can confirm.'
+      : '';
     
-    if (activity.overall === 'High') {
-      return `Current space weather conditions show elevated activity with ${totalEvents} recent events. Enhanced monitoring is recommended for satellite operations and power grid systems.`;
-    } else if (activity.overall === 'Moderate') {
-      return `Space weather conditions are moderately active with ${totalEvents} recent events. Normal precautions should be observed for sensitive operations.`;
+    if (activity.overall.level >= 3) {
+      return `Current space weather conditions show elevated activity with ${totalEvents} recent events.${scales}${radiationNote} Enhanced monitoring is recommended for satellite operations and power grid systems.`;
+    } else if (activity.overall.level >= 1) {
+      return `Space weather conditions are moderately active with ${totalEvents} recent events.${scales}${radiationNote} Normal precautions should be observed for sensitive operations.`;
     } else {
       return `Space weather conditions are currently quiet with minimal activity. Normal operations can proceed without special precautions.`;
     }
   }
 
   renderSpaceWeatherEvents(container, data) {
-    const filteredEvents = this.filterEvents(this.combineAndSortEvents(data));
+    const allEvents = this.combineAndSortEvents(data);
+    const filteredEvents = this.filterEvents(allEvents);
+
+    // Linked events are looked up by ID, list clicks by position
+    this.eventIndex = new Map(allEvents.map(event => [event.id, event]));
+    this.displayedEvents = filteredEvents;
+    this.destroyCharts();
     
     if (filteredEvents.length === 0) {
       LoadingUtils.showEmpty(container, 'No space weather events found for the selected criteria.');
-      return;
-    }
-
-    if (this.viewMode === 'timeline') {
+    } else if (this.viewMode === 'timeline') {
       this.renderEventsTimeline(container, filteredEvents);
     } else if (this.viewMode === 'cards') {
       this.renderEventsCards(container, filteredEvents);
     } else if (this.viewMode === 'table') {
       this.renderEventsTable(container, filteredEvents);
+    } else if (this.viewMode === 'charts') {
+      this.renderEventsCharts(container, filteredEvents);
     }
+
+    this.renderFailedTypes(container, data.failed || []);
+  }
+
+  // Partial results are shown, but not as if the missing data sets were empty
+  renderFailedTypes(container, failed) {
+    if (failed.length === 0) return;
+
+    const types = failed.map(key => DONKI_EVENT_TYPES[key].type).join(', ');
+    container.insertAdjacentHTML('afterbegin', `
+      <div class="alert alert-warning alert-glass" role="alert">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        Could not load ${types} events, so they are missing below.
+        <button type="button" class="btn btn-link alert-link p-0 align-baseline" data-retry-failed>Try again</button>
+      </div>
+    `);
+
+    container.querySelector('[data-retry-failed]').addEventListener('click', () => this.loadSpaceWeatherData());
   }
 
   combineAndSortEvents(data) {
-    const allEvents = [];
-    
-    // Add solar flares
-    data.solarFlares.forEach(event => {
-      allEvents.push({
-        ...event,
-        type: 'Solar Flare',
-        typeClass: 'solar-flare',
-        icon: 'fa-solar-panel',
-        color: 'text-solar-orange',
-        date: event.beginTime,
-        severity: this.getSolarFlareSeverity(event.classType)
-      });
-    });
-    
-    // Add geomagnetic storms
-    data.geomagneticStorms.forEach(event => {
-      allEvents.push({
-        ...event,
-        type: 'Geomagnetic Storm',
-        typeClass: 'geomagnetic-storm',
-        icon: 'fa-globe',
-        color: 'text-earth-blue',
-        date: event.startTime,
-        severity: this.getGeomagneticSeverity(event.kpIndex)
-      });
-    });
-    
-    // Add coronal mass ejections
-    data.coronalMassEjections.forEach(event => {
-      allEvents.push({
-        ...event,
-        type: 'Coronal Mass Ejection',
-        typeClass: 'coronal-mass-ejection',
-        icon: 'fa-wind',
-        color: 'text-cosmic-purple',
-        date: event.startTime,
-        severity: this.getCMESeverity(event.speed)
-      });
-    });
-    
-    // Add notifications
-    data.notifications.forEach(event => {
-      allEvents.push({
-        ...event,
-        type: 'Space Weather Alert',
-        typeClass: 'notification',
-        icon: 'fa-exclamation-triangle',
-        color: 'text-saturn-gold',
-        date: event.messageIssueTime,
-        severity: 'Moderate'
-      });
-    });
+    const allEvents = Object.keys(DONKI_EVENT_TYPES)
+      .flatMap(key => (data[key] || []).map(event => this.decorateEvent(key, event)));
     
     // Sort by date (newest first)
     return allEvents.sort((a, b) => new Date(b.date) - new Date(a.date));
   }
 
+  // Adds the display fields shared by every event type
+  decorateEvent(key, event) {
+    const definition = DONKI_EVENT_TYPES[key];
+    const scale = this.getEventScale(key, event);
+    return {
+      ...event,
+      dataKey: key,
+      id: event[definition.id],
+      type: definition.type,
+      typeClass: definition.typeClass,
+      icon: definition.icon,
+      color: definition.color,
+      date: event[definition.date],
+      scale,
+      level: scale.level,
+      severity: ACTIVITY_LEVELS[scale.level]
+    };
+  }
+
+  // NOAA scale and level for one event; potential marks a level forecast rather than observed
+  getEventScale(key, event) {
+    switch (key) {
+      case 'solarFlares':
+        return this.scaleReading('R', SpaceWeatherService.getFlareFlux(event.classType));
+      case 'geomagneticStorms':
+        return this.getKpScale(SpaceWeatherService.getMaxKpIndex(event));
+      case 'coronalMassEjections':
+        return this.getCMEScale(event);
+      case 'solarEnergeticParticles':
+        // DONKI logs ≥10 MeV proton events but not their peak flux, so every one is at least S1 and none rates higher
+        return { scale: 'S', level: 1, index: 1, potential: false, minimum: true };
+      case 'wsaEnlilSimulations':
+        return { ...this.getKpScale(this.getSimulationKp(event)), potential: true };
+      case 'interplanetaryShocks': {
+        // Only shocks reaching Earth's neighbourhood matter for geomagnetic activity
+        const level = event.location === 'Earth' ? 2 : 0;
+        return { scale: null, level, index: level, potential: false };
+      }
+      default: {
+        const level = DONKI_EVENT_LEVELS[key] || 0;
+        return { scale: null, level, index: level, potential: false };
+      }
+    }
+  }
+
+  scaleReading(scale, value) {
+    const index = this.getScaleIndex(NOAA_SCALES[scale], value);
+    return { scale, level: Math.floor(index), index, potential: false };
+  }
+
+  // Kp is reported in thirds (4.67 is 5-); rounding keeps it on the threshold values
+  getKpScale(kp) {
+    return this.scaleReading('G', kp === null ? null : Math.round(kp * 3) / 3);
+  }
+
+  // The CME type bands the speed; the speed places it within the band
+  getCMEScale(cme) {
+    const analysis = SpaceWeatherService.getCMEAnalysis(cme);
+    const index = this.getScaleIndex(CME_SPEED_BANDS, analysis && analysis.speed);
+    const typeLevel = analysis ? CME_TYPE_LEVELS[analysis.type] : undefined;
+    const level = typeLevel !== undefined ? typeLevel : Math.floor(index);
+    return { scale: 'G', level, index: Math.max(index, level), potential: true };
+  }
+
+  // Fractional level: 2.5 lies halfway between the level 2 and 3 thresholds (log-spaced for fluxes)
+  getScaleIndex({ base, thresholds, log }, value) {
+    if (value === null || value === undefined || value <= base) return 0;
+
+    const measure = log ? Math.log10 : (x => x);
+    const points = [base, ...thresholds];
+    const band = points.findIndex((point, i) => i === points.length - 1 || value < points[i + 1]);
+    if (band === points.length - 1) return thresholds.length;
+
+    return band + (measure(value) - measure(points[band])) / (measure(points[band + 1]) - measure(points[band]));
+  }
+
+  // e.g. R3, G2 (potential) for a CME or S1+ for a proton event; events outside the NOAA scales have none
+  getScaleLabel(scale) {
+    if (!scale || !scale.scale || scale.level === 0) return null;
+    return `${scale.scale}${scale.level}${scale.minimum ? '+' : ''}${scale.potential ? ' (potential)' : ''}`;
+  }
+
+  renderScaleBadge(scale) {
+    const label = this.getScaleLabel(scale);
+    return label ? `<span class="badge badge-scale-${scale.level} mb-2">${label}</span>` : '';
+  }
+
+  renderSeverityBadge(event) {
+    const label = this.getScaleLabel(event.scale);
+    return `<span class="badge badge-scale-${event.level}">${label ? `${label} &middot; ` : ''}${event.severity}</span>`;
+  }
+
   filterEvents(events) {
     return events.filter(event => {
       // Event type filter
@@ -430,7 +998,13 @@ class SpaceWeatherApp {
           'solar-flares': 'Solar Flare',
           'geomagnetic-storms': 'Geomagnetic Storm',
           'coronal-mass-ejections': 'Coronal Mass Ejection',
-          'notifications': 'Space Weather Alert'
+          'notifications': 'Space Weather Alert',
+          'solar-energetic-particles': 'Solar Energetic Particles',
+          'interplanetary-shocks': 'Interplanetary Shock',
+          'high-speed-streams': 'High Speed Stream',
+          'magnetopause-crossings': 'Magnetopause Crossing',
+          'radiation-belt-enhancements': 'Radiation Belt Enhancement',
+          'wsa-enlil-simulations': 'WSA-Enlil Simulation'
         };
         
         if (event.type !== typeMap[this.currentFilters.eventType]) {
@@ -438,17 +1012,17 @@ class SpaceWeatherApp {
         }
       }
       
-      // Severity filter
+      // Severity filter, by NOAA scale level
       if (this.currentFilters.severity) {
-        const severityMap = {
-          'minor': ['Low', 'Minor'],
-          'moderate': ['Moderate'],
-          'strong': ['Strong', 'High'],
-          'severe': ['Severe', 'Extreme']
+        const levelRanges = {
+          'minor': [0, 1],
+          'moderate': [2, 2],
+          'strong': [3, 3],
+          'severe': [4, 5]
         };
         
-        const allowedSeverities = severityMap[this.currentFilters.severity] || [];
-        if (!allowedSeverities.includes(event.severity)) {
+        const [minLevel, maxLevel] = levelRanges[this.currentFilters.severity] || [0, 5];
+        if (event.level < minLevel || event.level > maxLevel) {
           return false;
         }
       }
@@ -462,7 +1036,7 @@ class SpaceWeatherApp {
       <div class="space-weather-timeline">
         ${events.slice(0, 20).map((event, index) => `
           <div class="timeline-event ${index % 2 === 0 ? 'timeline-left' : 'timeline-right'}">
-            <div class="timeline-content glass-card p-3" onclick="spaceWeatherApp.showEventDetails('${event.type}', ${index})">
+            <div class="timeline-content glass-card p-3" onclick="spaceWeatherApp.showEventDetails(${index})">
               <div class="event-header">
                 <div class="event-type">
                   <i class="fas ${event.icon} me-2 ${event.color}"></i>
@@ -473,7 +1047,7 @@ class SpaceWeatherApp {
               
               <div class="event-content mt-2">
                 <div class="event-severity">
-                  <span class="badge badge-${this.getSeverityBadgeClass(event.severity)}">${event.severity}</span>
+                  ${this.renderSeverityBadge(event)}
                 </div>
                 <div class="event-description mt-2">
                   ${this.getEventDescription(event)}
@@ -492,13 +1066,13 @@ class SpaceWeatherApp {
         <div class="row g-4">
           ${events.slice(0, 12).map((event, index) => `
             <div class="col-lg-4 col-md-6">
-              <div class="weather-event-card data-card glass-card p-4" onclick="spaceWeatherApp.showEventDetails('${event.type}', ${index})">
+              <div class="weather-event-card data-card glass-card p-4" onclick="spaceWeatherApp.showEventDetails(${index})">
                 <div class="card-header mb-3">
                   <div class="event-type-header">
                     <i class="fas ${event.icon} fa-2x ${event.color} mb-2"></i>
                     <h5>${event.type}</h5>
                   </div>
-                  <span class="badge badge-${this.getSeverityBadgeClass(event.severity)}">${event.severity}</span>
+                  ${this.renderSeverityBadge(event)}
                 </div>
                 
                 <div class="event-details">
@@ -515,7 +1089,7 @@ class SpaceWeatherApp {
                 </div>
                 
                 <div class="card-actions mt-3">
-                  <button class="btn btn-sm btn-primary w-100" onclick="event.stopPropagation(); spaceWeatherApp.showEventDetails('${event.type}', ${index})">
+                  <button class="btn btn-sm btn-primary w-100" onclick="event.stopPropagation(); spaceWeatherApp.showEventDetails(${index})">
                     <i class="fas fa-info-circle me-1"></i>View Details
                   </button>
                 </div>
@@ -549,11 +1123,11 @@ class SpaceWeatherApp {
                 </td>
                 <td>${DateUtils.formatDateTime(event.date)}</td>
                 <td>
-                  <span class="badge badge-${this.getSeverityBadgeClass(event.severity)}">${event.severity}</span>
+                  ${this.renderSeverityBadge(event)}
                 </td>
                 <td>${this.getEventDescription(event)}</td>
                 <td>
-                  <button class="btn btn-sm btn-outline-light" onclick="spaceWeatherApp.showEventDetails('${event.type}', ${index})">
+                  <button class="btn btn-sm btn-outline-light" onclick="spaceWeatherApp.showEventDetails(${index})">
                     <i class="fas fa-info-circle"></i>
                   </button>
                 </td>
@@ -565,63 +1139,235 @@ class SpaceWeatherApp {
     `;
   }
 
+  // Charts use every filtered event, not just the first page the other views list
+  renderEventsCharts(container, events) {
+    if (typeof Chart === 'undefined') {
+      LoadingUtils.showError(container, 'Charts are unavailable because Chart.js failed to load.');
+      return;
+    }
+
+    const flares = events.filter(event => event.dataKey === 'solarFlares' && SpaceWeatherService.getFlareFlux(event.classType));
+    const kpReadings = events
+      .filter(event => event.dataKey === 'geomagneticStorms')
+      .flatMap(storm => (storm.allKpIndex || []).map(reading => ({ reading, storm })));
+    const cmes = events.filter(event => {
+      const analysis = event.dataKey === 'coronalMassEjections' && SpaceWeatherService.getCMEAnalysis(event);
+      return analysis && analysis.speed && analysis.halfAngle !== null && analysis.halfAngle !== undefined;
+    });
+
+    container.innerHTML = `
+      <div class="space-weather-charts row g-4">
+        ${this.renderChartCard('flareChart', 'fa-solar-panel text-solar-orange', 'Solar Flare Peak Class', flares.length, 'col-12',
+          'Peak X-ray flux on a log scale, colored by NOAA R level.')}
+        ${this.renderChartCard('kpChart', 'fa-globe text-earth-blue', 'Geomagnetic Kp Index', kpReadings.length, 'col-lg-6',
+          '3-hourly Kp readings during storms, colored by NOAA G level.')}
+        ${this.renderChartCard('cmeChart', 'fa-wind text-cosmic-purple', 'CME Speed vs Half Angle', cmes.length, 'col-lg-6',
+          'Most accurate analysis of each CME, colored by potential G level.')}
+      </div>
+    `;
+
+    if (flares.length) this.createFlareChart(flares);
+    if (kpReadings.length) this.createKpChart(kpReadings);
+    if (cmes.length) this.createCMEChart(cmes);
+  }
+
+  renderChartCard(id, icon, title, count, columns, caption) {
+    return `
+      <div class="${columns}">
+        <div class="chart-container glass-card p-4">
+          <h5 class="chart-title mb-3">
+            <i class="fas ${icon} me-2"></i>${title}
+          </h5>
+          ${count ? `
+            <canvas id="${id}"></canvas>
+            <small class="text-muted d-block mt-2">${caption} Select a point to open the event.</small>
+          ` : '<p class="text-muted mb-0">No matching events for the current filters and date range.</p>'}
+        </div>
+      </div>
+    `;
+  }
+
+  createFlareChart(flares) {
+    const points = flares.map(flare => ({
+      x: Date.parse(flare.peakTime || flare.beginTime),
+      y: SpaceWeatherService.getFlareFlux(flare.classType),
+      event: flare
+    }));
+
+    this.charts.flares = new Chart(document.getElementById('flareChart'), {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Solar flares',
+          data: points,
+          backgroundColor: flares.map(flare => SCALE_COLORS[flare.level]),
+          pointRadius: 5,
+          pointHoverRadius: 7
+        }]
+      },
+      options: this.getChartOptions(
+        this.getChartTimeAxis(),
+        {
+          type: 'logarithmic',
+          suggestedMin: 1e-6,
+          suggestedMax: 1e-3,
+          title: 'Peak class',
+          ticks: {
+            callback: value => {
+              const decade = Math.log10(value);
+              return Math.abs(decade - Math.round(decade)) < 1e-6 ? FLARE_CLASS_DECADES[Math.round(decade)] || '' : '';
+            }
+          }
+        },
+        point => `Class ${point.event.classType} at ${DateUtils.formatDateTime(point.event.peakTime || point.event.beginTime)}`
+      )
+    });
+  }
+
+  createKpChart(kpReadings) {
+    this.charts.kp = new Chart(document.getElementById('kpChart'), {
+      type: 'bar',
+      data: {
+        datasets: [{
+          label: 'Kp index',
+          data: kpReadings.map(({ reading, storm }) => ({
+            x: Date.parse(reading.observedTime),
+            y: reading.kpIndex,
+            event: storm,
+            observedTime: reading.observedTime
+          })),
+          backgroundColor: kpReadings.map(({ reading }) => SCALE_COLORS[this.getKpScale(reading.kpIndex).level]),
+          barPercentage: 1,
+          categoryPercentage: 1,
+          maxBarThickness: 14
+        }]
+      },
+      options: this.getChartOptions(
+        this.getChartTimeAxis(),
+        { min: 0, max: 9, title: 'Kp index', ticks: { stepSize: 1 } },
+        point => `Kp ${point.y} (G${this.getKpScale(point.y).level}) at ${DateUtils.formatDateTime(point.observedTime)}`
+      )
+    });
+  }
+
+  createCMEChart(cmes) {
+    this.charts.cmes = new Chart(document.getElementById('cmeChart'), {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Coronal mass ejections',
+          data: cmes.map(cme => {
+            const analysis = SpaceWeatherService.getCMEAnalysis(cme);
+            return { x: analysis.halfAngle, y: analysis.speed, event: cme };
+          }),
+          backgroundColor: cmes.map(cme => SCALE_COLORS[cme.level]),
+          pointRadius: 5,
+          pointHoverRadius: 7
+        }]
+      },
+      options: this.getChartOptions(
+        { type: 'linear', min: 0, title: 'Half angle (°)' },
+        { type: 'linear', min: 0, title: 'Speed (km/s)' },
+        point => `${point.y} km/s, ${point.x}° half angle, ${DateUtils.formatDateTime(point.event.startTime)}`
+      )
+    });
+  }
+
+  // Styled like the Mars weather charts; clicking a point opens its event
+  getChartOptions(x, y, describePoint) {
+    const axis = ({ title, ticks, ...options }) => ({
+      ...options,
+      title: { display: true, text: title, color: '#ffffff' },
+      ticks: { color: '#ffffff', ...ticks },
+      grid: { color: 'rgba(255, 255, 255, 0.1)' }
+    });
+
+    return {
+      responsive: true,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: { label: context => describePoint(context.raw) }
+        }
+      },
+      scales: { x: axis(x), y: axis(y) },
+      onClick: (e, elements, chart) => {
+        if (!elements.length) return;
+        const { datasetIndex, index } = elements[0];
+        this.eventHistory = [];
+        this.openEvent(chart.data.datasets[datasetIndex].data[index].event);
+      }
+    };
+  }
+
+  // Plain millisecond axis, since no Chart.js date adapter is loaded; spans the selected range
+  getChartTimeAxis() {
+    const { startDate, endDate } = this.getDateRange();
+    return {
+      type: 'linear',
+      min: Date.parse(`${startDate}T00:00:00Z`),
+      max: Date.parse(`${endDate}T23:59:59Z`),
+      title: 'Date (UTC)',
+      ticks: {
+        maxTicksLimit: 8,
+        callback: value => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+      }
+    };
+  }
+
+  destroyCharts() {
+    Object.values(this.charts).forEach(chart => chart.destroy());
+    this.charts = {};
+  }
+
   getEventDescription(event) {
     switch (event.type) {
       case 'Solar Flare':
-        return `Class ${event.classType} solar flare detected from active region ${event.activeRegionNum || 'Unknown'}`;
+        return `Class ${DOMUtils.escapeHTML(event.classType)} solar flare detected from active region ${DOMUtils.escapeHTML(event.activeRegionNum || 'Unknown')}`;
       case 'Geomagnetic Storm':
-        return `Geomagnetic storm with Kp index of ${event.kpIndex || 'Unknown'}`;
+        return `Geomagnetic storm with a peak Kp index of ${SpaceWeatherService.getMaxKpIndex(event) ?? 'Unknown'}`;
       case 'Coronal Mass Ejection':
-        return `CME with speed of ${event.speed ? NumberUtils.formatLargeNumber(event.speed) + ' km/s' : 'Unknown speed'}`;
+        return `CME with speed of ${SpaceWeatherService.getCMESpeed(event) ? NumberUtils.formatLargeNumber(SpaceWeatherService.getCMESpeed(event)) + ' km/s' : 'Unknown speed'}`;
       case 'Space Weather Alert':
-        return event.messageType || 'Space weather notification issued';
+        return event.messageType ? DOMUtils.escapeHTML(event.messageType) : 'Space weather notification issued';
+      case 'Solar Energetic Particles':
+        return `Energetic particle flux increase detected by ${this.formatInstruments(event)}`;
+      case 'Interplanetary Shock':
+        return `Interplanetary shock observed at ${DOMUtils.escapeHTML(event.location || 'an unknown location')} by ${this.formatInstruments(event)}`;
+      case 'High Speed Stream':
+        return `High speed solar wind stream arrived, detected by ${this.formatInstruments(event)}`;
+      case 'Magnetopause Crossing':
+        return `Magnetopause pushed inside geosynchronous orbit, seen by ${this.formatInstruments(event)}`;
+      case 'Radiation Belt Enhancement':
+        return `Outer radiation belt electron flux enhancement detected by ${this.formatInstruments(event)}`;
+      case 'WSA-Enlil Simulation':
+        return this.describeSimulation(event);
       default:
         return 'Space weather event detected';
     }
   }
 
-  getSolarFlareSeverity(classType) {
-    if (!classType) return 'Unknown';
-    const firstChar = classType.charAt(0).toUpperCase();
-    
-    switch (firstChar) {
-      case 'A':
-      case 'B': return 'Low';
-      case 'C': return 'Moderate';
-      case 'M': return 'Strong';
-      case 'X': return 'Severe';
-      default: return 'Unknown';
-    }
+  // Highest Kp the model predicts for an Earth arrival
+  getSimulationKp(simulation) {
+    if (!simulation.estimatedShockArrivalTime) return null;
+    const kp = Math.max(...['kp_18', 'kp_90', 'kp_135', 'kp_180'].map(key => simulation[key] || 0));
+    return kp || null;
   }
 
-  getGeomagneticSeverity(kpIndex) {
-    if (!kpIndex) return 'Unknown';
-    const kp = parseFloat(kpIndex);
-    
-    if (kp < 4) return 'Low';
-    if (kp < 5) return 'Moderate';
-    if (kp < 6) return 'Strong';
-    return 'Severe';
-  }
+  describeSimulation(simulation) {
+    const cmeCount = (simulation.cmeInputs || []).length;
+    const inputs = `${cmeCount} CME${cmeCount === 1 ? '' : 's'}`;
 
-  getCMESeverity(speed) {
-    if (!speed) return 'Unknown';
-    const speedNum = parseFloat(speed);
-    
-    if (speedNum < 500) return 'Low';
-    if (speedNum < 1000) return 'Moderate';
-    if (speedNum < 1500) return 'Strong';
-    return 'Severe';
+    if (!simulation.estimatedShockArrivalTime) {
+      return `Model run for ${inputs}: no Earth impact expected`;
+    }
+    const impact = simulation.isEarthGB ? 'Glancing blow' : 'Shock arrival';
+    return `Model run for ${inputs}: ${impact} at Earth expected ${DateUtils.formatDateTime(simulation.estimatedShockArrivalTime)}`;
   }
 
-  getSeverityBadgeClass(severity) {
-    switch (severity) {
-      case 'Low': return 'success';
-      case 'Moderate': return 'warning';
-      case 'Strong': return 'danger';
-      case 'Severe': return 'danger';
-      default: return 'info';
-    }
+  formatInstruments(event) {
+    const instruments = (event.instruments || []).map(instrument => instrument.displayName).filter(Boolean);
+    return instruments.length ? DOMUtils.escapeHTML(instruments.join(', ')) : 'unknown instruments';
   }
 
   setViewMode(mode) {
@@ -640,24 +1386,420 @@ class SpaceWeatherApp {
     }
   }
 
-  showEventDetails(eventType, index) {
-    // This would show detailed information about the specific event
-    const modal = new bootstrap.Modal(document.getElementById('eventModal'));
+  showEventDetails(index) {
+    const event = this.displayedEvents[index];
+    if (!event) return;
+
+    this.eventHistory = [];
+    this.openEvent(event);
+  }
+
+  // Opens an event by ID, loading it from DONKI when it lies outside the loaded date range
+  async showEventById(activityId) {
     const contentContainer = document.getElementById('event-details-content');
-    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('eventModal')).show();
+
+    try {
+      LoadingUtils.showLoading(contentContainer, 'Loading event...');
+      const event = await this.findEvent(activityId);
+      this.openEvent(event);
+
+    } catch (error) {
+      console.error('Failed to load space weather event:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'space weather event');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  followLinkedEvent(activityId) {
+    if (this.currentEvent) {
+      this.eventHistory.push(this.currentEvent);
+    }
+    this.showEventById(activityId);
+  }
+
+  showPreviousEvent() {
+    const previous = this.eventHistory.pop();
+    if (previous) {
+      this.openEvent(previous);
+    }
+  }
+
+  async findEvent(activityId) {
+    if (this.eventIndex.has(activityId)) {
+      return this.eventIndex.get(activityId);
+    }
+
+    const { key, event } = await APIManager.spaceWeather.getEventById(activityId);
+    const decorated = this.decorateEvent(key, event);
+    this.eventIndex.set(activityId, decorated);
+    return decorated;
+  }
+
+  openEvent(event) {
+    const contentContainer = document.getElementById('event-details-content');
+    const link = DOMUtils.getSafeURL(event.link || event.messageURL);
+    this.currentEvent = event;
+
+    document.getElementById('eventModalLabel').innerHTML =
+      `<i class="fas ${event.icon} me-2 ${event.color}"></i>${event.type}`;
+
     contentContainer.innerHTML = `
       <div class="event-details">
-        <h5>${eventType} Details</h5>
-        <p>Detailed information about this space weather event would be displayed here.</p>
-        <div class="alert alert-info alert-glass">
-          <i class="fas fa-info-circle me-2"></i>
-          For the most current and detailed space weather information, visit the 
-          <a href="https://www.swpc.noaa.gov/" target="_blank" class="alert-link">NOAA Space Weather Prediction Center</a>.
+        ${this.eventHistory.length ? `
+          <button type="button" class="btn btn-outline-light btn-sm mb-3" onclick="spaceWeatherApp.showPreviousEvent()">
+            <i class="fas fa-arrow-left me-1"></i>Back to ${this.eventHistory[this.eventHistory.length - 1].type}
+          </button>
+        ` : ''}
+        <div class="d-flex justify-content-between align-items-center mb-2">
+          <span class="text-muted">${DateUtils.formatDateTime(event.date)}</span>
+          ${this.renderSeverityBadge(event)}
         </div>
+        <p>${this.getEventDescription(event)}</p>
+
+        ${this.renderEventFields(event)}
+
+        <h6 class="mt-4">Linked Events</h6>
+        <div id="linked-events-graph"></div>
+
+        ${link ? `
+          <a href="${DOMUtils.escapeHTML(link)}" target="_blank" rel="noopener" class="btn btn-outline-light btn-sm mt-3">
+            <i class="fas fa-external-link-alt me-1"></i>View in DONKI
+          </a>
+        ` : ''}
       </div>
     `;
-    
-    modal.show();
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('eventModal')).show();
+    this.renderLinkedEvents(event);
+  }
+
+  renderEventFields(event) {
+    const time = value => value ? DateUtils.formatDateTime(value) : null;
+    const instruments = (event.instruments || []).length ? this.formatInstruments(event) : null;
+
+    switch (event.dataKey) {
+      case 'solarFlares':
+        return this.renderDetailTable([
+          ['Class', DOMUtils.escapeHTML(event.classType)],
+          ['Begin', time(event.beginTime)],
+          ['Peak', time(event.peakTime)],
+          ['End', time(event.endTime)],
+          ['Source Location', DOMUtils.escapeHTML(event.sourceLocation)],
+          ['Active Region', event.activeRegionNum ? `AR ${DOMUtils.escapeHTML(event.activeRegionNum)}` : null],
+          ['Instruments', instruments]
+        ]);
+
+      case 'geomagneticStorms':
+        return `
+          ${this.renderDetailTable([
+            ['Start', time(event.startTime)],
+            ['Peak Kp Index', SpaceWeatherService.getMaxKpIndex(event)]
+          ])}
+          ${(event.allKpIndex || []).length ? `
+            <h6>Kp Index Readings</h6>
+            <table class="table table-glass table-sm">
+              <thead><tr><th>Observed</th><th>Kp</th><th>Source</th></tr></thead>
+              <tbody>
+                ${event.allKpIndex.map(reading => `
+                  <tr>
+                    <td>${time(reading.observedTime)}</td>
+                    <td><span class="badge badge-scale-${this.getKpScale(reading.kpIndex).level}">${DOMUtils.escapeHTML(reading.kpIndex)}</span></td>
+                    <td>${DOMUtils.escapeHTML(reading.source)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : ''}
+        `;
+
+      case 'coronalMassEjections':
+        return `
+          ${this.renderDetailTable([
+            ['Start', time(event.startTime)],
+            ['Speed', SpaceWeatherService.getCMESpeed(event) ? `${NumberUtils.formatLargeNumber(SpaceWeatherService.getCMESpeed(event))} km/s` : null],
+            ['Source Location', DOMUtils.escapeHTML(event.sourceLocation)],
+            ['Active Region', event.activeRegionNum ? `AR ${DOMUtils.escapeHTML(event.activeRegionNum)}` : null],
+            ['Instruments', instruments],
+            ['Note', event.note ? DOMUtils.escapeHTML(event.note) : null]
+          ])}
+          ${this.renderArrivalEstimate(event)}
+          ${(event.cmeAnalyses || []).length ? `
+            <h6>Analyses</h6>
+            <div class="table-responsive">
+              <table class="table table-glass table-sm">
+                <thead><tr><th>Time at 21.5 R☉</th><th>Speed</th><th>Half Angle</th><th>Lat / Lon</th><th>Type</th><th>Catalog</th></tr></thead>
+                <tbody>
+                  ${event.cmeAnalyses.map(analysis => `
+                    <tr>
+                      <td>${time(analysis.time21_5) || ''}${analysis.isMostAccurate ? ' <span class="badge bg-success">Most accurate</span>' : ''}</td>
+                      <td>${analysis.speed ? `${analysis.speed} km/s` : ''}</td>
+                      <td>${analysis.halfAngle ? `${analysis.halfAngle}°` : ''}</td>
+                      <td>${analysis.latitude ?? ''} / ${analysis.longitude ?? ''}</td>
+                      <td>${DOMUtils.escapeHTML(analysis.type)}</td>
+                      <td>${DOMUtils.escapeHTML(analysis.catalog)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          ` : ''}
+        `;
+
+      case 'notifications':
+        return `
+          ${this.renderDetailTable([
+            ['Message Type', DOMUtils.escapeHTML(event.messageType)],
+            ['Issued', time(event.messageIssueTime)],
+            ['Message ID', DOMUtils.escapeHTML(event.messageID)]
+          ])}
+          ${event.messageBody ? `<pre class="event-message">${DOMUtils.escapeHTML(event.messageBody)}</pre>` : ''}
+        `;
+
+      case 'interplanetaryShocks':
+        return this.renderDetailTable([
+          ['Time', time(event.eventTime)],
+          ['Location', DOMUtils.escapeHTML(event.location)],
+          ['Catalog', DOMUtils.escapeHTML(event.catalog)],
+          ['Instruments', instruments]
+        ]);
+
+      case 'wsaEnlilSimulations':
+        return `
+          ${this.renderDetailTable([
+            ['Model Completed', time(event.modelCompletionTime)],
+            ['Earth Shock Arrival', time(event.estimatedShockArrivalTime)],
+            ['Glancing Blow', event.estimatedShockArrivalTime ? (event.isEarthGB ? 'Yes' : 'No') : null],
+            ['Estimated Duration', event.estimatedDuration ? `${event.estimatedDuration} hours` : null],
+            ['Predicted Kp (90° / 135° / 180°)', event.kp_90 ? [event.kp_90, event.kp_135, event.kp_180].join(' / ') : null]
+          ])}
+          ${(event.impactList || []).length ? `
+            <h6>Other Impacts</h6>
+            <ul class="list-unstyled mb-0">
+              ${event.impactList.map(impact => `
+                <li>${DOMUtils.escapeHTML(impact.location)}: ${time(impact.arrivalTime)}${impact.isGlancingBlow ? ' (glancing blow)' : ''}</li>
+              `).join('')}
+            </ul>
+          ` : ''}
+        `;
+
+      default:
+        return this.renderDetailTable([
+          ['Time', time(event.eventTime)],
+          ['Instruments', instruments]
+        ]);
+    }
+  }
+
+  renderArrivalEstimate(cme) {
+    const arrival = this.estimateCMEArrival(cme);
+    if (!arrival) return '';
+
+    const time = value => DateUtils.formatDateTime(value);
+    const link = DOMUtils.getSafeURL(arrival.link);
+    const source = arrival.source === 'WSA-Enlil'
+      ? `WSA-Enlil model run${link ? ` (<a href="${DOMUtils.escapeHTML(link)}" target="_blank" rel="noopener">details</a>)` : ''}`
+      : `Drag-based model from the ${arrival.initialSpeed} km/s analysis`;
+
+    return `
+      <h6>Estimated Earth Arrival</h6>
+      ${this.renderDetailTable([
+        ['Most Likely', time(arrival.estimate)],
+        ['Window', `${time(arrival.earliest)} to ${time(arrival.latest)}`],
+        ['Status', this.formatArrivalCountdown(arrival)],
+        ['Impact', arrival.glancingBlow ? 'Glancing blow' : null],
+        ['Speed at Earth', arrival.arrivalSpeed ? `${Math.round(arrival.arrivalSpeed)} km/s` : null],
+        ['Source', source]
+      ])}
+    `;
+  }
+
+  // Earth arrival from WSA-Enlil when DONKI has a run for the CME, otherwise from the drag-based
+  // model. Null when the CME is not heading for Earth.
+  estimateCMEArrival(cme) {
+    const run = this.getEnlilRun(cme);
+    if (run) {
+      // The newest model run has the final say, including that the CME misses Earth
+      if (!run.estimatedShockArrivalTime) return null;
+      const estimate = Date.parse(run.estimatedShockArrivalTime);
+      return {
+        source: 'WSA-Enlil',
+        estimate,
+        earliest: estimate - ENLIL_ARRIVAL_ERROR,
+        latest: estimate + ENLIL_ARRIVAL_ERROR,
+        glancingBlow: Boolean(run.isEarthGB),
+        link: run.link
+      };
+    }
+
+    const analysis = SpaceWeatherService.getCMEAnalysis(cme);
+    if (!analysis || !analysis.speed || !analysis.time21_5 || !this.isEarthDirected(analysis)) return null;
+    return this.estimateDragArrival(analysis);
+  }
+
+  // Newest WSA-Enlil run that modelled this CME, from its analyses or the loaded simulations
+  getEnlilRun(cme) {
+    const embedded = (cme.cmeAnalyses || []).flatMap(analysis => analysis.enlilList || []);
+    const loaded = (this.weatherData.wsaEnlilSimulations || [])
+      .filter(simulation => (simulation.cmeInputs || []).some(input => input.cmeid === cme.activityID));
+
+    return [...embedded, ...loaded]
+      .sort((a, b) => Date.parse(b.modelCompletionTime) - Date.parse(a.modelCompletionTime))[0] || null;
+  }
+
+  // The cone of the analysis covers the Sun-Earth line (latitude and longitude are Earth-centred)
+  isEarthDirected(analysis) {
+    const { latitude, longitude, halfAngle } = analysis;
+    if ([latitude, longitude].some(value => value === null || value === undefined) || !halfAngle) return false;
+
+    const radians = Math.PI / 180;
+    const separation = Math.acos(Math.cos(latitude * radians) * Math.cos(longitude * radians)) / radians;
+    return separation <= halfAngle;
+  }
+
+  estimateDragArrival(analysis) {
+    const start = Date.parse(analysis.time21_5);
+    const { windSpeed, gamma } = DRAG_MODEL;
+
+    const transit = this.getDragTransitTime(analysis.speed, windSpeed.nominal, gamma.nominal);
+    if (transit === null) return null;
+
+    // Bound the window with the slowest and fastest parameter combinations
+    const bounds = [windSpeed.low, windSpeed.high]
+      .flatMap(wind => [gamma.low, gamma.high].map(drag => this.getDragTransitTime(analysis.speed, wind, drag)))
+      .filter(time => time !== null);
+
+    return {
+      source: 'Drag-based model',
+      estimate: start + transit * 1000,
+      earliest: start + Math.min(transit, ...bounds) * 1000,
+      latest: start + Math.max(transit, ...bounds) * 1000,
+      initialSpeed: analysis.speed,
+      arrivalSpeed: this.getDragSpeed(analysis.speed, windSpeed.nominal, gamma.nominal, transit)
+    };
+  }
+
+  // Front distance (km) t seconds after 21.5 solar radii; drag pulls the speed towards the solar wind's
+  getDragDistance(v0, wind, gamma, t) {
+    if (v0 === wind) return DRAG_MODEL.startDistance + wind * t;
+    const sign = v0 > wind ? 1 : -1;
+    return DRAG_MODEL.startDistance + (sign / gamma) * Math.log(1 + sign * gamma * (v0 - wind) * t) + wind * t;
+  }
+
+  getDragSpeed(v0, wind, gamma, t) {
+    const sign = v0 > wind ? 1 : -1;
+    return wind + (v0 - wind) / (1 + sign * gamma * (v0 - wind) * t);
+  }
+
+  // Seconds to reach 1 AU, by bisection; null if it would take over 10 days
+  getDragTransitTime(v0, wind, gamma) {
+    let low = 0;
+    let high = 10 * 24 * 60 * 60;
+    if (this.getDragDistance(v0, wind, gamma, high) < DRAG_MODEL.earthDistance) return null;
+
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2;
+      if (this.getDragDistance(v0, wind, gamma, mid) < DRAG_MODEL.earthDistance) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return high;
+  }
+
+  renderDetailTable(rows) {
+    const filled = rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    return `
+      <table class="table table-glass">
+        ${filled.map(([label, value]) => `<tr><td><strong>${label}:</strong></td><td>${value}</td></tr>`).join('')}
+      </table>
+    `;
+  }
+
+  getLinkedIds(event) {
+    const linked = (event.linkedEvents || []).map(link => link.activityID);
+    // Model runs name the CMEs they were fed instead of linking them
+    const inputs = (event.cmeInputs || []).map(input => input.cmeid);
+    return [...new Set([...linked, ...inputs].filter(Boolean))];
+  }
+
+  // Follows linkedEvents outward, one hop at a time, until the chain ends or the limit is reached
+  async resolveEventGraph(event) {
+    const nodes = new Map([[event.id, event]]);
+    let frontier = [event];
+
+    while (frontier.length && nodes.size < LINKED_EVENT_LIMIT) {
+      const ids = [...new Set(frontier.flatMap(node => this.getLinkedIds(node)))]
+        .filter(id => !nodes.has(id))
+        .slice(0, LINKED_EVENT_LIMIT - nodes.size);
+
+      const resolved = await Promise.all(ids.map(id => this.findEvent(id).catch(() => null)));
+      ids.forEach((id, index) => {
+        // Keep events DONKI could not return so the link is still visible
+        nodes.set(id, resolved[index] || { id, unresolved: true, date: id.slice(0, 16) });
+      });
+      frontier = resolved.filter(Boolean);
+    }
+
+    return [...nodes.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  async renderLinkedEvents(event) {
+    const container = document.getElementById('linked-events-graph');
+    if (!this.getLinkedIds(event).length) {
+      container.innerHTML = '<p class="text-muted mb-0">DONKI lists no linked events for this event.</p>';
+      return;
+    }
+
+    LoadingUtils.showLoading(container, 'Following linked events...');
+    const nodes = await this.resolveEventGraph(event);
+
+    // The user may have moved on to another event in the meantime
+    if (this.currentEvent !== event) return;
+
+    const direct = new Set(this.getLinkedIds(event));
+    container.innerHTML = `
+      <div class="linked-events-graph">
+        ${nodes.map((node, index) => `
+          ${index ? '<i class="fas fa-arrow-right linked-event-arrow"></i>' : ''}
+          ${this.renderLinkedEventNode(node, node === event, direct.has(node.id))}
+        `).join('')}
+      </div>
+      <small class="text-muted">In time order. Highlighted events are linked directly to this one; select any event to open it.</small>
+    `;
+  }
+
+  renderLinkedEventNode(node, isCurrent, isDirect) {
+    if (node.unresolved) {
+      return `
+        <div class="linked-event-node unresolved" title="Not available from DONKI">
+          <i class="fas fa-question-circle text-muted"></i>
+          <small>${DOMUtils.escapeHTML(node.id)}</small>
+        </div>
+      `;
+    }
+
+    return `
+      <button type="button" class="linked-event-node${isCurrent ? ' current' : ''}${isDirect ? ' direct' : ''}"
+        ${isCurrent ? 'disabled' : `data-linked-event="${DOMUtils.escapeHTML(node.id)}"`}>
+        <i class="fas ${node.icon} ${node.color}"></i>
+        <span class="linked-event-type">${node.type}</span>
+        <small>${DateUtils.formatDateTime(node.date)}</small>
+        <small class="text-muted">${this.getEventHeadline(node)}</small>
+      </button>
+    `;
+  }
+
+  // One short figure that tells linked events apart
+  getEventHeadline(event) {
+    switch (event.dataKey) {
+      case 'solarFlares': return `Class ${DOMUtils.escapeHTML(event.classType)}`;
+      case 'coronalMassEjections': return SpaceWeatherService.getCMESpeed(event) ? `${SpaceWeatherService.getCMESpeed(event)} km/s` : event.severity;
+      case 'geomagneticStorms': return `Kp ${SpaceWeatherService.getMaxKpIndex(event) ?? '?'}`;
+      case 'interplanetaryShocks': return event.location ? DOMUtils.escapeHTML(event.location) : event.severity;
+      default: return event.severity;
+    }
   }
 
   showLatestEvents() {
@@ -668,9 +1810,208 @@ class SpaceWeatherApp {
     }
   }
 
-  subscribeToAlerts() {
-    // This would implement notification subscription
-    this.showToast('Alert subscription feature coming soon!', 'info');
+  // Opens the alert rules, pre-filled from an event when one is given
+  subscribeToAlerts(event = null) {
+    const modalElement = document.getElementById('alertsModal');
+    if (!modalElement || !window.userPreferences) return;
+
+    const eventModal = document.getElementById('eventModal');
+    if (eventModal && eventModal.classList.contains('show')) {
+      bootstrap.Modal.getOrCreateInstance(eventModal).hide();
+    }
+
+    const ruleType = document.getElementById('alert-rule-type');
+    const threshold = document.getElementById('alert-rule-threshold');
+    const suggestion = event ? this.getAlertRuleSuggestion(event) : null;
+    if (suggestion) {
+      ruleType.value = suggestion.type;
+      threshold.value = suggestion.threshold;
+    }
+
+    this.updateAlertRuleHint();
+    this.renderAlerts();
+    bootstrap.Modal.getOrCreateInstance(modalElement).show();
+  }
+
+  // Only flares, storms and CMEs can be alerted on
+  getAlertRuleSuggestion(event) {
+    switch (event.dataKey) {
+      case 'solarFlares':
+        return event.classType ? { type: 'flare', threshold: event.classType } : null;
+      case 'geomagneticStorms': {
+        const kp = SpaceWeatherService.getMaxKpIndex(event);
+        return kp !== null ? { type: 'kp', threshold: Math.floor(kp) } : null;
+      }
+      case 'coronalMassEjections': {
+        const speed = SpaceWeatherService.getCMESpeed(event);
+        return speed ? { type: 'cme', threshold: Math.floor(speed / 100) * 100 } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  updateAlertRuleHint() {
+    const kind = SPACE_WEATHER_ALERT_RULES[document.getElementById('alert-rule-type').value];
+    document.getElementById('alert-rule-threshold').placeholder = kind.placeholder;
+    document.getElementById('alert-rule-hint').textContent = kind.hint;
+  }
+
+  getAlertMonitor() {
+    return window.CosmosConnect && window.CosmosConnect.app
+      ? window.CosmosConnect.app.components.get('spaceWeatherAlerts')
+      : null;
+  }
+
+  // Background checks only run while there are enabled rules
+  updateAlertSchedule() {
+    const monitor = this.getAlertMonitor();
+    if (monitor) monitor.updateSchedule();
+  }
+
+  async addAlertRule() {
+    const type = document.getElementById('alert-rule-type').value;
+    const input = document.getElementById('alert-rule-threshold');
+    const kind = SPACE_WEATHER_ALERT_RULES[type];
+
+    if (kind.threshold(input.value) === null) {
+      this.showToast(`Invalid threshold. ${kind.hint}.`, 'error');
+      return;
+    }
+
+    // Flare classes stay as typed (M5); the others are plain numbers
+    const threshold = type === 'flare' ? input.value.trim().toUpperCase() : parseFloat(input.value);
+    const duplicate = window.userPreferences.getAlertRules().some(rule => rule.type === type && rule.threshold === threshold);
+    if (duplicate) {
+      this.showToast('You already have that alert rule.', 'info');
+      return;
+    }
+
+    window.userPreferences.addAlertRule({ type, threshold });
+    input.value = '';
+    this.renderAlerts();
+    this.updateAlertSchedule();
+
+    // Permission can only be asked for in response to a user action like this one
+    if ('Notification' in window && Notification.permission === 'default') {
+      await Notification.requestPermission();
+      this.renderAlerts();
+    }
+
+    this.checkAlerts();
+  }
+
+  toggleAlertRule(id, enabled) {
+    window.userPreferences.updateAlertRule(id, { enabled });
+    this.renderAlerts();
+    this.updateAlertSchedule();
+  }
+
+  removeAlertRule(id) {
+    window.userPreferences.removeAlertRule(id);
+    this.renderAlerts();
+    this.updateAlertSchedule();
+  }
+
+  async requestNotificationPermission() {
+    if (!('Notification' in window)) return;
+    await Notification.requestPermission();
+    this.renderAlerts();
+  }
+
+  async checkAlerts() {
+    const monitor = this.getAlertMonitor();
+    if (!monitor) return;
+
+    if (!window.userPreferences.getAlertRules().some(rule => rule.enabled)) {
+      this.showToast('Add or enable an alert rule first.', 'info');
+      return;
+    }
+
+    const button = document.getElementById('check-alerts-btn');
+    if (button) button.disabled = true;
+
+    try {
+      const alerts = await monitor.check();
+      if (alerts.length === 0) {
+        this.showToast('No new events match your alert rules.', 'info');
+      }
+    } catch (error) {
+      console.error('Space weather alert check failed:', error);
+      this.showToast('Could not check for space weather alerts.', 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  renderAlerts() {
+    const rulesList = document.getElementById('alert-rules-list');
+    if (!rulesList || !window.userPreferences) return;
+
+    this.renderNotificationPermission();
+
+    const rules = window.userPreferences.getAlertRules();
+    rulesList.innerHTML = rules.length === 0
+      ? '<p class="text-muted mb-0">No alert rules yet. Add one above to be notified of new events.</p>'
+      : `<ul class="list-unstyled alert-rules mb-0">
+          ${rules.map(rule => `
+            <li class="alert-rule d-flex align-items-center justify-content-between ${rule.enabled ? '' : 'disabled'}">
+              <div class="form-check form-switch mb-0">
+                <input class="form-check-input" type="checkbox" id="alert-rule-${DOMUtils.escapeHTML(rule.id)}" ${rule.enabled ? 'checked' : ''}
+                       data-toggle-rule="${DOMUtils.escapeHTML(rule.id)}">
+                <label class="form-check-label" for="alert-rule-${DOMUtils.escapeHTML(rule.id)}">
+                  <i class="fas ${(SPACE_WEATHER_ALERT_RULES[rule.type] || {}).icon || 'fa-bell'} me-2"></i>${SpaceWeatherAlertComponent.describeRule(rule)}
+                </label>
+              </div>
+              <button class="btn btn-sm btn-outline-light" data-remove-rule="${DOMUtils.escapeHTML(rule.id)}" aria-label="Delete rule">
+                <i class="fas fa-trash-alt"></i>
+              </button>
+            </li>
+          `).join('')}
+        </ul>`;
+
+    const historyList = document.getElementById('alert-history-list');
+    const history = window.userPreferences.getAlertHistory();
+    historyList.innerHTML = history.length === 0
+      ? '<p class="text-muted mb-0">No alerts have been raised yet.</p>'
+      : `<ul class="list-unstyled alert-history mb-0">
+          ${history.map(alert => `
+            <li>
+              <button type="button" class="alert-history-item" data-alert-event="${DOMUtils.escapeHTML(alert.eventId)}">
+                <i class="fas ${(SPACE_WEATHER_ALERT_RULES[alert.type] || {}).icon || 'fa-bell'} me-2"></i>
+                <span class="alert-history-message">${DOMUtils.escapeHTML(alert.message)}</span>
+                <small class="text-muted d-block">${DOMUtils.escapeHTML(alert.rule)} &middot; ${alert.eventTime ? DateUtils.formatDateTime(alert.eventTime) : DOMUtils.escapeHTML(alert.eventId)}</small>
+              </button>
+            </li>
+          `).join('')}
+        </ul>`;
+  }
+
+  renderNotificationPermission() {
+    const container = document.getElementById('alert-permission');
+    if (!container) return;
+
+    if (!('Notification' in window)) {
+      container.innerHTML = '<p class="text-muted mb-0"><i class="fas fa-info-circle me-2"></i>This browser does not support notifications. Alerts will only appear in the history below.</p>';
+    } else if (Notification.permission === 'granted') {
+      const monitor = this.getAlertMonitor();
+      const minutes = monitor ? Math.round(monitor.checkInterval / 60000) : 15;
+      container.innerHTML = `<p class="text-success mb-0"><i class="fas fa-check-circle me-2"></i>Browser notifications are on. Alerts are checked every ${minutes} minutes while a Cosmos Connect tab is in view.</p>`;
+    } else if (Notification.permission === 'denied') {
+      container.innerHTML = '<p class="text-warning mb-0"><i class="fas fa-bell-slash me-2"></i>Notifications are blocked in your browser settings. Alerts will only appear in the history below.</p>';
+    } else {
+      container.innerHTML = `
+        <p class="mb-2"><i class="fas fa-bell me-2"></i>Allow browser notifications to hear about matching events while you are on other pages.</p>
+        <button type="button" class="btn btn-outline-light btn-sm" onclick="spaceWeatherApp.requestNotificationPermission()">
+          Enable Notifications
+        </button>
+      `;
+    }
+  }
+
+  showAlertEvent(eventId) {
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('alertsModal')).hide();
+    this.showEventById(eventId);
   }
 
   showToast(message, type = 'info') {
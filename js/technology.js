@@ -0,0 +1,572 @@
+// Cosmos Connect - NASA Technology Module (TechTransfer and TechPort)
+
+const TECHNOLOGY_COLLECTIONS = {
+  patent: { title: 'Patents', icon: 'fa-certificate' },
+  software: { title: 'Software', icon: 'fa-code' },
+  spinoff: { title: 'Spinoffs', icon: 'fa-lightbulb' },
+  projects: { title: 'TechPort Projects', icon: 'fa-diagram-project' }
+};
+
+class TechnologyApp {
+  constructor() {
+    this.collection = 'patent';
+    this.query = '';
+    this.items = [];
+    this.visibleItems = [];
+    this.total = 0;
+    this.projectIds = [];
+    this.projectsLoaded = 0;
+    // Every project on a page is a keyed request, which the demo key can't spare many of
+    this.projectPageSize = 3;
+    this.updatedSince = this.getDefaultUpdatedSince();
+    this.currentItem = null;
+    this.loadRequest = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.setupEventListeners();
+      document.getElementById('technology-updated-since').value = this.updatedSince;
+      this.initialized = true;
+
+      // Searches and items linked from global search
+      const collection = URLUtils.getQueryParam('collection');
+      const query = URLUtils.getQueryParam('q');
+      const item = URLUtils.getQueryParam('item');
+      const projectId = URLUtils.getQueryParam('project');
+
+      if (item) {
+        // TechTransfer has no lookup by ID, so search for the case number instead
+        const [engine, caseNumber] = item.split(':');
+        this.setCollectionButtons(TECHTRANSFER_ENGINES.includes(engine) ? engine : this.collection);
+        document.getElementById('technology-query').value = caseNumber;
+        await this.search(caseNumber);
+        this.openTransferItem(caseNumber);
+      } else if (collection === 'projects' || projectId) {
+        this.setCollectionButtons('projects');
+        if (query) {
+          document.getElementById('technology-query').value = query;
+          this.query = query;
+        }
+        await this.loadProjects();
+      } else {
+        this.setCollectionButtons(TECHNOLOGY_COLLECTIONS[collection] ? collection : this.collection);
+        if (query) {
+          document.getElementById('technology-query').value = query;
+          await this.search(query);
+        } else {
+          this.showSearchPrompt();
+        }
+      }
+      if (projectId) {
+        this.showProjectDetailsById(projectId);
+      }
+
+      // Hide loading screen
+      const loadingScreen = document.getElementById('loading-screen');
+      if (loadingScreen) {
+        setTimeout(() => loadingScreen.classList.add('hidden'), 1000);
+      }
+
+    } catch (error) {
+      console.error('Failed to initialize Technology app:', error);
+      this.showError('Failed to initialize the technology browser. Please refresh the page.');
+    }
+  }
+
+  setupEventListeners() {
+    const searchForm = document.getElementById('technology-search-form');
+    if (searchForm) {
+      searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.applyFilters();
+      });
+    }
+
+    const collections = document.getElementById('technology-collections');
+    if (collections) {
+      collections.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-collection]');
+        if (button && button.dataset.collection !== this.collection) {
+          this.switchCollection(button.dataset.collection);
+        }
+      });
+    }
+
+    // Center and category only narrow down what is already loaded
+    ['technology-center', 'technology-category'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', () => this.renderResults());
+      }
+    });
+
+    const resetFiltersBtn = document.getElementById('reset-filters-btn');
+    if (resetFiltersBtn) {
+      resetFiltersBtn.addEventListener('click', () => this.resetFilters());
+    }
+
+    const more = document.getElementById('technology-more');
+    if (more) {
+      more.addEventListener('click', (e) => {
+        if (!e.target.closest('[data-action="more"]')) return;
+
+        this.loadMoreProjects().catch(error => {
+          if (error.aborted) return;
+          console.error('Failed to load more TechPort projects:', error);
+          this.showToast(ErrorUtils.handleAPIError(error, 'TechPort projects'), 'error');
+          this.renderMore();
+        });
+      });
+    }
+  }
+
+  getDefaultUpdatedSince() {
+    const date = new Date();
+    date.setDate(date.getDate() - 30);
+    return date.toISOString().split('T')[0];
+  }
+
+  setCollectionButtons(collection) {
+    this.collection = collection;
+
+    document.querySelectorAll('#technology-collections [data-collection]').forEach(button => {
+      button.classList.toggle('active', button.dataset.collection === collection);
+    });
+    document.getElementById('technology-results-title').textContent = TECHNOLOGY_COLLECTIONS[collection].title;
+    document.getElementById('updated-since-group').classList.toggle('d-none', collection !== 'projects');
+  }
+
+  switchCollection(collection) {
+    this.setCollectionButtons(collection);
+    this.items = [];
+    this.resetSelect('technology-center');
+    this.resetSelect('technology-category');
+    document.getElementById('technology-more').innerHTML = '';
+    URLUtils.setQueryParam('collection', collection);
+
+    if (collection === 'projects') {
+      this.loadProjects();
+    } else if (this.query) {
+      this.search(this.query);
+    } else {
+      this.showSearchPrompt();
+    }
+  }
+
+  startLoadRequest() {
+    // Only the most recent search is allowed to render its results
+    if (this.loadRequest) {
+      this.loadRequest.abort();
+    }
+    this.loadRequest = new AbortController();
+    return this.loadRequest.signal;
+  }
+
+  async search(query = this.query) {
+    const resultsContainer = document.getElementById('technology-results');
+    const signal = this.startLoadRequest();
+    this.query = query;
+
+    try {
+      LoadingUtils.showLoading(resultsContainer, `Searching NASA ${TECHNOLOGY_COLLECTIONS[this.collection].title.toLowerCase()}...`);
+
+      const data = await APIManager.techTransfer.search(this.collection, query, { signal });
+
+      this.items = data.items;
+      this.total = data.total;
+      this.populateFilters();
+      this.renderResults();
+
+      // Keep the search in the URL so it can be shared
+      URLUtils.setQueryParam('q', query);
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to search TechTransfer:', error);
+
+      const errorMessage = ErrorUtils.handleAPIError(error, 'technology results');
+      LoadingUtils.showError(resultsContainer, errorMessage);
+    }
+  }
+
+  async loadProjects() {
+    const resultsContainer = document.getElementById('technology-results');
+    const signal = this.startLoadRequest();
+
+    try {
+      LoadingUtils.showLoading(resultsContainer, 'Loading recently updated projects...');
+
+      this.projectIds = await APIManager.techPort.getUpdatedProjects(this.updatedSince, { signal });
+      this.items = [];
+      this.projectsLoaded = 0;
+      this.total = this.projectIds.length;
+
+      await this.loadMoreProjects(signal);
+
+    } catch (error) {
+      if (error.aborted) return;
+      console.error('Failed to load TechPort projects:', error);
+
+      const errorMessage = ErrorUtils.handleAPIError(error, 'TechPort projects');
+      LoadingUtils.showError(resultsContainer, errorMessage);
+      document.getElementById('technology-more').innerHTML = '';
+    }
+  }
+
+  // The project list only has IDs, so details are fetched a page at a time
+  async loadMoreProjects(signal = this.startLoadRequest()) {
+    const ids = this.projectIds.slice(this.projectsLoaded, this.projectsLoaded + this.projectPageSize);
+    const button = document.querySelector('#technology-more [data-action="more"]');
+    if (button) {
+      button.disabled = true;
+    }
+
+    const results = await Promise.allSettled(ids.map(({ id }) => APIManager.techPort.getProject(id, { signal })));
+    if (signal.aborted) return;
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (ids.length && failed.length === ids.length) {
+      throw failed[0].reason;
+    }
+
+    this.items.push(...results.filter(result => result.status === 'fulfilled').map(result => result.value));
+    this.projectsLoaded += ids.length;
+    this.populateFilters();
+    this.renderResults();
+  }
+
+  applyFilters() {
+    const query = document.getElementById('technology-query').value.trim();
+
+    if (this.collection === 'projects') {
+      const updatedSince = document.getElementById('technology-updated-since').value;
+      if (!updatedSince) {
+        this.showToast('Choose a date to list projects updated since', 'warning');
+        return;
+      }
+      if (updatedSince > new Date().toISOString().split('T')[0]) {
+        this.showToast('The date must not be in the future', 'warning');
+        return;
+      }
+
+      // Keywords are matched against the projects already loaded
+      this.query = query;
+      if (updatedSince !== this.updatedSince || !this.projectIds.length) {
+        this.updatedSince = updatedSince;
+        this.loadProjects();
+      } else {
+        this.renderResults();
+      }
+      return;
+    }
+
+    if (!query) {
+      this.showToast('Enter something to search for', 'warning');
+      return;
+    }
+    if (query === this.query && this.items.length) {
+      this.renderResults();
+      return;
+    }
+    this.resetSelect('technology-center');
+    this.resetSelect('technology-category');
+    this.search(query);
+  }
+
+  resetFilters() {
+    document.getElementById('technology-query').value = '';
+    this.resetSelect('technology-center');
+    this.resetSelect('technology-category');
+
+    if (this.collection === 'projects') {
+      this.query = '';
+      if (this.updatedSince !== this.getDefaultUpdatedSince()) {
+        this.updatedSince = this.getDefaultUpdatedSince();
+        document.getElementById('technology-updated-since').value = this.updatedSince;
+        this.loadProjects();
+        return;
+      }
+    }
+    document.getElementById('technology-updated-since').value = this.updatedSince;
+    if (this.items.length) {
+      this.renderResults();
+    }
+  }
+
+  resetSelect(id) {
+    const select = document.getElementById(id);
+    select.value = '';
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  }
+
+  // Offers only the centers and categories present in the loaded results
+  populateFilters() {
+    [['technology-center', 'center'], ['technology-category', 'category']].forEach(([id, key]) => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      const values = [...new Set(this.items.map(item => item[key]).filter(Boolean))].sort();
+
+      this.resetSelect(id);
+      values.forEach(value => select.add(new Option(value, value)));
+      select.value = values.includes(selected) ? selected : '';
+    });
+  }
+
+  getFilteredItems() {
+    const center = document.getElementById('technology-center').value;
+    const category = document.getElementById('technology-category').value;
+    const query = this.collection === 'projects' ? this.query.toLowerCase() : '';
+
+    return this.items.filter(item =>
+      (!center || item.center === center) &&
+      (!category || item.category === category) &&
+      (!query || [item.title, item.acronym, item.description].some(text => text && text.toLowerCase().includes(query)))
+    );
+  }
+
+  renderResults() {
+    const container = document.getElementById('technology-results');
+    const items = this.getFilteredItems();
+    this.visibleItems = items;
+    this.updateDataCount(items);
+    this.renderMore();
+
+    if (!items.length) {
+      const message = this.collection === 'projects'
+        ? `No loaded projects match your filters${this.projectsLoaded < this.projectIds.length ? '. Load more projects to keep looking.' : '.'}`
+        : `No ${TECHNOLOGY_COLLECTIONS[this.collection].title.toLowerCase()} found for "${this.query}".`;
+      LoadingUtils.showEmpty(container, message);
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="row g-4">
+        ${items.map((item, index) => `
+          <div class="col-lg-4 col-md-6">
+            <div class="technology-card data-card glass-card h-100" onclick="technologyApp.showItemDetails(${index})">
+              ${item.image ? `
+                <div class="technology-card-image">
+                  <img src="${item.image}" alt="${item.title}" loading="lazy">
+                </div>
+              ` : ''}
+              <div class="p-3">
+                <div class="d-flex justify-content-between align-items-start gap-2 mb-2">
+                  <span class="badge bg-secondary">
+                    <i class="fas ${TECHNOLOGY_COLLECTIONS[this.collection].icon} me-1"></i>${item.caseNumber || item.acronym || item.id}
+                  </span>
+                  ${item.status ? `<span class="badge ${item.status === 'Active' ? 'bg-success' : 'bg-dark'}">${item.status}</span>` : ''}
+                </div>
+                <h6 class="technology-card-title">${item.title}</h6>
+                <small class="text-muted d-block mb-2">${[item.center, item.category].filter(Boolean).join(' · ')}</small>
+                <p class="technology-card-description mb-0">${this.getSummary(item)}</p>
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderMore() {
+    const container = document.getElementById('technology-more');
+    const remaining = this.projectIds.length - this.projectsLoaded;
+    this.updateFilterScope(remaining);
+
+    if (this.collection !== 'projects' || remaining <= 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <button type="button" class="btn btn-outline-light btn-sm" data-action="more">
+        <i class="fas fa-plus me-1"></i>Load More Projects (${remaining.toLocaleString()} remaining)
+      </button>
+    `;
+  }
+
+  // Loading every project to filter them would use up the key, so the filters say how far they reach
+  updateFilterScope(remaining) {
+    const scope = document.getElementById('technology-filter-scope');
+    if (!scope || this.collection !== 'projects') return;
+
+    scope.textContent = remaining > 0
+      ? `Keywords, center and category only filter the ${this.projectsLoaded.toLocaleString()} of ${this.projectIds.length.toLocaleString()} projects loaded so far. Load more to filter further.`
+      : `Keywords, center and category filter all ${this.projectIds.length.toLocaleString()} projects.`;
+  }
+
+  // TechPort descriptions are HTML, so tags are dropped for the card text
+  getSummary(item) {
+    const text = item.description.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 220 ? `${text.slice(0, 220)}...` : text;
+  }
+
+  showItemDetails(index) {
+    const item = this.visibleItems[index];
+    if (!item) return;
+    this.openItem(item);
+  }
+
+  openTransferItem(caseNumber) {
+    const item = this.items.find(entry => entry.caseNumber === caseNumber);
+    if (item) {
+      this.openItem(item);
+    } else {
+      this.showToast(`Could not find ${caseNumber}`, 'warning');
+    }
+  }
+
+  async showProjectDetailsById(projectId) {
+    const contentContainer = document.getElementById('technology-item-content');
+    const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('technologyItemModal'));
+
+    try {
+      LoadingUtils.showLoading(contentContainer, 'Loading project...');
+      modal.show();
+
+      const project = await APIManager.techPort.getProject(projectId);
+      this.openItem(project);
+
+    } catch (error) {
+      console.error('Failed to load TechPort project:', error);
+      const errorMessage = ErrorUtils.handleAPIError(error, 'project');
+      LoadingUtils.showError(contentContainer, errorMessage);
+    }
+  }
+
+  openItem(item) {
+    const contentContainer = document.getElementById('technology-item-content');
+    const link = document.getElementById('technology-item-link');
+    const collection = item.engine || 'projects';
+    const url = this.getItemURL(item);
+    this.currentItem = item;
+
+    document.getElementById('technologyItemModalLabel').innerHTML =
+      `<i class="fas ${TECHNOLOGY_COLLECTIONS[collection].icon} me-2"></i>${item.title}`;
+    link.classList.toggle('d-none', !url);
+    if (url) {
+      link.href = url;
+    }
+
+    contentContainer.innerHTML = item.engine ? this.renderTransferDetails(item) : this.renderProjectDetails(item);
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('technologyItemModal')).show();
+  }
+
+  // Patents and software have public pages by case number; spinoffs do not
+  getItemURL(item) {
+    if (!item.engine) return item.url;
+    if (item.engine === 'patent') return `https://technology.nasa.gov/patent/${encodeURIComponent(item.caseNumber)}`;
+    if (item.engine === 'software') return `https://software.nasa.gov/software/${encodeURIComponent(item.caseNumber)}`;
+    return null;
+  }
+
+  renderTransferDetails(item) {
+    return `
+      <div class="technology-details">
+        ${item.image ? `<img class="technology-image mb-4" src="${item.image}" alt="${item.title}">` : ''}
+        <table class="table table-glass">
+          <tr><td><strong>${item.engine === 'spinoff' ? 'Reference' : 'Case Number'}:</strong></td><td>${item.caseNumber}</td></tr>
+          <tr><td><strong>Center:</strong></td><td>${item.center || 'Unknown'}</td></tr>
+          <tr><td><strong>Category:</strong></td><td>${item.category || 'Unknown'}</td></tr>
+        </table>
+        <h5>Description</h5>
+        <div class="technology-description">${item.description || 'No description available.'}</div>
+      </div>
+    `;
+  }
+
+  renderProjectDetails(project) {
+    const trl = ['begin', 'current', 'end']
+      .filter(key => project.trl[key] !== null)
+      .map(key => `${key.charAt(0).toUpperCase()}${key.slice(1)}: ${project.trl[key]}`)
+      .join(' · ');
+    const rows = [
+      ['Project ID', project.id],
+      ['Status', project.status],
+      ['Dates', [project.startDate, project.endDate].filter(Boolean).join(' – ')],
+      ['Lead Organization', project.leadOrganization],
+      ['Program', project.program],
+      ['Category', project.category],
+      ['Technology Readiness', trl],
+      ['Principal Investigators', project.principalInvestigators.join(', ')],
+      ['Project Managers', project.projectManagers.join(', ')],
+      ['Locations', project.locations.join(', ')],
+      ['Last Updated', project.lastUpdated ? DateUtils.formatDate(project.lastUpdated) : null]
+    ].filter(([, value]) => value);
+
+    return `
+      <div class="technology-details">
+        <div class="row">
+          <div class="col-md-7">
+            <h5>Description</h5>
+            <div class="technology-description">${project.description || 'No description available.'}</div>
+            ${project.benefits ? `
+              <h5 class="mt-4">Benefits</h5>
+              <div class="technology-description">${project.benefits}</div>
+            ` : ''}
+          </div>
+          <div class="col-md-5">
+            <h5>Details</h5>
+            <table class="table table-glass">
+              ${rows.map(([label, value]) => `<tr><td><strong>${label}:</strong></td><td>${value}</td></tr>`).join('')}
+            </table>
+            ${project.website ? `
+              <a href="${project.website}" target="_blank" rel="noopener" class="btn btn-outline-light btn-sm">
+                <i class="fas fa-globe me-1"></i>Project Website
+              </a>
+            ` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  showSearchPrompt() {
+    LoadingUtils.showEmpty(document.getElementById('technology-results'),
+      `Search NASA ${TECHNOLOGY_COLLECTIONS[this.collection].title.toLowerCase()} by keyword to get started.`);
+    this.updateDataCount([]);
+  }
+
+  updateDataCount(items) {
+    const countElement = document.getElementById('data-count');
+    if (!countElement) return;
+
+    if (this.collection === 'projects') {
+      countElement.textContent = this.projectIds.length
+        ? `${items.length.toLocaleString()} shown · ${this.projectsLoaded.toLocaleString()} of ${this.projectIds.length.toLocaleString()} projects loaded`
+        : '';
+    } else {
+      countElement.textContent = this.items.length ? `${items.length.toLocaleString()} of ${this.total.toLocaleString()} results` : '';
+    }
+  }
+
+  showToast(message, type = 'info') {
+    if (window.CosmosConnect && window.CosmosConnect.app) {
+      window.CosmosConnect.app.showToast(message, type);
+    } else {
+      console.log(`${type.toUpperCase()}: ${message}`);
+    }
+  }
+
+  showError(message) {
+    const resultsContainer = document.getElementById('technology-results');
+    if (resultsContainer) {
+      LoadingUtils.showError(resultsContainer, message);
+    }
+  }
+}
+
+// Initialize Technology app
+const technologyApp = new TechnologyApp();
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(() => technologyApp.init(), 500);
+  });
+} else {
+  setTimeout(() => technologyApp.init(), 500);
+}
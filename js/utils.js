@@ -138,7 +138,8 @@ const CacheUtils = {
 // URL and API utilities
 const URLUtils = {
   buildURL(baseURL, params = {}) {
-    const url = new URL(baseURL);
+    // Relative URLs (e.g. the API proxy) resolve against the current page
+    const url = new URL(baseURL, window.location.href);
     
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null && value !== '') {
@@ -192,6 +193,22 @@ const DOMUtils = {
     return element;
   },
 
+  // Free text from an API is not trusted markup
+  escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, character => entities[character]);
+  },
+
+  // Links from an API only get into an href if they are web links
+  getSafeURL(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch {
+      return null;
+    }
+  },
+
   showElement(element) {
     element.style.display = '';
     element.classList.remove('d-none');
@@ -447,6 +464,17 @@ const ErrorUtils = {
   handleAPIError(error, context = '') {
     console.error(`API Error ${context}:`, error);
     
+    const message = this.getAPIErrorMessage(error);
+    
+    // Let the user know we didn't give up on the first failure
+    if (error.attempts > 1) {
+      return `${message} (failed after ${error.attempts} attempts)`;
+    }
+    
+    return message;
+  },
+
+  getAPIErrorMessage(error) {
     if (error.name === 'NetworkError' || !navigator.onLine) {
       return 'Network connection error. Please check your internet connection.';
     }
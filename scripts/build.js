@@ -22,6 +22,10 @@ const BUILD_CONFIG = {
     '.env',
     '*.log',
     'package-lock.json'
+  ],
+  // Excluded only at the top level (js/api.js must still be copied)
+  excludeRootDirs: [
+    'api'
   ]
 };
 
@@ -42,6 +46,9 @@ function createBuildDirectory() {
  */
 function shouldExclude(itemPath) {
   const itemName = path.basename(itemPath);
+  if (path.dirname(itemPath) === BUILD_CONFIG.sourceDir && BUILD_CONFIG.excludeRootDirs.includes(itemName)) {
+    return true;
+  }
   return BUILD_CONFIG.excludePatterns.some(pattern => {
     if (pattern.includes('*')) {
       const regex = new RegExp(pattern.replace(/\*/g, '.*'));
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { handleNasaRequest, handleExoplanetRequest, handleSsdRequest } = require('../api/_lib/proxy');
+
+/**
+ * Development server for Cosmos Connect
+ * Serves the static site and the same API proxy that runs on Vercel,
+ * so the NASA key can live in .env instead of the browser
+ */
+
+/**
+ * Read the port from --port, then PORT, then the default
+ */
+function getPort() {
+  const flagIndex = process.argv.indexOf('--port');
+  const value = flagIndex !== -1 ? process.argv[flagIndex + 1] : process.env.PORT;
+  return parseInt(value, 10) || 3000;
+}
+
+// Server configuration
+const SERVER_CONFIG = {
+  rootDir: path.resolve(__dirname, '..'),
+  port: getPort(),
+  envFile: '.env'
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Load KEY=value pairs from .env without overriding the real environment
+ */
+function loadEnvFile() {
+  const envPath = path.join(SERVER_CONFIG.rootDir, SERVER_CONFIG.envFile);
+  if (!fs.existsSync(envPath)) {
+    return;
+  }
+
+  fs.readFileSync(envPath, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([\w.]+)\s*=\s*(.*)\s*$/);
+    if (!match || process.env[match[1]] !== undefined) {
+      return;
+    }
+    process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  });
+
+  console.log('🔑 Loaded environment from .env');
+}
+
+/**
+ * Resolve a request path to a file inside the project root
+ * @returns {string|null} File path, or null if it is not servable
+ */
+function resolveStaticPath(pathname) {
+  const decoded = decodeURIComponent(pathname);
+  let filePath = path.normalize(path.join(SERVER_CONFIG.rootDir, decoded));
+
+  if (!filePath.startsWith(SERVER_CONFIG.rootDir + path.sep)) {
+    return null;
+  }
+
+  // Never serve .env, .git and other dotfiles (they hold the real key)
+  const relativePath = path.relative(SERVER_CONFIG.rootDir, filePath);
+  if (relativePath.split(path.sep).some(segment => segment.startsWith('.'))) {
+    return null;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  } else if (!fs.existsSync(filePath) && fs.existsSync(`${filePath}.html`)) {
+    // Match Vercel's cleanUrls
+    filePath = `${filePath}.html`;
+  }
+
+  return filePath;
+}
+
+/**
+ * Serve a file from the project root
+ */
+function serveStatic(req, res, pathname) {
+  const filePath = resolveStaticPath(pathname);
+
+  if (!filePath) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+/**
+ * Route a request to the API proxy or the static files
+ */
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  res.on('finish', () => {
+    console.log(`${res.statusCode} ${req.method} ${req.url.replace(/api_key=[^&]*/, 'api_key=***')}`);
+  });
+
+  try {
+    if (pathname.startsWith('/api/nasa/')) {
+      await handleNasaRequest(req, res, pathname.slice('/api/nasa/'.length));
+    } else if (pathname === '/api/exoplanets') {
+      await handleExoplanetRequest(req, res);
+    } else if (pathname.startsWith('/api/ssd/')) {
+      await handleSsdRequest(req, res, pathname.slice('/api/ssd/'.length));
+    } else {
+      serveStatic(req, res, pathname);
+    }
+  } catch (error) {
+    console.error('❌ Request failed:', error);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+    }
+    res.end('Internal server error');
+  }
+}
+
+/**
+ * Start the development server
+ */
+function start() {
+  loadEnvFile();
+
+  if (!process.env.NASA_API_KEY) {
+    console.warn('⚠️  NASA_API_KEY is not set - the proxy will use DEMO_KEY (30 requests per hour)');
+  }
+
+  const server = http.createServer(handleRequest);
+  server.listen(SERVER_CONFIG.port, () => {
+    console.log(`🚀 Cosmos Connect running at http://localhost:${SERVER_CONFIG.port}`);
+    console.log('🛰️  NASA API proxy available at /api/nasa, /api/exoplanets and /api/ssd');
+  });
+
+  return server;
+}
+
+// Run server
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start };
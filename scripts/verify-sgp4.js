@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * SGP4 verification
+ * Propagates Vallado's reference element sets with js/orbit.js and compares
+ * the state vectors with fixtures/sgp4-reference.json
+ */
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// The reference vectors are published to 8 (km) and 9 (km/s) decimals
+const TOLERANCE = {
+  position: 1e-6,
+  velocity: 1e-8
+};
+
+/**
+ * Load the browser script into a sandbox and return its SGP4 object
+ */
+function loadSGP4() {
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'js/orbit.js'), 'utf8');
+  const context = vm.createContext({});
+  vm.runInContext(`${source}\nthis.SGP4 = SGP4;`, context, { filename: 'js/orbit.js' });
+  return context.SGP4;
+}
+
+function maxDifference(actual, expected) {
+  return Math.max(
+    Math.abs(actual.x - expected[0]),
+    Math.abs(actual.y - expected[1]),
+    Math.abs(actual.z - expected[2])
+  );
+}
+
+/**
+ * Check every state of one case; returns the failure messages
+ */
+function verifyCase(SGP4, testCase) {
+  const failures = [];
+  const satrec = SGP4.twoline2satrec(testCase.line1, testCase.line2);
+
+  testCase.states.forEach(state => {
+    const result = SGP4.sgp4(satrec, state.tsince);
+    const label = `${testCase.satnum} at ${state.tsince} min`;
+
+    if (!result) {
+      failures.push(`${label}: propagation failed (${SGP4.errors[satrec.error] || `error ${satrec.error}`})`);
+      return;
+    }
+
+    const positionError = maxDifference(result.position, state.position);
+    const velocityError = maxDifference(result.velocity, state.velocity);
+
+    if (positionError > TOLERANCE.position) {
+      failures.push(`${label}: position is off by ${positionError.toExponential(2)} km`);
+    }
+    if (velocityError > TOLERANCE.velocity) {
+      failures.push(`${label}: velocity is off by ${velocityError.toExponential(2)} km/s`);
+    }
+  });
+
+  return failures;
+}
+
+function main() {
+  const reference = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'fixtures/sgp4-reference.json'), 'utf8'));
+  const SGP4 = loadSGP4();
+  let failures = [];
+
+  reference.cases.forEach(testCase => {
+    const caseFailures = verifyCase(SGP4, testCase);
+    console.log(`${caseFailures.length ? '❌' : '✅'} ${testCase.satnum} (${testCase.note})`);
+    failures = failures.concat(caseFailures);
+  });
+
+  if (failures.length) {
+    failures.forEach(message => console.error(`   ${message}`));
+    process.exit(1);
+  }
+
+  console.log(`SGP4 matches the reference vectors for ${reference.cases.length} element sets`);
+}
+
+main();